@@ -2,6 +2,11 @@
  * Attachment handling for email-to-notion
  */
 
+const crypto = require('crypto');
+const { appendBlocksToPage } = require('./notion');
+const { isZipBuffer, listZipEntries, extractZipEntry } = require('./zip');
+const { scanAttachments, formatQuarantineWarning } = require('./scanner');
+
 // File types that should be displayed as images in Notion
 const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'];
 
@@ -11,9 +16,96 @@ const PDF_EXTENSIONS = ['pdf'];
 // File types that are blocked for security
 const BLOCKED_EXTENSIONS = ['exe', 'dll', 'bat', 'sh', 'cmd', 'com', 'msi', 'vbs', 'js', 'ps1'];
 
-// Maximum file size (20MB - Notion's limit)
+// Largest file Notion accepts in a single-part upload (20MB); bigger files use multi-part mode
 const MAX_FILE_SIZE = 20 * 1024 * 1024;
 
+// Multi-part uploads send parts of this size (Notion accepts 5-20MB parts; the last may be smaller)
+const UPLOAD_PART_SIZE = 10 * 1024 * 1024;
+
+// SES rejects inbound messages over 40MB, so no attachment can be larger than this
+const SES_MAX_MESSAGE_SIZE = 40 * 1024 * 1024;
+
+// Per-file upload limits by Notion workspace plan (paid plans allow 5GB, which SES never delivers)
+const PLAN_FILE_SIZE_LIMITS = {
+  free: 5 * 1024 * 1024,
+  paid: SES_MAX_MESSAGE_SIZE,
+};
+
+// Inline images smaller than this (bytes or pixels on either side) are tracking pixels or spacers
+const MIN_INLINE_IMAGE_BYTES = 256;
+const MIN_INLINE_IMAGE_DIMENSION = 16;
+
+// Magic numbers for the types we display, unpack or block (offset defaults to 0)
+const FILE_SIGNATURES = [
+  { type: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+  { type: 'bmp', bytes: [0x42, 0x4d], also: { offset: 6, bytes: [0, 0, 0, 0] } },
+  { type: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'ole', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }, // doc, xls, ppt, msi
+  { type: 'exe', executable: true, bytes: [0x4d, 0x5a], peHeader: true }, // Windows PE ("MZ", then "PE\0\0")
+  { type: 'elf', executable: true, bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: 'macho', executable: true, bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { type: 'macho', executable: true, bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { type: 'macho', executable: true, bytes: [0xfe, 0xed, 0xfa, 0xcf] },
+  { type: 'macho', executable: true, bytes: [0xfe, 0xed, 0xfa, 0xce] },
+  { type: 'macho', executable: true, bytes: [0xca, 0xfe, 0xba, 0xbe] }, // universal binary
+  { type: 'script', executable: true, bytes: [0x23, 0x21] }, // "#!"
+];
+
+// Bytes sniffed from the start of a file; enough to reach the PE header, which the DOS header's
+// e_lfanew field (at 0x3c) points to and linkers place well within the first 1KB
+const SNIFF_BYTES = 1024;
+const PE_OFFSET_FIELD = 0x3c;
+const PE_SIGNATURE = [0x50, 0x45, 0x00, 0x00];
+
+// Text documents that may start with "#!" without being a script anyone would run
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv', 'tsv', 'log', 'json', 'xml', 'html', 'htm', 'rtf', 'ics', 'vcf'];
+
+// ZIP-based document formats; these are uploaded as they are, never unpacked
+const ZIP_DOCUMENT_EXTENSIONS = ['docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub'];
+
+// Extensions an OLE compound file may have. The same container holds Windows Installer
+// packages (.msi), so OLE content under any other name is skipped.
+const OLE_EXTENSIONS = ['doc', 'dot', 'xls', 'xlt', 'ppt', 'pot', 'pps', 'msg', 'vsd', 'pub'];
+
+// Detected type each extension should have; content that says otherwise is flagged
+const EXTENSION_TYPES = {
+  pdf: 'pdf',
+  png: 'png',
+  jpg: 'jpg',
+  jpeg: 'jpg',
+  gif: 'gif',
+  webp: 'webp',
+  bmp: 'bmp',
+  zip: 'zip',
+  docx: 'zip',
+  xlsx: 'zip',
+  pptx: 'zip',
+  doc: 'ole',
+  xls: 'ole',
+  ppt: 'ole',
+};
+
+// Declared content types that are never uploaded, whatever the filename says
+const BLOCKED_CONTENT_TYPES = [
+  'application/x-msdownload',
+  'application/x-msdos-program',
+  'application/x-executable',
+  'application/x-sharedlib',
+  'application/x-mach-binary',
+  'application/x-sh',
+  'application/x-msi',
+  'application/vnd.microsoft.portable-executable',
+];
+
+// ZIP expansion limits: entry count, total unpacked size, and compression ratio (zip bomb guards)
+const ZIP_MAX_ENTRIES = 100;
+const ZIP_MAX_TOTAL_BYTES = 200 * 1024 * 1024;
+const ZIP_MAX_RATIO = 100;
+
 // MIME type mapping
 const MIME_TYPES = {
   'pdf': 'application/pdf',
@@ -34,56 +126,194 @@ const MIME_TYPES = {
   'zip': 'application/zip',
 };
 
+/**
+ * Get the per-file size limit for a Notion workspace plan
+ * @param {string} plan - Workspace plan ("free" or "paid")
+ * @returns {number} - Maximum file size in bytes
+ */
+function getMaxFileSize(plan) {
+  return PLAN_FILE_SIZE_LIMITS[plan] || PLAN_FILE_SIZE_LIMITS.paid;
+}
+
 /**
  * Filter attachments to include only valid ones
+ * CID-embedded images the body shows are returned separately so they can be placed in the
+ * page body.
  * @param {Array} attachments - Postmark attachments array
- * @returns {{ valid: Array, warnings: string[] }} - Valid attachments and warning messages
+ * @param {Object} options - Filter options (optional)
+ * @param {number} options.maxFileSize - Per-file size limit in bytes (default 20MB)
+ * @param {Set<string>} options.bodyContentIds - Content IDs the HTML body references (see
+ *   collectContentIds); when set, other CID images are kept as ordinary attachments
+ * @returns {{ valid: Array, inline: Array, warnings: string[] }} - Valid attachments, inline images and warning messages
  */
-function filterAttachments(attachments) {
+function filterAttachments(attachments, options = {}) {
   if (!attachments || attachments.length === 0) {
-    return { valid: [], warnings: [] };
+    return { valid: [], inline: [], warnings: [] };
   }
 
+  const maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
   const valid = [];
+  const inline = [];
   const warnings = [];
 
   for (const att of attachments) {
-    // Skip CID-embedded images (used in HTML email templates)
+    const detectedType = detectAttachmentType(att);
+
+    // CID-embedded images are shown where the HTML body references them. Other CID parts
+    // (calendar invites, PDFs, images the body never shows) are ordinary attachments, and an
+    // oversized image gets the size warning below.
     if (att.ContentID && att.ContentID !== '') {
-      continue; // Silent skip - these are inline images
+      const isImage = detectedType === undefined ? isImageFile(att.Name) : IMAGE_EXTENSIONS.includes(detectedType);
+      const referenced = !options.bodyContentIds || options.bodyContentIds.has(normalizeContentId(att.ContentID));
+      if (isImage && referenced && (att.ContentLength || 0) <= maxFileSize) {
+        inline.push(att);
+        continue;
+      }
     }
 
     const filename = att.Name || 'unknown';
     const ext = getExtension(filename).toLowerCase();
     const size = att.ContentLength || 0;
+    const declaredType = (att.ContentType || '').split(';')[0].trim().toLowerCase();
 
     // Check for blocked extensions
-    if (BLOCKED_EXTENSIONS.includes(ext)) {
+    if (BLOCKED_EXTENSIONS.includes(ext) || BLOCKED_CONTENT_TYPES.includes(declaredType)) {
       warnings.push(`Attachment skipped: ${filename} (blocked file type)`);
       continue;
     }
 
+    // Executables renamed to look like something else ("#!" only counts outside text documents)
+    if (getSignature(detectedType)?.executable && !(detectedType === 'script' && TEXT_EXTENSIONS.includes(ext))) {
+      const disguise = ext ? ` disguised as .${ext}` : '';
+      warnings.push(`Attachment skipped: ${filename} (executable content${disguise})`);
+      continue;
+    }
+
+    // Compound files are Office documents or installers; only Office names are let through
+    if (detectedType === 'ole' && !OLE_EXTENSIONS.includes(ext)) {
+      const disguise = ext ? ` disguised as .${ext}` : '';
+      warnings.push(`Attachment skipped: ${filename} (OLE compound file${disguise})`);
+      continue;
+    }
+
     // Check file size
-    if (size > MAX_FILE_SIZE) {
-      const sizeMB = (size / (1024 * 1024)).toFixed(1);
-      warnings.push(`Attachment skipped: ${filename} (${sizeMB}MB exceeds 20MB limit)`);
+    if (size > maxFileSize) {
+      warnings.push(`Attachment skipped: ${filename} (${formatFileSize(size)} exceeds ${formatFileSize(maxFileSize)} limit)`);
+      continue;
+    }
+
+    // The file is still uploaded (as what it really is), but the forwarder is told
+    const mismatch = describeTypeMismatch(ext, declaredType, detectedType);
+    if (mismatch) {
+      warnings.push(`Attachment type mismatch: ${filename} (${mismatch})`);
+    }
+
+    if (detectedType === undefined) {
+      valid.push(att);
       continue;
     }
 
-    valid.push(att);
+    // Extensionless files get the extension of their detected type
+    const name = !ext && MIME_TYPES[detectedType] ? `${filename}.${detectedType}` : filename;
+    valid.push({ ...att, Name: name, DetectedType: detectedType });
+  }
+
+  return { valid, inline, warnings };
+}
+
+/**
+ * Filter attachments and scan what is left, as one step shared by the Lambda and the CLIs
+ * @param {Array} attachments - Postmark attachments array
+ * @param {Object} options - Options (optional)
+ * @param {number} options.maxFileSize - Per-file size limit in bytes (default 20MB)
+ * @param {Set<string>} options.bodyContentIds - Content IDs the HTML body references (optional)
+ * @param {Object|null} options.scanner - Malware scanner (see createScanner)
+ * @returns {Promise<{ valid: Array, inline: Array, quarantined: Array, warnings: string[] }>} - Clean
+ *   attachments and inline images, held-back files, and warning messages
+ */
+async function prepareAttachments(attachments, options = {}) {
+  const { valid: filtered, inline: filteredInline, warnings } = filterAttachments(attachments, options);
+
+  // Infected files are held back before anything goes to Notion
+  const { clean: valid, quarantined: quarantinedAttachments } = await scanAttachments(options.scanner, filtered);
+  const { clean: inline, quarantined: quarantinedImages } = await scanAttachments(options.scanner, filteredInline);
+  const quarantined = [...quarantinedAttachments, ...quarantinedImages];
+  warnings.push(...quarantined.map(formatQuarantineWarning));
+
+  return { valid, inline, quarantined, warnings };
+}
+
+/**
+ * Compare an attachment's name and declared type to its detected content
+ * @param {string} ext - Lowercase extension
+ * @param {string} declaredType - Lowercase declared content type, without parameters
+ * @param {string|null|undefined} detectedType - Detected type (undefined if there is no content)
+ * @returns {string|null} - What doesn't match, or null
+ */
+function describeTypeMismatch(ext, declaredType, detectedType) {
+  if (detectedType === undefined) {
+    return null;
   }
+  const content = detectedType ? `content is ${detectedType}` : 'content not recognized';
+  if (EXTENSION_TYPES[ext] && EXTENSION_TYPES[ext] !== detectedType) {
+    return `named .${ext}, ${content}`;
+  }
+  const declaredExt = Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === declaredType);
+  if (EXTENSION_TYPES[declaredExt] && EXTENSION_TYPES[declaredExt] !== detectedType) {
+    return `declared ${declaredType}, ${content}`;
+  }
+  return null;
+}
 
-  return { valid, warnings };
+/**
+ * Detect a file's type from its first bytes
+ * @param {Buffer} head - Start of the file content
+ * @returns {string|null} - Type from FILE_SIGNATURES, or null if unrecognized
+ */
+function detectFileType(head) {
+  const matches = (bytes, offset = 0) => head.length >= offset + bytes.length &&
+    bytes.every((byte, i) => head[offset + i] === byte);
+
+  const signature = FILE_SIGNATURES.find(sig =>
+    matches(sig.bytes) && (!sig.also || matches(sig.also.bytes, sig.also.offset)) &&
+    (!sig.peHeader || (head.length >= PE_OFFSET_FIELD + 4 && matches(PE_SIGNATURE, head.readUInt32LE(PE_OFFSET_FIELD)))));
+  return signature ? signature.type : null;
+}
+
+/**
+ * Look up the signature entry for a detected type
+ * @param {string|null|undefined} type - Detected type
+ * @returns {Object|undefined} - Signature entry
+ */
+function getSignature(type) {
+  return FILE_SIGNATURES.find(sig => sig.type === type);
+}
+
+/**
+ * Sniff an attachment's content without decoding all of it
+ * @param {Object} att - Attachment with base64 Content (or a Buffer)
+ * @returns {string|null|undefined} - Detected type, null if unrecognized, undefined if there is no content
+ */
+function detectAttachmentType(att) {
+  const content = att.Content || att.ContentData;
+  if (!content) {
+    return undefined;
+  }
+  // Every 4 base64 characters decode to 3 bytes
+  const head = Buffer.isBuffer(content) ? content.subarray(0, SNIFF_BYTES) :
+    Buffer.from(content.slice(0, Math.ceil(SNIFF_BYTES / 3) * 4), 'base64');
+  return detectFileType(head);
 }
 
 /**
  * Get file extension from filename
+ * Trailing dots and spaces are ignored ("setup.exe." is still an exe).
  * @param {string} filename - The filename
  * @returns {string} - Extension without dot, or empty string
  */
 function getExtension(filename) {
   if (!filename) return '';
-  const parts = filename.split('.');
+  const parts = filename.replace(/[.\s]+$/, '').split('.');
   if (parts.length < 2) return '';
   return parts[parts.length - 1];
 }
@@ -143,27 +373,46 @@ function isPdfFile(filename) {
 
 /**
  * Get the Notion block type for a file
+ * The detected type wins over the extension, so only real images and PDFs are embedded.
  * @param {string} filename - The filename
+ * @param {string|null} detectedType - Type from content sniffing (optional)
  * @returns {string} - Block type (image, pdf, or file)
  */
-function getBlockType(filename) {
+function getBlockType(filename, detectedType) {
+  if (detectedType !== undefined) {
+    if (IMAGE_EXTENSIONS.includes(detectedType)) return 'image';
+    if (detectedType === 'pdf') return 'pdf';
+    return 'file';
+  }
   if (isImageFile(filename)) return 'image';
   if (isPdfFile(filename)) return 'pdf';
   return 'file';
 }
 
 /**
- * Upload a single file to Notion using the file upload API
+ * Upload a file to Notion using the file upload API
+ * Files up to 20MB are sent in one request; larger files use multi-part mode.
  * @param {string} notionApiKey - Notion API key
  * @param {string} filename - The filename
- * @param {string} base64Content - Base64 encoded file content
+ * @param {string|Buffer} content - Base64 encoded file content, or the raw bytes
+ * @param {string} contentType - MIME type (optional, defaults to the type for the extension)
  * @returns {Promise<string|null>} - File upload ID or null on failure
  */
-async function uploadFileToNotion(notionApiKey, filename, base64Content) {
-  const mimeType = getMimeType(filename);
+async function uploadFileToNotion(notionApiKey, filename, content, contentType) {
+  const mimeType = contentType || getMimeType(filename);
 
   try {
+    const binaryContent = Buffer.isBuffer(content) ? content : Buffer.from(content, 'base64');
+    const partCount = binaryContent.length > MAX_FILE_SIZE
+      ? Math.ceil(binaryContent.length / UPLOAD_PART_SIZE)
+      : 1;
+
     // Step 1: Create file upload object
+    const createBody = { filename, content_type: mimeType };
+    if (partCount > 1) {
+      createBody.mode = 'multi_part';
+      createBody.number_of_parts = partCount;
+    }
     const createResponse = await fetch('https://api.notion.com/v1/file_uploads', {
       method: 'POST',
       headers: {
@@ -171,10 +420,7 @@ async function uploadFileToNotion(notionApiKey, filename, base64Content) {
         'Notion-Version': '2022-06-28',
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({
-        filename: filename,
-        content_type: mimeType,
-      }),
+      body: JSON.stringify(createBody),
     });
 
     if (!createResponse.ok) {
@@ -191,35 +437,36 @@ async function uploadFileToNotion(notionApiKey, filename, base64Content) {
       return null;
     }
 
-    // Step 2: Send file content using multipart/form-data
-    // Decode base64 to binary
-    const binaryContent = Buffer.from(base64Content, 'base64');
-
-    // Create multipart form data manually
-    const boundary = '----NotionFileUpload' + Date.now();
-    const formDataParts = [
-      `--${boundary}\r\n`,
-      `Content-Disposition: form-data; name="file"; filename="${sanitizeFilename(filename)}"\r\n`,
-      `Content-Type: ${mimeType}\r\n\r\n`,
-    ];
+    // Step 2: Send file content (one part, or numbered parts)
+    if (partCount === 1) {
+      if (!await sendFilePart(notionApiKey, fileUploadId, filename, mimeType, binaryContent)) {
+        return null;
+      }
+      console.log(`Uploaded file: ${filename}`);
+      return fileUploadId;
+    }
 
-    const header = Buffer.from(formDataParts.join(''));
-    const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
-    const body = Buffer.concat([header, binaryContent, footer]);
+    for (let part = 1; part <= partCount; part++) {
+      const start = (part - 1) * UPLOAD_PART_SIZE;
+      const chunk = binaryContent.subarray(start, start + UPLOAD_PART_SIZE);
+      if (!await sendFilePart(notionApiKey, fileUploadId, filename, mimeType, chunk, part)) {
+        return null;
+      }
+      console.log(`Uploaded part ${part}/${partCount} of ${filename} (${formatFileSize(start + chunk.length)} of ${formatFileSize(binaryContent.length)})`);
+    }
 
-    const sendResponse = await fetch(`https://api.notion.com/v1/file_uploads/${fileUploadId}/send`, {
+    // Step 3: Complete the multi-part upload
+    const completeResponse = await fetch(`https://api.notion.com/v1/file_uploads/${fileUploadId}/complete`, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${notionApiKey}`,
         'Notion-Version': '2022-06-28',
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
       },
-      body: body,
     });
 
-    if (!sendResponse.ok) {
-      const errorText = await sendResponse.text();
-      console.warn(`File upload send failed (${sendResponse.status}): ${errorText.slice(0, 200)}`);
+    if (!completeResponse.ok) {
+      const errorText = await completeResponse.text();
+      console.warn(`File upload complete failed (${completeResponse.status}): ${errorText.slice(0, 200)}`);
       return null;
     }
 
@@ -232,108 +479,469 @@ async function uploadFileToNotion(notionApiKey, filename, base64Content) {
   }
 }
 
+/**
+ * Send file content (or one part of it) to a file upload as multipart/form-data
+ * @param {string} notionApiKey - Notion API key
+ * @param {string} fileUploadId - File upload ID
+ * @param {string} filename - The filename
+ * @param {string} mimeType - File MIME type
+ * @param {Buffer} content - Bytes to send
+ * @param {number} partNumber - Part number for multi-part uploads (optional)
+ * @returns {Promise<boolean>} - Whether Notion accepted the content
+ */
+async function sendFilePart(notionApiKey, fileUploadId, filename, mimeType, content, partNumber) {
+  // Create multipart form data manually
+  const boundary = '----NotionFileUpload' + Date.now();
+  const formDataParts = [];
+  if (partNumber) {
+    formDataParts.push(
+      `--${boundary}\r\n`,
+      'Content-Disposition: form-data; name="part_number"\r\n\r\n',
+      `${partNumber}\r\n`
+    );
+  }
+  formDataParts.push(
+    `--${boundary}\r\n`,
+    `Content-Disposition: form-data; name="file"; filename="${sanitizeFilename(filename)}"\r\n`,
+    `Content-Type: ${mimeType}\r\n\r\n`
+  );
+
+  const header = Buffer.from(formDataParts.join(''));
+  const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const body = Buffer.concat([header, content, footer]);
+
+  const sendResponse = await fetch(`https://api.notion.com/v1/file_uploads/${fileUploadId}/send`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${notionApiKey}`,
+      'Notion-Version': '2022-06-28',
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+    },
+    body: body,
+  });
+
+  if (!sendResponse.ok) {
+    const errorText = await sendResponse.text();
+    const label = partNumber ? `part ${partNumber}` : 'send';
+    console.warn(`File upload ${label} failed (${sendResponse.status}): ${errorText.slice(0, 200)}`);
+    return false;
+  }
+  return true;
+}
+
 /**
  * Upload attachments to a Notion page using the file upload API
+ * Each attachment's blocks are appended before the next one is uploaded, so a retry can skip
+ * the attachments that made it onto the page. They are skipped by name and content rather than
+ * position, since filtering, scanning or archive expansion can change the list between attempts.
  * @param {Object} notionClient - Notion client
  * @param {string} pageId - Notion page ID
  * @param {Array} attachments - Valid attachments to upload
  * @param {string} notionApiKey - Notion API key for file uploads
- * @returns {{ uploaded: number, warnings: string[] }}
+ * @param {Object} options - Upload options (optional)
+ * @param {boolean} options.expandArchives - Also upload the files inside ZIP attachments
+ * @param {number} options.maxFileSize - Per-file size limit for files inside archives
+ * @param {Object} options.scanner - Malware scanner for files inside archives (optional)
+ * @param {string[]} options.skip - Keys (getAttachmentKey) of attachments a previous attempt
+ *   already added (optional)
+ * @param {Function} options.onAttachment - Called with the running { done, uploaded, quarantined,
+ *   warnings } after each attachment is on the page, done being the keys added so far (optional)
+ * @returns {{ uploaded: number, quarantined: number, warnings: string[] }}
  */
-async function uploadAttachments(notionClient, pageId, attachments, notionApiKey) {
+async function uploadAttachments(notionClient, pageId, attachments, notionApiKey, options = {}) {
   const warnings = [];
   let uploaded = 0;
+  let quarantined = 0;
+  const done = [...(options.skip || [])];
 
-  if (!attachments || attachments.length === 0) {
-    return { uploaded, warnings };
-  }
-
-  const blocks = [];
-
-  // Add divider before attachments
-  blocks.push({
-    type: 'divider',
-    divider: {},
-  });
-
-  // Add attachments header
-  blocks.push({
-    type: 'paragraph',
-    paragraph: {
-      rich_text: [
-        {
-          type: 'text',
-          text: { content: 'Attachments:' },
-          annotations: { bold: true },
-        },
-      ],
-    },
-  });
-
-  // Upload and add each attachment
-  for (const att of attachments) {
-    const filename = att.Name || 'unknown';
-    const base64Content = att.Content || att.ContentData;
-
-    if (!base64Content) {
-      warnings.push(`No content for attachment: ${filename}`);
+  for (const att of attachments || []) {
+    const key = getAttachmentKey(att);
+    if (done.includes(key)) {
       continue;
     }
+    const blocks = [];
 
-    // Upload file to Notion
-    const fileUploadId = await uploadFileToNotion(notionApiKey, filename, base64Content);
-
-    if (fileUploadId) {
-      // Create appropriate block type based on file extension
-      const blockType = getBlockType(filename);
-      const fileObj = { type: 'file_upload', file_upload: { id: fileUploadId } };
-
-      if (blockType === 'image') {
-        blocks.push({
-          type: 'image',
-          image: fileObj,
-        });
-      } else if (blockType === 'pdf') {
-        blocks.push({
-          type: 'pdf',
-          pdf: fileObj,
-        });
-      } else {
-        blocks.push({
-          type: 'file',
-          file: fileObj,
-        });
-      }
-      uploaded++;
-    } else {
-      // Fallback: list the attachment with a warning
-      const size = formatFileSize(att.ContentLength || 0);
+    // Divider and header go above the first attachment on the page
+    if (done.length === 0) {
+      blocks.push({
+        type: 'divider',
+        divider: {},
+      });
       blocks.push({
-        type: 'callout',
-        callout: {
-          icon: { type: 'emoji', emoji: '⚠️' },
-          color: 'yellow_background',
+        type: 'paragraph',
+        paragraph: {
           rich_text: [
             {
               type: 'text',
-              text: { content: `Failed to upload: ${filename} (${size})` },
+              text: { content: 'Attachments:' },
+              annotations: { bold: true },
             },
           ],
         },
       });
-      warnings.push(`Failed to upload: ${filename}`);
     }
+
+    const result = await uploadAttachmentBlock(att, notionApiKey, warnings);
+    if (result) {
+      blocks.push(result.block);
+      if (result.uploaded) {
+        uploaded++;
+      }
+
+      // The archive stays attached; its contents are listed in a toggle below it. Archives are
+      // found by content, so a renamed ZIP is unpacked and scanned too.
+      if (options.expandArchives && isExpandableArchive(att)) {
+        const { files: unpacked, warnings: archiveWarnings } = expandArchive(att, options);
+        warnings.push(...archiveWarnings);
+
+        // Files inside the archive are scanned on their own before upload
+        const { clean: files, quarantined: held } = await scanAttachments(options.scanner, unpacked);
+        warnings.push(...held.map(formatQuarantineWarning));
+        quarantined += held.length;
+
+        const children = [];
+        for (const file of files) {
+          const fileResult = await uploadAttachmentBlock(file, notionApiKey, warnings);
+          if (fileResult) {
+            children.push(fileResult.block);
+            if (fileResult.uploaded) {
+              uploaded++;
+            }
+          }
+        }
+
+        if (files.length > 0) {
+          blocks.push({
+            type: 'toggle',
+            toggle: {
+              rich_text: [{ type: 'text', text: { content: `📦 ${att.Name} (${files.length} ${files.length === 1 ? 'file' : 'files'})` } }],
+              children,
+            },
+          });
+        }
+      }
+    }
+
+    // Toggles can hold more children than one request allows
+    if (blocks.length > 0) {
+      await appendBlocksToPage(notionClient, pageId, blocks);
+    }
+    done.push(key);
+    if (options.onAttachment) {
+      await options.onAttachment({ done: [...done], uploaded, quarantined, warnings: [...warnings] });
+    }
+  }
+
+  return { uploaded, quarantined, warnings };
+}
+
+/**
+ * Check whether an attachment is a ZIP archive to unpack (not a ZIP-based document)
+ * @param {Object} att - Attachment from filterAttachments
+ * @returns {boolean}
+ */
+function isExpandableArchive(att) {
+  const detectedType = att.DetectedType === undefined ? detectAttachmentType(att) : att.DetectedType;
+  return detectedType === 'zip' && !ZIP_DOCUMENT_EXTENSIONS.includes(getExtension(att.Name).toLowerCase());
+}
+
+/**
+ * Identify an attachment by name and content, for skipping it on a retry
+ * @param {Object} att - Attachment
+ * @returns {string} - SHA-256 hex digest
+ */
+function getAttachmentKey(att) {
+  return crypto.createHash('sha256')
+    .update(att.Name || '')
+    .update('\0')
+    .update(att.Content || att.ContentData || '')
+    .digest('hex');
+}
+
+/**
+ * Upload one attachment and build the block that shows it
+ * @param {Object} att - Attachment
+ * @param {string} notionApiKey - Notion API key for file uploads
+ * @param {string[]} warnings - Warning list to add failures to
+ * @returns {Promise<{ block: Object, uploaded: boolean }|null>} - Block, or null when there is no content
+ */
+async function uploadAttachmentBlock(att, notionApiKey, warnings) {
+  const filename = att.Name || 'unknown';
+  const content = att.Content || att.ContentData;
+
+  if (!content) {
+    warnings.push(`No content for attachment: ${filename}`);
+    return null;
+  }
+
+  // Images and PDFs are uploaded with the MIME type of their detected content
+  const blockType = getBlockType(filename, att.DetectedType);
+  const contentType = blockType === 'file' ? undefined : MIME_TYPES[att.DetectedType];
+
+  // Upload file to Notion
+  const fileUploadId = await uploadFileToNotion(notionApiKey, filename, content, contentType);
+
+  if (fileUploadId) {
+    const fileObj = { type: 'file_upload', file_upload: { id: fileUploadId } };
+
+    return {
+      block: { type: blockType, [blockType]: fileObj },
+      uploaded: true,
+    };
+  }
+
+  // Fallback: list the attachment with a warning
+  const size = formatFileSize(att.ContentLength || 0);
+  warnings.push(`Failed to upload: ${filename}`);
+  return {
+    block: {
+      type: 'callout',
+      callout: {
+        icon: { type: 'emoji', emoji: '⚠️' },
+        color: 'yellow_background',
+        rich_text: [
+          {
+            type: 'text',
+            text: { content: `Failed to upload: ${filename} (${size})` },
+          },
+        ],
+      },
+    },
+    uploaded: false,
+  };
+}
+
+/**
+ * Unpack a ZIP attachment in memory
+ * Inner files go through filterAttachments; archives that look like zip bombs
+ * (too many entries, too much output, or extreme compression) are not unpacked.
+ * @param {Object} att - ZIP attachment
+ * @param {Object} options - Expansion options
+ * @param {number} options.maxFileSize - Per-file size limit in bytes
+ * @returns {{ files: Array, warnings: string[] }} - Inner files as attachments, and warnings
+ */
+function expandArchive(att, options = {}) {
+  const archiveName = att.Name || 'archive.zip';
+  const maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+  const skip = (reason) => ({ files: [], warnings: [`Archive not unpacked: ${archiveName} (${reason})`] });
+
+  let buffer;
+  let entries;
+  try {
+    buffer = Buffer.isBuffer(att.Content) ? att.Content : Buffer.from(att.Content || att.ContentData || '', 'base64');
+    if (!isZipBuffer(buffer)) {
+      return skip('not a ZIP file');
+    }
+    entries = listZipEntries(buffer);
+  } catch (error) {
+    return skip(error.message);
+  }
+
+  // Folders and macOS metadata aren't files anyone sent on purpose
+  const fileEntries = entries.filter(entry =>
+    !entry.name.endsWith('/') && !/(^|\/)(__MACOSX\/|\.DS_Store$)/.test(entry.name));
+
+  if (fileEntries.length > ZIP_MAX_ENTRIES) {
+    return skip(`${fileEntries.length} files exceeds the ${ZIP_MAX_ENTRIES}-file limit`);
   }
+  if (fileEntries.some(entry => entry.encrypted)) {
+    return skip('password protected');
+  }
+  const declaredTotal = fileEntries.reduce((sum, entry) => sum + entry.size, 0);
+  if (declaredTotal > ZIP_MAX_TOTAL_BYTES) {
+    return skip(`${formatFileSize(declaredTotal)} unpacked exceeds ${formatFileSize(ZIP_MAX_TOTAL_BYTES)}`);
+  }
+
+  const files = [];
+  let total = 0;
+  for (const entry of fileEntries) {
+    const name = entry.name.split('/').pop();
+
+    // Entries over the size cap are reported by filterAttachments below without being inflated
+    if (entry.size > maxFileSize) {
+      files.push({ Name: name, ContentLength: entry.size, ContentID: '' });
+      continue;
+    }
+
+    let content;
+    try {
+      content = extractZipEntry(buffer, entry, Math.min(maxFileSize, ZIP_MAX_TOTAL_BYTES - total));
+    } catch (error) {
+      return skip(error.message);
+    }
+
+    total += content.length;
+    if (content.length > ZIP_MAX_RATIO * Math.max(entry.compressedSize, 1) && content.length > 1024 * 1024) {
+      return skip(`compression ratio of ${name} looks like a zip bomb`);
+    }
 
-  // Append blocks to page
-  if (blocks.length > 0) {
-    await notionClient.blocks.children.append({
-      block_id: pageId,
-      children: blocks,
+    files.push({
+      Name: name,
+      Content: content,
+      ContentType: getMimeType(name),
+      ContentLength: content.length,
+      ContentID: '',
     });
   }
 
-  return { uploaded, warnings };
+  const { valid, warnings } = filterAttachments(files, { maxFileSize });
+  return {
+    files: valid,
+    warnings: warnings.map(warning => warning.replace('Attachment skipped: ', `Attachment skipped: ${archiveName}/`)),
+  };
+}
+
+/**
+ * Normalize a Content-ID or cid: URL to a bare ID ("<abc@x>" and "cid:abc@x" -> "abc@x")
+ * @param {string} contentId - Content-ID header value or cid: URL
+ * @returns {string} - Bare content ID
+ */
+function normalizeContentId(contentId) {
+  return (contentId || '').trim().replace(/^cid:/i, '').replace(/^<(.*)>$/, '$1').toLowerCase();
+}
+
+/**
+ * List the content IDs an HTML body references with cid: URLs
+ * @param {string} html - HTML body
+ * @returns {Set<string>} - Bare content IDs (see normalizeContentId)
+ */
+function collectContentIds(html) {
+  const ids = new Set();
+  for (const match of (html || '').matchAll(/\bcid:([^"'\s)>]+)/gi)) {
+    ids.add(normalizeContentId(match[1]));
+  }
+  return ids;
+}
+
+/**
+ * Read the pixel dimensions of a PNG, GIF or JPEG image
+ * @param {Buffer} buffer - Image content
+ * @returns {{ width: number, height: number }|null} - Dimensions, or null if unknown
+ */
+function getImageDimensions(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments to the start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether an inline image is a tracking pixel or spacer
+ * @param {Buffer} buffer - Image content
+ * @returns {boolean}
+ */
+function isTrackingImage(buffer) {
+  if (buffer.length < MIN_INLINE_IMAGE_BYTES) {
+    return true;
+  }
+  const dimensions = getImageDimensions(buffer);
+  return !!dimensions &&
+    (dimensions.width < MIN_INLINE_IMAGE_DIMENSION || dimensions.height < MIN_INLINE_IMAGE_DIMENSION);
+}
+
+/**
+ * Replace image blocks anywhere in a block tree (including nested children)
+ * @param {Array} blocks - Notion blocks
+ * @param {Function} resolve - Async function mapping an image block to a block, or null to drop it
+ * @returns {Promise<Array>} - New block tree
+ */
+async function replaceImageBlocks(blocks, resolve) {
+  const result = [];
+  for (const block of blocks) {
+    if (block.type === 'image') {
+      const replacement = await resolve(block);
+      if (replacement) {
+        result.push(replacement);
+      }
+      continue;
+    }
+
+    const content = block[block.type];
+    if (content?.children) {
+      result.push({ ...block, [block.type]: { ...content, children: await replaceImageBlocks(content.children, resolve) } });
+    } else {
+      result.push(block);
+    }
+  }
+  return result;
+}
+
+/**
+ * Replace cid: image placeholders from convert.js with uploaded image blocks
+ * Each placeholder becomes one block (or is dropped) so block counts stay stable across retries.
+ * @param {Array} blocks - Content blocks, possibly with nested children
+ * @param {Array} inlineImages - CID-embedded image attachments
+ * @param {string} notionApiKey - Notion API key for file uploads
+ * @returns {Promise<{ blocks: Array, uploaded: number, warnings: string[] }>}
+ */
+async function embedInlineImages(blocks, inlineImages, notionApiKey) {
+  const byContentId = new Map((inlineImages || []).map(att => [normalizeContentId(att.ContentID), att]));
+  const uploads = new Map();
+  const warnings = [];
+  let uploaded = 0;
+
+  const resolved = await replaceImageBlocks(blocks, async (block) => {
+    const url = block.image.external?.url || '';
+    if (!/^cid:/i.test(url)) {
+      return block;
+    }
+
+    const att = byContentId.get(normalizeContentId(url));
+    const base64Content = att?.Content || att?.ContentData;
+    if (!base64Content || isTrackingImage(Buffer.from(base64Content, 'base64'))) {
+      return null;
+    }
+
+    // An image referenced more than once is uploaded once
+    const filename = att.Name || 'image';
+    if (!uploads.has(att)) {
+      uploads.set(att, await uploadFileToNotion(notionApiKey, filename, base64Content));
+      if (uploads.get(att)) {
+        uploaded++;
+      } else {
+        warnings.push(`Failed to upload inline image: ${filename}`);
+      }
+    }
+
+    const fileUploadId = uploads.get(att);
+    if (!fileUploadId) {
+      return createImagePlaceholder(`Inline image not uploaded: ${filename}`);
+    }
+    return {
+      type: 'image',
+      image: { type: 'file_upload', file_upload: { id: fileUploadId } },
+    };
+  });
+
+  return { blocks: resolved, uploaded, warnings };
+}
+
+/**
+ * Create the italic paragraph shown in place of an image that wasn't uploaded
+ * @param {string} text - Placeholder text
+ * @returns {Object} - Notion paragraph block
+ */
+function createImagePlaceholder(text) {
+  return {
+    type: 'paragraph',
+    paragraph: {
+      rich_text: [{ type: 'text', text: { content: `[${text}]` }, annotations: { italic: true } }],
+    },
+  };
 }
 
 /**
@@ -359,10 +967,21 @@ function createWarningBlock(warnings) {
 
 module.exports = {
   filterAttachments,
+  prepareAttachments,
+  detectFileType,
   uploadAttachments,
+  expandArchive,
+  embedInlineImages,
+  collectContentIds,
+  replaceImageBlocks,
+  createImagePlaceholder,
+  uploadFileToNotion,
   isImageFile,
+  isTrackingImage,
   formatFileSize,
   createWarningBlock,
   BLOCKED_EXTENSIONS,
+  getMaxFileSize,
   MAX_FILE_SIZE,
+  MIN_INLINE_IMAGE_DIMENSION,
 };
@@ -0,0 +1,497 @@
+#!/usr/bin/env node
+/**
+ * Backfill importer for mbox files and Maildir folders
+ *
+ * Walks an archive, picks a hashtag for each message from a header rule or its folder, and
+ * creates entries through the replay pipeline. Archived mail isn't a forward, so sender, date
+ * and body come from each message itself. Imported Message-IDs are appended to a state
+ * file and also looked up in Notion, so an interrupted run can be restarted safely.
+ *
+ * Usage: node backfill.js --config config.json [--map map.json] [--state file] [--dry-run] <archive>...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { loadLocalConfig } = require('./config');
+const { replayEmail, pushReplayResult } = require('./replay');
+const { parseSubject } = require('./parse');
+const { createClient, getDataSourceId, readMessageIds } = require('./notion');
+
+const USAGE = 'Usage: node backfill.js --config config.json [--map map.json] [--state file] [--dry-run] <mbox file|Maildir>...';
+
+// Notion allows an average of 3 requests per second per integration
+const NOTION_REQUEST_INTERVAL_MS = 350;
+const NOTION_MAX_RETRIES = 5;
+
+// Default state file (one imported Message-ID per line)
+const DEFAULT_STATE_FILE = 'backfill-state.txt';
+
+// Folder name for the top level of a Maildir++ tree
+const MAILDIR_ROOT_FOLDER = 'INBOX';
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ configPath: string|null, mapPath: string|null, statePath: string, dryRun: boolean, targets: string[] }}
+ */
+function parseArgs(argv) {
+  const options = { configPath: null, mapPath: null, statePath: DEFAULT_STATE_FILE, dryRun: false, targets: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') {
+      options.configPath = argv[++i] || null;
+    } else if (arg === '--map') {
+      options.mapPath = argv[++i] || null;
+    } else if (arg === '--state') {
+      options.statePath = argv[++i] || DEFAULT_STATE_FILE;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.targets.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse the hashtag mapping
+ *
+ * Expected shape (every field optional):
+ * {
+ *   "header": { "name": "X-Gmail-Labels", "pattern": "Clients/([\\w-]+)" },
+ *   "folders": { "Clients/Acme": "acme", "Globex": "globex" },
+ *   "default": "archive"
+ * }
+ *
+ * @param {string} json - Mapping JSON (or empty)
+ * @returns {{ header: { name: string, pattern: RegExp }|null, folders: Map, defaultHashtag: string|null }}
+ */
+function parseHashtagMap(json) {
+  let raw = {};
+  if (json) {
+    try {
+      raw = JSON.parse(json);
+    } catch (e) {
+      throw new Error(`Invalid hashtag map JSON: ${e.message}`);
+    }
+  }
+
+  let header = null;
+  if (raw.header) {
+    if (!raw.header.name || !raw.header.pattern) {
+      throw new Error('Hashtag map header rule needs a name and a pattern');
+    }
+    header = { name: raw.header.name.toLowerCase(), pattern: new RegExp(raw.header.pattern, 'i') };
+  }
+
+  return {
+    header,
+    folders: new Map(Object.entries(raw.folders || {}).map(([folder, tag]) => [folder.toLowerCase(), tag])),
+    defaultHashtag: raw.default || null,
+  };
+}
+
+/**
+ * Read a header value from a raw message (folded lines are joined)
+ * @param {Buffer} raw - Raw message
+ * @param {string} name - Lowercase header name
+ * @returns {string|null} - First value, or null
+ */
+function readHeader(raw, name) {
+  const text = raw.toString('latin1');
+  const end = text.search(/\r?\n\r?\n/);
+  const lines = (end === -1 ? text : text.slice(0, end)).split(/\r?\n/);
+
+  let current = null;
+  for (const line of lines) {
+    if (/^[ \t]/.test(line) && current !== null) {
+      current += ` ${line.trim()}`;
+      continue;
+    }
+    if (current !== null) {
+      return current;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0 && line.slice(0, colon).trim().toLowerCase() === name) {
+      current = line.slice(colon + 1).trim();
+    }
+  }
+  return current;
+}
+
+/**
+ * Sanitize a mapped tag the same way as a subject hashtag ("Clients/Acme Corp" -> "clients/acmecorp")
+ * @param {string} tag - Raw tag
+ * @returns {string|null}
+ */
+function normalizeHashtag(tag) {
+  const hashtag = parseSubject(`#${String(tag).replace(/\s+/g, '')}`).hashtags[0];
+  return hashtag === 'missing' ? null : hashtag;
+}
+
+/**
+ * Pick the hashtag for a message: header rule, then folder, then subject tag, then default
+ * @param {Object} map - Result of parseHashtagMap
+ * @param {string} folder - Folder the message came from
+ * @param {Buffer} raw - Raw message
+ * @returns {string|null} - Hashtag, or null to skip the message
+ */
+function resolveImportHashtag(map, folder, raw) {
+  if (map.header) {
+    const value = readHeader(raw, map.header.name);
+    const match = value && value.match(map.header.pattern);
+    if (match) {
+      return normalizeHashtag(match[1] || match[0]);
+    }
+  }
+
+  const folderTag = map.folders.get((folder || '').toLowerCase());
+  if (folderTag) {
+    return normalizeHashtag(folderTag);
+  }
+
+  const subjectTag = parseSubject(readHeader(raw, 'subject') || '').hashtags[0];
+  if (subjectTag !== 'missing') {
+    return subjectTag;
+  }
+
+  return map.defaultHashtag ? normalizeHashtag(map.defaultHashtag) : null;
+}
+
+/**
+ * Read the messages in an mbox file (mboxrd ">From " quoting is undone)
+ * @param {string} filePath - mbox file
+ * @returns {AsyncGenerator<Buffer>} - Raw messages
+ */
+async function* readMbox(filePath) {
+  // latin1 keeps every byte as one character, so 8-bit bodies survive the round trip
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'latin1' }),
+    crlfDelay: Infinity,
+  });
+
+  let message = null;
+  let previousBlank = true;
+  for await (const line of lines) {
+    if (previousBlank && line.startsWith('From ')) {
+      if (message) {
+        yield finishMboxMessage(message);
+      }
+      message = [];
+    } else if (message) {
+      message.push(/^>+From /.test(line) ? line.slice(1) : line);
+    }
+    previousBlank = line === '';
+  }
+  if (message) {
+    yield finishMboxMessage(message);
+  }
+}
+
+/**
+ * Join mbox lines into a message, dropping the blank separator line
+ * @param {string[]} lines - Message lines
+ * @returns {Buffer}
+ */
+function finishMboxMessage(lines) {
+  if (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return Buffer.from(lines.join('\n'), 'latin1');
+}
+
+/**
+ * Check whether a directory is a Maildir (has cur/ or new/)
+ * @param {string} dir - Directory
+ * @returns {boolean}
+ */
+function isMaildir(dir) {
+  return ['cur', 'new'].some(sub => fs.existsSync(path.join(dir, sub)));
+}
+
+/**
+ * List the Maildir folders under a root
+ * Maildir++ subfolders (".Clients.Acme") and nested Maildirs ("Clients/Acme") are both found.
+ * @param {string} root - Maildir root
+ * @returns {Array<{ folder: string, dir: string }>} - Folders, sorted by name
+ */
+function listMaildirFolders(root) {
+  const folders = [];
+
+  const walk = (dir, prefix) => {
+    if (isMaildir(dir)) {
+      folders.push({ folder: prefix || MAILDIR_ROOT_FOLDER, dir });
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || ['cur', 'new', 'tmp'].includes(entry.name)) {
+        continue;
+      }
+      const name = entry.name.startsWith('.')
+        ? entry.name.slice(1).split('.').join('/')
+        : entry.name;
+      walk(path.join(dir, entry.name), prefix ? `${prefix}/${name}` : name);
+    }
+  };
+  walk(root, '');
+
+  return folders.sort((a, b) => a.folder.localeCompare(b.folder));
+}
+
+/**
+ * Walk an archive and yield its messages
+ * A directory is read as Maildir, a file as mbox (named after the file).
+ * @param {string} target - mbox file or Maildir root
+ * @returns {AsyncGenerator<{ folder: string, source: string, raw: Buffer }>}
+ */
+async function* readArchive(target) {
+  if (!fs.statSync(target).isDirectory()) {
+    const folder = path.basename(target).replace(/\.mbox$/i, '');
+    let index = 0;
+    for await (const raw of readMbox(target)) {
+      index++;
+      yield { folder, source: `${target}#${index}`, raw };
+    }
+    return;
+  }
+
+  for (const { folder, dir } of listMaildirFolders(target)) {
+    for (const sub of ['cur', 'new']) {
+      const subDir = path.join(dir, sub);
+      if (!fs.existsSync(subDir)) {
+        continue;
+      }
+      for (const name of fs.readdirSync(subDir).sort()) {
+        const file = path.join(subDir, name);
+        yield { folder, source: file, raw: fs.readFileSync(file) };
+      }
+    }
+  }
+}
+
+/**
+ * Get the Message-ID used to deduplicate a message
+ * Messages without one get a stable ID from a hash of their content.
+ * @param {Buffer} raw - Raw message
+ * @returns {string}
+ */
+function getImportMessageId(raw) {
+  const header = readHeader(raw, 'message-id');
+  const match = header && header.match(/<[^>]+>/);
+  if (match) {
+    return match[0];
+  }
+  return `<backfill-${crypto.createHash('sha256').update(raw).digest('hex').slice(0, 32)}@email-to-notion>`;
+}
+
+/**
+ * Load the Message-IDs recorded by earlier runs
+ * @param {string} statePath - State file
+ * @returns {Set<string>}
+ */
+function loadImportState(statePath) {
+  if (!fs.existsSync(statePath)) {
+    return new Set();
+  }
+  return new Set(fs.readFileSync(statePath, 'utf-8').split('\n').map(line => line.trim()).filter(Boolean));
+}
+
+/**
+ * Wrap fetch so Notion API calls stay under the rate limit and 429s are retried
+ * Other hosts (remote image downloads) pass straight through.
+ * @param {Function} baseFetch - fetch implementation
+ * @param {Object} options - Throttle options (optional)
+ * @param {number} options.intervalMs - Minimum gap between Notion requests
+ * @param {number} options.maxRetries - Retries after a 429 response
+ * @returns {Function} - Throttled fetch
+ */
+function createThrottledFetch(baseFetch, options = {}) {
+  const intervalMs = options.intervalMs ?? NOTION_REQUEST_INTERVAL_MS;
+  const maxRetries = options.maxRetries ?? NOTION_MAX_RETRIES;
+  let nextSlot = 0;
+
+  const waitForSlot = async () => {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + intervalMs;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  };
+
+  return async function throttledFetch(url, init) {
+    if (!String(url?.url || url).startsWith('https://api.notion.com/')) {
+      return baseFetch(url, init);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForSlot();
+      const response = await baseFetch(url, init);
+      if (response.status !== 429 || attempt >= maxRetries) {
+        return response;
+      }
+      // Hold every later request back until Notion's Retry-After has passed
+      const retryAfterMs = (Number(response.headers.get('retry-after')) || 1) * 1000;
+      nextSlot = Math.max(nextSlot, Date.now() + retryAfterMs);
+      console.warn(`Notion rate limit hit, retrying in ${retryAfterMs}ms`);
+    }
+  };
+}
+
+/**
+ * Find the page created for exactly this message
+ * "Message IDs" also lists the IDs a message replied to, so a "contains" match can be the page
+ * of a later reply. A page's own Message-ID is the first one stored.
+ * @param {Client} client - Notion client
+ * @param {string} databaseId - Database ID
+ * @param {string} messageId - Message-ID of the archived message
+ * @param {Object} propertyMap - Property map (see parsePropertyMap)
+ * @returns {Promise<Object|null>} - Page, or null if the message hasn't been imported
+ */
+async function findImportedPage(client, databaseId, messageId, propertyMap) {
+  if (!propertyMap.messageIds) {
+    return null;
+  }
+
+  const dataSourceId = await getDataSourceId(client, databaseId);
+  let cursor;
+  do {
+    const response = await client.dataSources.query({
+      data_source_id: dataSourceId,
+      filter: { property: propertyMap.messageIds.property, rich_text: { contains: messageId } },
+      start_cursor: cursor,
+      page_size: 100,
+    });
+    const page = response.results.find(result => readMessageIds(result, propertyMap)[0] === messageId);
+    if (page) {
+      return page;
+    }
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return null;
+}
+
+/**
+ * Import every message in the given archives
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} config - Config (see buildConfig)
+ * @param {Object} map - Result of parseHashtagMap
+ * @returns {Promise<{ imported: number, skipped: number, failed: number }>}
+ */
+async function runBackfill(options, config, map) {
+  const imported = loadImportState(options.statePath);
+  const client = options.dryRun ? null : createClient(config.notionApiKey);
+  const counts = { imported: 0, skipped: 0, failed: 0 };
+
+  for (const target of options.targets) {
+    for await (const { folder, source, raw } of readArchive(target)) {
+      const messageId = getImportMessageId(raw);
+      if (imported.has(messageId)) {
+        counts.skipped++;
+        continue;
+      }
+
+      const hashtag = resolveImportHashtag(map, folder, raw);
+      if (!hashtag) {
+        console.log(`Skipped ${source}: no hashtag for folder "${folder}"`);
+        counts.skipped++;
+        continue;
+      }
+
+      try {
+        const result = await replayEmail(raw, config, { hashtag, archived: true });
+        // Only this message's own ID, so the lookup below matches exactly this message
+        result.entry.messageIds = [messageId];
+
+        if (options.dryRun) {
+          console.log(JSON.stringify({ source, folder, messageId, hashtag: result.entry.hashtag, subject: result.entry.subject }));
+          counts.imported++;
+          continue;
+        }
+
+        const existing = await findImportedPage(client, result.entry.databaseId, messageId, config.propertyMap);
+        if (existing) {
+          console.log(`Skipped ${source}: already in Notion (${messageId})`);
+        } else {
+          const pageUrl = await pushReplayResult(config, result);
+          console.log(`Imported ${source} as #${result.entry.hashtag}: ${pageUrl}`);
+          counts.imported++;
+        }
+
+        fs.appendFileSync(options.statePath, `${messageId}\n`);
+        imported.add(messageId);
+      } catch (error) {
+        console.error(`Failed to import ${source}: ${error.message}`);
+        counts.failed++;
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+  if (options.targets.length === 0 || !options.configPath) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const config = loadLocalConfig(options.configPath);
+  const map = parseHashtagMap(options.mapPath ? fs.readFileSync(options.mapPath, 'utf-8') : '');
+  if (!options.dryRun && (!config.notionApiKey || !config.notionDatabaseId)) {
+    console.error('Backfill needs notion-api-key and notion-database-id in the config file');
+    return 2;
+  }
+
+  // The Notion SDK and the file uploads both call the global fetch
+  globalThis.fetch = createThrottledFetch(globalThis.fetch);
+
+  const counts = await runBackfill(options, config, map);
+  const verb = options.dryRun ? 'to import' : 'imported';
+  console.log(`Backfill done: ${counts.imported} ${verb}, ${counts.skipped} skipped, ${counts.failed} failed`);
+  return counts.failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  parseHashtagMap,
+  readHeader,
+  resolveImportHashtag,
+  readMbox,
+  listMaildirFolders,
+  readArchive,
+  getImportMessageId,
+  loadImportState,
+  findImportedPage,
+  createThrottledFetch,
+  runBackfill,
+  main,
+};
@@ -0,0 +1,181 @@
+/**
+ * Client pages: link each entry to its client's page in a separate Clients database
+ *
+ * Configured through the "client" entry of the property map:
+ * {
+ *   "client": {
+ *     "property": "Client",
+ *     "type": "relation",
+ *     "databaseId": "...",
+ *     "keyProperty": "Hashtag",
+ *     "create": true
+ *   }
+ * }
+ * keyProperty defaults to the Clients database's title. With "create", a client without a
+ * page gets one; otherwise the relation is left empty.
+ */
+
+const { getDataSourceId, getPlainText } = require('./notion');
+const { normalizeTag } = require('./registry');
+
+// Cache lookups to avoid Notion queries on every invocation (same lifetime as the config cache)
+const CLIENT_PAGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const clientPageCache = new Map();
+const keyPropertyCache = new Map();
+
+/**
+ * Get the client key for an email: the top level of its client hashtag
+ * @param {{ hashtags: string[], triaged: boolean }} resolution - Result of resolveClient
+ * @returns {string|null} - Key, or null when the email has no known client
+ */
+function getClientKey(resolution) {
+  const hashtag = resolution.hashtags[0];
+  if (!hashtag || hashtag === 'missing' || resolution.triaged) {
+    return null;
+  }
+  return hashtag.split('/')[0];
+}
+
+/**
+ * Find the Clients database property holding the client key (cached)
+ * @param {Client} client - Notion client
+ * @param {Object} mapping - Property map entry for the client field
+ * @returns {Promise<{ dataSourceId: string, name: string, type: string, titleName: string }>}
+ */
+async function getKeyProperty(client, mapping) {
+  if (keyPropertyCache.has(mapping.databaseId)) {
+    return keyPropertyCache.get(mapping.databaseId);
+  }
+
+  const dataSourceId = await getDataSourceId(client, mapping.databaseId);
+  const dataSource = await client.dataSources.retrieve({ data_source_id: dataSourceId });
+  const properties = Object.values(dataSource.properties || {});
+  const title = properties.find(p => p.type === 'title');
+  const key = mapping.keyProperty ? dataSource.properties?.[mapping.keyProperty] : title;
+
+  if (!key || !['title', 'rich_text', 'select', 'multi_select'].includes(key.type)) {
+    throw new Error(`Clients database has no text or select property "${mapping.keyProperty || 'title'}"`);
+  }
+
+  const keyProperty = { dataSourceId, name: key.name, type: key.type, titleName: title?.name };
+  keyPropertyCache.set(mapping.databaseId, keyProperty);
+  return keyProperty;
+}
+
+/**
+ * Read a key property's values from a page
+ * @param {Object} page - Notion page
+ * @param {{ name: string, type: string }} keyProperty - Key property
+ * @returns {string[]}
+ */
+function readKeyValues(page, keyProperty) {
+  const value = page.properties?.[keyProperty.name];
+  switch (keyProperty.type) {
+    case 'select':
+      return value?.select ? [value.select.name] : [];
+    case 'multi_select':
+      return (value?.multi_select || []).map(option => option.name);
+    default:
+      return [getPlainText(value?.[keyProperty.type])];
+  }
+}
+
+/**
+ * Find the client's page by its key
+ * Notion's text filters are loose, so candidates are compared the way registry keys are
+ * normalized ("Acme Co" doesn't match "acme", "ACME" does). A short key can match many
+ * pages, so every page of results is checked.
+ * @param {Client} client - Notion client
+ * @param {{ dataSourceId: string, name: string, type: string }} keyProperty - Key property
+ * @param {string} key - Client key
+ * @returns {Promise<Object|null>} - Page, or null if none matches
+ */
+async function findClientPage(client, keyProperty, key) {
+  const condition = keyProperty.type === 'select' ? { equals: key } : { contains: key };
+  const normalized = normalizeTag(key);
+  let cursor;
+  do {
+    const response = await client.dataSources.query({
+      data_source_id: keyProperty.dataSourceId,
+      filter: { property: keyProperty.name, [keyProperty.type]: condition },
+      start_cursor: cursor,
+      page_size: 100,
+    });
+    const page = response.results.find(result =>
+      readKeyValues(result, keyProperty).some(value => normalizeTag(value) === normalized)
+    );
+    if (page) {
+      return page;
+    }
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return null;
+}
+
+/**
+ * Create a page for a new client
+ * @param {Client} client - Notion client
+ * @param {{ dataSourceId: string, name: string, type: string, titleName: string }} keyProperty - Key property
+ * @param {string} key - Client key
+ * @returns {Promise<Object>} - Created page
+ */
+async function createClientPage(client, keyProperty, key) {
+  const properties = {};
+  if (keyProperty.titleName) {
+    properties[keyProperty.titleName] = { title: [{ text: { content: key } }] };
+  }
+  if (keyProperty.type === 'rich_text') {
+    properties[keyProperty.name] = { rich_text: [{ text: { content: key } }] };
+  } else if (keyProperty.type === 'select') {
+    properties[keyProperty.name] = { select: { name: key } };
+  } else if (keyProperty.type === 'multi_select') {
+    properties[keyProperty.name] = { multi_select: [{ name: key }] };
+  }
+
+  // The key property was read from this data source, so the page goes in the same one
+  return client.pages.create({
+    parent: { type: 'data_source_id', data_source_id: keyProperty.dataSourceId },
+    properties,
+  });
+}
+
+/**
+ * Resolve the client's page ID, creating the page if the mapping allows it
+ * @param {Client} client - Notion client
+ * @param {Object|null} mapping - Property map entry for the client field (null when not mapped)
+ * @param {string|null} key - Client key (see getClientKey)
+ * @param {string} requestId - Request ID for logs (optional)
+ * @returns {Promise<string|null>} - Page ID, or null when there is nothing to link
+ */
+async function resolveClientPage(client, mapping, key, requestId) {
+  if (!mapping || !key) {
+    return null;
+  }
+
+  const cacheKey = `${mapping.databaseId}:${key}`;
+  const cached = clientPageCache.get(cacheKey);
+  if (cached && (Date.now() - cached.loadedAt) < CLIENT_PAGE_TTL_MS) {
+    return cached.pageId;
+  }
+
+  const keyProperty = await getKeyProperty(client, mapping);
+  let page = await findClientPage(client, keyProperty, key);
+  if (!page && mapping.create) {
+    page = await createClientPage(client, keyProperty, key);
+    console.log('Created client page', { requestId, client: key, pageId: page.id });
+  } else if (!page) {
+    console.log('No client page found', { requestId, client: key });
+  }
+
+  const pageId = page?.id || null;
+  clientPageCache.set(cacheKey, { pageId, loadedAt: Date.now() });
+  return pageId;
+}
+
+module.exports = {
+  getClientKey,
+  resolveClientPage,
+  findClientPage,
+  CLIENT_PAGE_TTL_MS,
+};
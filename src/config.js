@@ -0,0 +1,125 @@
+/**
+ * Configuration: parameter names and how their values become the config object
+ * The Lambda reads the parameters from SSM; the CLIs read them from a local JSON file.
+ */
+
+const fs = require('fs');
+const {
+  parseInboxSecrets,
+  parseSenderPermissions,
+  parseVerdictPolicy,
+} = require('./validate');
+const { parseClientRegistry } = require('./registry');
+const { parsePropertyMap } = require('./properties');
+const { parseReplyEvents } = require('./notify');
+const { isValidTimeZone, DEFAULT_TIME_ZONE } = require('./dates');
+
+// SSM path prefix shared by every parameter
+const CONFIG_PARAMETER_PREFIX = '/email-to-notion/';
+
+// Parameter names (without the prefix)
+const CONFIG_PARAMETERS = [
+  'inbox-secret',
+  'allowed-senders',
+  'notion-database-id',
+  'notion-api-key',
+  'anthropic-api-key',
+  'summary-prompt',
+  'thread-mode',
+  'client-registry',
+  'remote-images',
+  'notion-plan',
+  'expand-archives',
+  'malware-scanner',
+  'verdict-policy',
+  'sender-permissions',
+  'reply-from',
+  'reply-events',
+  'property-map',
+  'time-zone',
+];
+
+/**
+ * Build the config object from parameter values
+ * @param {Object} params - Parameter values keyed by name without the prefix ("notion-api-key")
+ * @returns {Object} - Config
+ */
+function buildConfig(params) {
+  // IANA zone for dates written without one, and for showing dates in Notion
+  const timeZone = params['time-zone'] || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time-zone: ${timeZone}`);
+  }
+
+  const config = {
+    // One secret, or a JSON array of labeled secrets with optional expiry (in timeZone) and routing defaults
+    inboxSecrets: parseInboxSecrets(params['inbox-secret'], timeZone),
+    allowedSenders: params['allowed-senders']?.split(',').map(s => s.trim().toLowerCase()) || [],
+    notionDatabaseId: params['notion-database-id'],
+    notionApiKey: params['notion-api-key'],
+    anthropicApiKey: params['anthropic-api-key'] !== 'disabled' ? params['anthropic-api-key'] : null,
+    summaryPrompt: params['summary-prompt'] !== 'disabled' ? params['summary-prompt'] : null,
+    // "append" adds re-forwarded threads to their existing page; "link" creates a new page related
+    // to it through the thread property; "disabled" always creates an unrelated page
+    threadMode: params['thread-mode'] || 'append',
+    // Optional alias/routing table; null keeps the "any new #hashtag is a client" behavior
+    clientRegistry: parseClientRegistry(params['client-registry']),
+    // "capture" downloads remote images into Notion; anything else shows a placeholder
+    captureRemoteImages: params['remote-images'] === 'capture',
+    // Notion workspace plan ("free" or "paid") sets the per-file upload limit
+    notionPlan: params['notion-plan'] || 'paid',
+    // "enabled" also uploads the files inside ZIP attachments
+    expandArchives: params['expand-archives'] === 'enabled',
+    // "ses", "clamav://host:port", "clamav:///path/to/clamd.sock" or "disabled"
+    malwareScanner: params['malware-scanner'] || 'disabled',
+    // SPF/DKIM/DMARC/spam/virus verdicts a message needs; null accepts any verdicts
+    verdictPolicy: parseVerdictPolicy(params['verdict-policy']),
+    // Per-sender limits on hashtags, attachments and databases; null leaves every sender unrestricted
+    senderPermissions: parseSenderPermissions(params['sender-permissions']),
+    // Address replies to the forwarder are sent from (an SES-verified identity); null disables replies
+    replyFrom: params['reply-from'] && params['reply-from'] !== 'disabled' ? params['reply-from'] : null,
+    // Which outcomes get a reply: "success", "warning" and/or "failure"
+    replyEvents: parseReplyEvents(params['reply-events']),
+    // Which email field is written to which Notion property and type; "default" keeps the standard schema
+    propertyMap: parsePropertyMap(params['property-map']),
+    timeZone,
+  };
+
+  if (config.threadMode === 'link' && !config.propertyMap.thread) {
+    throw new Error('thread-mode "link" needs a thread relation in property-map');
+  }
+  return config;
+}
+
+/**
+ * Load config from a local JSON file of parameter values
+ * Keys are the SSM parameter names without the prefix, e.g. { "notion-api-key": "secret_..." }.
+ * @param {string|null} configPath - Path to the JSON file (optional)
+ * @returns {Object} - Config (see buildConfig)
+ */
+function loadLocalConfig(configPath) {
+  if (!configPath) {
+    return buildConfig({});
+  }
+
+  let params;
+  try {
+    params = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Invalid config file ${configPath}: ${e.message}`);
+  }
+
+  // Lists may be written as JSON arrays; SSM stores them comma-separated
+  const values = {};
+  for (const [key, value] of Object.entries(params)) {
+    values[key] = Array.isArray(value) ? value.join(',') : value;
+  }
+  return buildConfig(values);
+}
+
+module.exports = {
+  buildConfig,
+  loadLocalConfig,
+  CONFIG_PARAMETERS,
+  CONFIG_PARAMETER_PREFIX,
+};
@@ -2,8 +2,61 @@
  * Convert email content to Notion blocks
  */
 
+const dns = require('dns');
+const net = require('net');
 const TurndownService = require('turndown');
+const { Agent } = require('undici');
 const { gfm } = require('turndown-plugin-gfm');
+const {
+  MIN_INLINE_IMAGE_DIMENSION,
+  replaceImageBlocks,
+  createImagePlaceholder,
+  uploadFileToNotion,
+  isTrackingImage,
+  embedInlineImages,
+} = require('./attachments');
+
+// Notion limits: characters per rich text run, runs per rich_text array
+const MAX_RUN_LENGTH = 2000;
+const MAX_RUNS_PER_BLOCK = 100;
+
+// Notion accepts at most 100 rows per table in one request
+const MAX_TABLE_ROWS = 100;
+
+// Link targets Notion accepts; anything else (relative, javascript:, cid:) stays plain text
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+// Image line kept in the Markdown: ![alt](cid:id) or ![alt](https://...)
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(((?:cid:|https?:\/\/)[^)\s]+)\)/gi;
+
+// Open-tracking hosts; images from these (and their subdomains) are never shown or downloaded
+const TRACKER_DOMAINS = [
+  'list-manage.com',
+  'sendgrid.net',
+  'mandrillapp.com',
+  'mailtrack.io',
+  'mailstat.us',
+  'yesware.com',
+  'bananatag.com',
+  'getnotify.com',
+  'emltrk.com',
+  'mailfoogae.appspot.com',
+  'hubspotlinks.com',
+];
+
+// Remote image capture limits: download size, time, and content types (no SVG, which can carry script)
+const REMOTE_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const REMOTE_IMAGE_TIMEOUT_MS = 5000;
+const REMOTE_IMAGE_MAX_REDIRECTS = 3;
+const REMOTE_IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+// Characters that a backslash can escape (turndown escapes Markdown this way)
+const ESCAPABLE_PATTERN = /[!-/:-@[-`{-~]/;
 
 // Initialize turndown with GFM plugin
 const turndown = new TurndownService({
@@ -13,12 +66,175 @@ const turndown = new TurndownService({
 });
 turndown.use(gfm);
 
-// Ignore inline images
-turndown.addRule('ignoreImages', {
+// The GFM plugin writes <del>, <s> and <strike> as ~text~; the inline parser reads ~~text~~
+turndown.addRule('strikethrough', {
+  filter: ['del', 's', 'strike'],
+  replacement: content => `~~${content}~~`,
+});
+
+// CID-embedded and remote images become image lines that are resolved after conversion
+// (embedInlineImages, captureRemoteImages); tracking pixels and spacers are dropped
+turndown.addRule('images', {
   filter: 'img',
-  replacement: () => '',
+  replacement: (content, node) => {
+    const src = (node.getAttribute('src') || '').trim().replace(/[()\s]/g, '');
+    if (!/^(cid:|https?:\/\/)/i.test(src) || (!/^cid:/i.test(src) && getUrlHostname(src) === null) ||
+        isTinyImageElement(node) || isTrackerUrl(src)) {
+      return '';
+    }
+    const alt = (node.getAttribute('alt') || '').replace(/[[\]\n]/g, ' ').trim();
+    return `\n\n![${alt}](${src})\n\n`;
+  },
 });
 
+/**
+ * Check whether an <img> declares itself smaller than a visible image (tracking pixel or spacer)
+ * @param {Node} node - IMG element
+ * @returns {boolean}
+ */
+function isTinyImageElement(node) {
+  const style = node.getAttribute('style') || '';
+  for (const name of ['width', 'height']) {
+    const styleMatch = style.match(new RegExp(`(?:^|[;\\s])${name}\\s*:\\s*(\\d+)px`, 'i'));
+    const value = parseInt(styleMatch ? styleMatch[1] : node.getAttribute(name), 10);
+    if (!isNaN(value) && value < MIN_INLINE_IMAGE_DIMENSION) {
+      return true;
+    }
+  }
+  return /display\s*:\s*none/i.test(style);
+}
+
+// Tables: data tables become pipe tables (with a separator only after a real
+// header row); layout tables used for positioning are flattened to paragraphs.
+// These rules replace the GFM plugin's table rules, which keep header-less tables as raw HTML.
+turndown.addRule('emailTableSection', {
+  filter: ['thead', 'tbody', 'tfoot'],
+  replacement: (content) => content,
+});
+
+turndown.addRule('emailTableCell', {
+  filter: ['th', 'td'],
+  replacement: (content, node) => {
+    if (isLayoutTable(closestTable(node))) {
+      return `\n\n${content}\n\n`;
+    }
+    // Images can't be placed inside table cells
+    const cellText = content
+      .replace(IMAGE_PATTERN, '')
+      .trim()
+      .replace(/\s*\n+\s*/g, ' ')
+      .replace(/\|/g, '\\|');
+    return ` ${cellText} |`;
+  },
+});
+
+turndown.addRule('emailTableRow', {
+  filter: 'tr',
+  replacement: (content, node) => {
+    if (isLayoutTable(closestTable(node))) {
+      return `\n\n${content}\n\n`;
+    }
+    let row = `\n|${content}`;
+    if (isHeaderRow(node)) {
+      row += `\n|${' --- |'.repeat(node.cells.length)}`;
+    }
+    return row;
+  },
+});
+
+turndown.addRule('emailTable', {
+  filter: 'table',
+  replacement: (content, node) => {
+    if (isLayoutTable(node)) {
+      return `\n\n${content}\n\n`;
+    }
+    return `\n\n${content.replace(/\n{2,}/g, '\n').trim()}\n\n`;
+  },
+});
+
+// Table classification is computed once per table element
+const layoutTableCache = new WeakMap();
+
+/**
+ * Find the table element a cell or row belongs to
+ * @param {Node} node - DOM node
+ * @returns {Node|null} - Closest TABLE ancestor
+ */
+function closestTable(node) {
+  let current = node.parentNode;
+  while (current && current.nodeName !== 'TABLE') {
+    current = current.parentNode;
+  }
+  return current;
+}
+
+/**
+ * Decide whether a table is used for layout rather than tabular data
+ * @param {Node} table - TABLE element
+ * @returns {boolean}
+ */
+function isLayoutTable(table) {
+  if (!table) {
+    return true;
+  }
+  if (layoutTableCache.has(table)) {
+    return layoutTableCache.get(table);
+  }
+
+  const result = classifyLayoutTable(table);
+  layoutTableCache.set(table, result);
+  return result;
+}
+
+/**
+ * Layout heuristics: explicit presentation role, nested tables, block content
+ * in cells, or no real grid (a single row or a single column)
+ * @param {Node} table - TABLE element
+ * @returns {boolean}
+ */
+function classifyLayoutTable(table) {
+  const role = (table.getAttribute('role') || '').toLowerCase();
+  if (role === 'presentation' || role === 'none') {
+    return true;
+  }
+  if (table.getElementsByTagName('table').length > 0) {
+    return true;
+  }
+
+  const rows = Array.from(table.rows || []);
+  if (rows.length < 2 || Math.max(...rows.map(row => row.cells.length)) < 2) {
+    return true;
+  }
+
+  for (const row of rows) {
+    for (const cell of Array.from(row.cells)) {
+      // One <p> per cell is common in Outlook data tables; more structure means layout
+      if (cell.querySelector('div, table, ul, ol, blockquote, h1, h2, h3, h4, h5, h6')) {
+        return true;
+      }
+      if (cell.getElementsByTagName('p').length > 1) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * A row is a header row if it is in THEAD, or it is the table's first row and every cell is TH
+ * @param {Node} row - TR element
+ * @returns {boolean}
+ */
+function isHeaderRow(row) {
+  if (row.parentNode?.nodeName === 'THEAD') {
+    return true;
+  }
+  const table = closestTable(row);
+  const cells = Array.from(row.cells);
+  return table?.rows[0] === row && cells.length > 0 && cells.every(cell => cell.nodeName === 'TH');
+}
+
 /**
  * Convert HTML to Markdown
  * @param {string} html - HTML content
@@ -78,7 +294,9 @@ function chunkText(text, maxLength = 2000) {
 }
 
 /**
- * Parse inline formatting and create rich text array
+ * Parse inline Markdown into a Notion rich text array
+ * Handles nested bold, italic, strikethrough, inline code and links,
+ * and splits runs longer than Notion's 2000-character limit.
  * @param {string} text - Text with potential Markdown formatting
  * @returns {Array} - Notion rich text array
  */
@@ -87,133 +305,490 @@ function parseRichText(text) {
     return [];
   }
 
-  const richText = [];
-  let remaining = text;
+  const runs = [];
+  parseInline(text, {}, null, runs);
+  return splitLongRuns(mergeRuns(runs));
+}
 
-  // Simple regex-based parsing for bold, italic, strikethrough, and links
-  // This is a simplified parser - a full implementation would use a proper Markdown parser
-
-  const patterns = [
-    // Links: [text](url)
-    { regex: /\[([^\]]+)\]\(([^)]+)\)/g, type: 'link' },
-    // Bold: **text** or __text__
-    { regex: /\*\*([^*]+)\*\*/g, type: 'bold' },
-    { regex: /__([^_]+)__/g, type: 'bold' },
-    // Italic: *text* or _text_
-    { regex: /\*([^*]+)\*/g, type: 'italic' },
-    { regex: /_([^_]+)_/g, type: 'italic' },
-    // Strikethrough: ~~text~~
-    { regex: /~~([^~]+)~~/g, type: 'strikethrough' },
-    // Inline code: `text`
-    { regex: /`([^`]+)`/g, type: 'code' },
-  ];
+/**
+ * Recursive inline parser; appends runs for text with the given styles
+ * @param {string} text - Markdown text
+ * @param {Object} annotations - Active annotations (bold, italic, ...)
+ * @param {string|null} link - Active link URL
+ * @param {Array} runs - Output rich text runs
+ */
+function parseInline(text, annotations, link, runs) {
+  // Closing positions are found once per text, so unmatched delimiters don't each rescan the
+  // rest of the line (that made a long line of "*a " or "[a" quadratic)
+  let brackets = null;
+  const noCloser = {};
+
+  let buffer = '';
+  const flush = () => {
+    if (buffer) {
+      runs.push(createRun(buffer, annotations, link));
+      buffer = '';
+    }
+  };
 
-  // For now, use a simpler approach: just create plain text with link detection
-  // Full Markdown parsing would be more complex
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
 
-  // Split by Markdown link pattern and process
-  const linkPattern = /\[([^\]]+)\]\(([^)]+)\)/g;
-  let lastIndex = 0;
-  let match;
+    // Backslash escapes
+    if (ch === '\\' && i + 1 < text.length && ESCAPABLE_PATTERN.test(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
 
-  while ((match = linkPattern.exec(remaining)) !== null) {
-    // Add text before the link
-    if (match.index > lastIndex) {
-      const beforeText = remaining.slice(lastIndex, match.index);
-      if (beforeText) {
-        richText.push(...parseFormattedText(beforeText));
+    // Inline code: content is literal
+    if (ch === '`') {
+      const ticks = runLength(text, i, '`');
+      const close = findCodeClose(text, i + ticks, ticks);
+      if (close !== -1) {
+        flush();
+        let code = text.slice(i + ticks, close);
+        if (code.length > 2 && code.startsWith(' ') && code.endsWith(' ') && code.trim()) {
+          code = code.slice(1, -1);
+        }
+        runs.push(createRun(code, { ...annotations, code: true }, link));
+        i = close + ticks;
+        continue;
       }
+      buffer += text.slice(i, i + ticks);
+      i += ticks;
+      continue;
     }
 
-    // Add the link
-    richText.push({
-      type: 'text',
-      text: {
-        content: match[1],
-        link: { url: match[2] },
-      },
-    });
+    // Links: [label](url)
+    if (ch === '[' && !link) {
+      brackets = brackets || {
+        square: pairDelimiters(text, '[', ']', true),
+        round: pairDelimiters(text, '(', ')', false),
+      };
+      const match = matchLink(text, i, brackets);
+      if (match) {
+        flush();
+        const url = SAFE_LINK_PATTERN.test(match.url) ? match.url : null;
+        parseInline(match.label, annotations, url, runs);
+        i = match.end;
+        continue;
+      }
+    }
+
+    // Emphasis: *, _, **, __, ~~
+    if (ch === '*' || ch === '_' || ch === '~') {
+      const match = matchEmphasis(text, i, noCloser);
+      if (match) {
+        flush();
+        parseInline(match.inner, { ...annotations, [match.style]: true }, link, runs);
+        i = match.end;
+        continue;
+      }
+      // Unmatched delimiters are literal text
+      const length = runLength(text, i, ch);
+      buffer += text.slice(i, i + length);
+      i += length;
+      continue;
+    }
 
-    lastIndex = match.index + match[0].length;
+    buffer += ch;
+    i++;
   }
 
-  // Add remaining text after last link
-  if (lastIndex < remaining.length) {
-    const afterText = remaining.slice(lastIndex);
-    if (afterText) {
-      richText.push(...parseFormattedText(afterText));
-    }
+  flush();
+}
+
+/**
+ * Count repeated characters starting at a position
+ * @param {string} text - Text
+ * @param {number} index - Start position
+ * @param {string} ch - Character to count
+ * @returns {number} - Run length
+ */
+function runLength(text, index, ch) {
+  let length = 0;
+  while (text[index + length] === ch) {
+    length++;
   }
+  return length;
+}
 
-  // If no links were found, process the whole text
-  if (richText.length === 0 && remaining) {
-    richText.push(...parseFormattedText(remaining));
+/**
+ * Find the closing backtick run of an inline code span
+ * @param {string} text - Text
+ * @param {number} from - Position after the opening run
+ * @param {number} ticks - Length of the opening run
+ * @returns {number} - Position of the closing run, or -1
+ */
+function findCodeClose(text, from, ticks) {
+  let i = from;
+  while (i < text.length) {
+    if (text[i] === '`') {
+      const length = runLength(text, i, '`');
+      if (length === ticks) {
+        return i;
+      }
+      i += length;
+      continue;
+    }
+    i++;
   }
+  return -1;
+}
 
-  return richText;
+/**
+ * Pair each opening delimiter with its balanced closing delimiter in one pass
+ * @param {string} text - Text
+ * @param {string} open - Opening character
+ * @param {string} close - Closing character
+ * @param {boolean} escapes - Whether a backslash escapes the next character
+ * @returns {Map<number, number>} - Opening position → closing position (unclosed ones are absent)
+ */
+function pairDelimiters(text, open, close, escapes) {
+  const pairs = new Map();
+  const stack = [];
+  for (let i = 0; i < text.length; i++) {
+    if (escapes && text[i] === '\\') {
+      i++;
+    } else if (text[i] === open) {
+      stack.push(i);
+    } else if (text[i] === close && stack.length > 0) {
+      pairs.set(stack.pop(), i);
+    }
+  }
+  return pairs;
 }
 
 /**
- * Parse bold/italic/code formatting in text
- * @param {string} text - Text to parse
- * @returns {Array} - Notion rich text array
+ * Match a Markdown link starting at "["
+ * Labels may contain nested brackets and URLs balanced parentheses.
+ * @param {string} text - Text
+ * @param {number} start - Position of "["
+ * @param {{ square: Map, round: Map }} brackets - Bracket pairs (see pairDelimiters)
+ * @returns {{ label: string, url: string, end: number }|null}
  */
-function parseFormattedText(text) {
-  if (!text) {
-    return [];
+function matchLink(text, start, brackets) {
+  const labelEnd = brackets.square.get(start);
+  if (labelEnd === undefined || text[labelEnd + 1] !== '(') {
+    return null;
   }
 
-  // For simplicity, just handle the most common case: plain text
-  // A full implementation would recursively parse formatting
-  const result = [];
+  const urlEnd = brackets.round.get(labelEnd + 1);
+  if (urlEnd === undefined) {
+    return null;
+  }
+
+  // Drop an optional title and angle brackets: [x](<url> "title")
+  const url = text.slice(labelEnd + 2, urlEnd)
+    .trim()
+    .replace(/\s+"[^"]*"$/, '')
+    .replace(/^<(.*)>$/, '$1');
 
-  // Remove formatting markers and just create annotated text
-  // This is a simplified approach
-  let content = text;
-  const annotations = {};
+  return {
+    label: text.slice(start + 1, labelEnd),
+    url,
+    end: urlEnd + 1,
+  };
+}
+
+/**
+ * Match an emphasis span starting at a delimiter
+ * @param {string} text - Text
+ * @param {number} start - Position of the delimiter
+ * @param {Object} noCloser - Per-text memo: delimiter → earliest position with no closer after it
+ * @returns {{ style: string, inner: string, end: number }|null}
+ */
+function matchEmphasis(text, start, noCloser = {}) {
+  const ch = text[start];
+  const run = runLength(text, start, ch);
 
-  // Check for bold
-  if (/\*\*(.+?)\*\*/.test(content)) {
-    content = content.replace(/\*\*(.+?)\*\*/g, '$1');
-    annotations.bold = true;
+  let size;
+  if (ch === '~') {
+    if (run < 2) return null;
+    size = 2;
+  } else {
+    size = run >= 2 ? 2 : 1;
   }
 
-  // Check for italic
-  if (/\*(.+?)\*/.test(content) || /_(.+?)_/.test(content)) {
-    content = content.replace(/\*(.+?)\*/g, '$1').replace(/_(.+?)_/g, '$1');
-    annotations.italic = true;
+  const contentStart = start + size;
+
+  // Opening delimiter must be followed by non-whitespace
+  if (contentStart >= text.length || /\s/.test(text[contentStart])) {
+    return null;
+  }
+  // Underscores inside words (snake_case) are not emphasis
+  if (ch === '_' && start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) {
+    return null;
   }
 
-  // Check for strikethrough
-  if (/~~(.+?)~~/.test(content)) {
-    content = content.replace(/~~(.+?)~~/g, '$1');
-    annotations.strikethrough = true;
+  // A later opener can only close at a position an earlier failed search already passed
+  const key = ch.repeat(size);
+  if (noCloser[key] !== undefined && contentStart >= noCloser[key]) {
+    return null;
+  }
+  const close = findEmphasisClose(text, contentStart, ch, size);
+  if (close === -1) {
+    noCloser[key] = Math.min(contentStart, noCloser[key] ?? Infinity);
+    return null;
   }
 
-  // Check for code
-  if (/`(.+?)`/.test(content)) {
-    content = content.replace(/`(.+?)`/g, '$1');
-    annotations.code = true;
+  let style = size === 2 ? 'bold' : 'italic';
+  if (ch === '~') {
+    style = 'strikethrough';
   }
 
-  if (content) {
-    const textObj = {
-      type: 'text',
-      text: { content },
-    };
+  return {
+    style,
+    inner: text.slice(contentStart, close),
+    end: close + size,
+  };
+}
+
+/**
+ * Find the closing delimiter for an emphasis span
+ * @param {string} text - Text
+ * @param {number} from - Position after the opening delimiter
+ * @param {string} ch - Delimiter character
+ * @param {number} size - Delimiter length (1 or 2)
+ * @returns {number} - Position of the closing delimiter, or -1
+ */
+function findEmphasisClose(text, from, ch, size) {
+  let i = from;
+  while (i < text.length) {
+    const current = text[i];
 
-    if (Object.keys(annotations).length > 0) {
-      textObj.annotations = annotations;
+    if (current === '\\') {
+      i += 2;
+      continue;
     }
 
-    result.push(textObj);
+    // Skip over code spans; delimiters inside them are literal
+    if (current === '`') {
+      const ticks = runLength(text, i, '`');
+      const codeClose = findCodeClose(text, i + ticks, ticks);
+      i = codeClose === -1 ? i + ticks : codeClose + ticks;
+      continue;
+    }
+
+    if (current === ch) {
+      const length = runLength(text, i, ch);
+      const precededBySpace = /\s/.test(text[i - 1]);
+      // A run of the other size belongs to a nested span (e.g. ** inside *...*)
+      const canClose = i > from && !precededBySpace && (size === 2 ? length >= 2 : length !== 2);
+
+      if (canClose) {
+        const close = i + length - size;
+        const after = text[close + size];
+        if (ch !== '_' || !after || !/[\p{L}\p{N}]/u.test(after)) {
+          return close;
+        }
+      }
+      i += length;
+      continue;
+    }
+
+    i++;
   }
+  return -1;
+}
 
+/**
+ * Create a rich text run
+ * @param {string} content - Text content
+ * @param {Object} annotations - Annotations (only true values are kept)
+ * @param {string|null} link - Link URL
+ * @returns {Object} - Notion rich text object
+ */
+function createRun(content, annotations, link) {
+  const run = {
+    type: 'text',
+    text: { content },
+  };
+  if (link) {
+    run.text.link = { url: link };
+  }
+
+  // Fixed key order so identically styled runs compare equal in mergeRuns
+  const active = {};
+  for (const key of ['bold', 'italic', 'strikethrough', 'code']) {
+    if (annotations[key]) {
+      active[key] = true;
+    }
+  }
+  if (Object.keys(active).length > 0) {
+    run.annotations = active;
+  }
+
+  return run;
+}
+
+/**
+ * Merge adjacent runs that share the same styling
+ * @param {Array} runs - Rich text runs
+ * @returns {Array} - Merged runs
+ */
+function mergeRuns(runs) {
+  const merged = [];
+  for (const run of runs) {
+    const previous = merged[merged.length - 1];
+    if (previous && sameStyle(previous, run)) {
+      previous.text.content += run.text.content;
+    } else {
+      merged.push({ ...run, text: { ...run.text } });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Check whether two runs have the same annotations and link
+ * @param {Object} a - Rich text run
+ * @param {Object} b - Rich text run
+ * @returns {boolean}
+ */
+function sameStyle(a, b) {
+  return JSON.stringify(a.annotations || {}) === JSON.stringify(b.annotations || {})
+    && (a.text.link?.url || null) === (b.text.link?.url || null);
+}
+
+/**
+ * Split runs whose content exceeds Notion's per-run limit
+ * @param {Array} runs - Rich text runs
+ * @returns {Array} - Runs of at most 2000 characters each
+ */
+function splitLongRuns(runs) {
+  const result = [];
+  for (const run of runs) {
+    let content = run.text.content;
+    while (content.length > MAX_RUN_LENGTH) {
+      let cut = MAX_RUN_LENGTH;
+      // Don't split a surrogate pair
+      const code = content.charCodeAt(cut - 1);
+      if (code >= 0xd800 && code <= 0xdbff) {
+        cut--;
+      }
+      result.push({ ...run, text: { ...run.text, content: content.slice(0, cut) } });
+      content = content.slice(cut);
+    }
+    result.push({ ...run, text: { ...run.text, content } });
+  }
   return result;
 }
 
+/**
+ * Split a rich text array into chunks that fit Notion's 100-runs-per-block limit
+ * @param {Array} richText - Rich text runs
+ * @returns {Array[]} - One rich text array per block
+ */
+function splitRichText(richText) {
+  if (richText.length <= MAX_RUNS_PER_BLOCK) {
+    return [richText];
+  }
+  const chunks = [];
+  for (let i = 0; i < richText.length; i += MAX_RUNS_PER_BLOCK) {
+    chunks.push(richText.slice(i, i + MAX_RUNS_PER_BLOCK));
+  }
+  return chunks;
+}
+
+/**
+ * Create one or more text blocks of a type from a line of Markdown
+ * @param {string} type - Block type (paragraph, heading_1, bulleted_list_item, ...)
+ * @param {string} text - Markdown text
+ * @returns {Array} - Notion blocks
+ */
+function createTextBlocks(type, text) {
+  return splitRichText(parseRichText(text)).map(richText => ({
+    type,
+    [type]: {
+      rich_text: richText,
+    },
+  }));
+}
+
+/**
+ * Check whether a line is a pipe table row
+ * @param {string} line - Markdown line
+ * @returns {boolean}
+ */
+function isTableLine(line) {
+  return /^\s*\|.*\|\s*$/.test(line || '');
+}
+
+/**
+ * Split a pipe table row into cell texts (escaped pipes stay in the cell)
+ * @param {string} line - Markdown table row
+ * @returns {string[]} - Cell texts
+ */
+function splitTableRow(line) {
+  const inner = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  return inner.split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Convert pipe table lines to Notion table blocks
+ * A separator line after the first row marks it as a column header.
+ * Tables over 100 rows continue in another table that repeats the header.
+ * @param {string[]} lines - Table lines
+ * @returns {Array} - Notion table blocks
+ */
+function createTableBlocks(lines) {
+  const rows = lines.map(splitTableRow);
+
+  let hasHeader = false;
+  if (rows.length > 1 && rows[1].every(cell => /^:?-{3,}:?$/.test(cell))) {
+    hasHeader = true;
+    rows.splice(1, 1);
+  }
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const tableRows = rows.map(cells => {
+    const padded = [...cells, ...Array(width - cells.length).fill('')];
+    return {
+      type: 'table_row',
+      table_row: {
+        cells: padded.map(cell => parseRichText(cell).slice(0, MAX_RUNS_PER_BLOCK)),
+      },
+    };
+  });
+
+  const header = hasHeader ? tableRows.shift() : null;
+  const rowsPerTable = header ? MAX_TABLE_ROWS - 1 : MAX_TABLE_ROWS;
+
+  const blocks = [];
+  for (let start = 0; start < Math.max(tableRows.length, 1); start += rowsPerTable) {
+    const chunk = tableRows.slice(start, start + rowsPerTable);
+    blocks.push({
+      type: 'table',
+      table: {
+        table_width: width,
+        has_column_header: hasHeader,
+        has_row_header: false,
+        children: header ? [header, ...chunk] : chunk,
+      },
+    });
+  }
+  return blocks;
+}
+
+// List item marker with its indentation: "-   text", "    1.  text"
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+\.)\s+(.*)$/;
+
+// Reply chains quoted this many levels deep are folded into toggles
+const QUOTE_FOLD_DEPTH = 2;
+
+// Reply attribution lines: "On Mon, Jan 6, 2025 at 9:14 AM Jane Doe <jane@example.com> wrote:"
+const ATTRIBUTION_PATTERN = /^On\s+(.+?)\s+wrote:?$/i;
+
+// Toggles produced by folding, so nested levels can be lifted out of their parent
+const foldedToggles = new WeakSet();
+
 /**
  * Convert Markdown text to Notion blocks
+ * Nested lists become list item children, quotes become quote blocks, and
+ * deeply quoted reply chains fold into one toggle per quoted message.
  * @param {string} markdown - Markdown content
  * @returns {Array} - Array of Notion block objects
  */
@@ -222,8 +797,18 @@ function markdownToBlocks(markdown) {
     return [];
   }
 
+  return convertLines(markdown.split('\n'), false);
+}
+
+/**
+ * Convert Markdown lines to Notion blocks
+ * @param {string[]} lines - Markdown lines
+ * @param {boolean} folding - Whether quotes are being folded into toggles
+ * @returns {Array} - Notion blocks
+ */
+function convertLines(lines, folding) {
   const blocks = [];
-  const lines = markdown.split('\n');
+  let lastParagraph = null;
   let i = 0;
 
   while (i < lines.length) {
@@ -235,6 +820,37 @@ function markdownToBlocks(markdown) {
       continue;
     }
 
+    // Quotes (consecutive lines starting with ">")
+    if (/^\s*>/.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoteLines.push(lines[i]);
+        i++;
+      }
+
+      // An attribution paragraph right before the quote labels it
+      let attribution = null;
+      if (lastParagraph && lastParagraph.end === blocks.length) {
+        const text = getBlocksText(blocks.slice(lastParagraph.start));
+        if (ATTRIBUTION_PATTERN.test(text)) {
+          attribution = text;
+        }
+      }
+
+      const innerLines = quoteLines.map(l => l.replace(/^\s*>\s?/, ''));
+      if (folding || getQuoteDepth(quoteLines) >= QUOTE_FOLD_DEPTH) {
+        if (attribution) {
+          blocks.splice(lastParagraph.start);
+        }
+        blocks.push(...createQuoteToggles(innerLines, attribution));
+      } else {
+        blocks.push(createQuoteBlock(convertLines(innerLines, false)));
+      }
+      lastParagraph = null;
+      continue;
+    }
+    lastParagraph = null;
+
     // Headings
     const headingMatch = line.match(/^(#{1,3})\s+(.+)$/);
     if (headingMatch) {
@@ -242,12 +858,7 @@ function markdownToBlocks(markdown) {
       const text = headingMatch[2];
       const type = `heading_${level}`;
 
-      blocks.push({
-        type,
-        [type]: {
-          rich_text: parseRichText(text),
-        },
-      });
+      blocks.push(...createTextBlocks(type, text));
       i++;
       continue;
     }
@@ -262,53 +873,14 @@ function markdownToBlocks(markdown) {
       continue;
     }
 
-    // Bulleted list
-    if (/^[-*+]\s+/.test(line)) {
-      const text = line.replace(/^[-*+]\s+/, '');
-      blocks.push({
-        type: 'bulleted_list_item',
-        bulleted_list_item: {
-          rich_text: parseRichText(text),
-        },
-      });
-      i++;
-      continue;
-    }
-
-    // Numbered list
-    if (/^\d+\.\s+/.test(line)) {
-      const text = line.replace(/^\d+\.\s+/, '');
-      blocks.push({
-        type: 'numbered_list_item',
-        numbered_list_item: {
-          rich_text: parseRichText(text),
-        },
-      });
-      i++;
-      continue;
-    }
-
-    // Strip all quote prefixes ("> ", "> > ", etc.) and treat as regular text
-    if (/^[\s>]+$/.test(line)) {
-      // Skip empty quote lines
-      i++;
-      continue;
-    }
-    if (/^>\s*/.test(line)) {
-      // Remove all leading > and spaces, treat as paragraph
-      const text = line.replace(/^(>\s*)+/, '');
-      if (text) {
-        const chunks = chunkText(text);
-        for (const chunk of chunks) {
-          blocks.push({
-            type: 'paragraph',
-            paragraph: {
-              rich_text: parseRichText(chunk),
-            },
-          });
-        }
+    // Bulleted and numbered lists, including indented sub-items
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const listLines = [];
+      while (i < lines.length && isListLine(lines, i, listLines.length === 0)) {
+        listLines.push(lines[i]);
+        i++;
       }
-      i++;
+      blocks.push(...createListBlocks(listLines));
       continue;
     }
 
@@ -337,23 +909,508 @@ function markdownToBlocks(markdown) {
       continue;
     }
 
-    // Regular paragraph
-    // Chunk if too long
-    const chunks = chunkText(line);
-    for (const chunk of chunks) {
+    // Image line (resolved to an uploaded image or a placeholder before appending)
+    const imageMatch = line.trim().match(/^!\[([^\]]*)\]\(((?:cid:|https?:\/\/)[^)\s]+)\)$/i);
+    if (imageMatch) {
+      const [, alt, url] = imageMatch;
       blocks.push({
-        type: 'paragraph',
-        paragraph: {
-          rich_text: parseRichText(chunk),
+        type: 'image',
+        image: {
+          type: 'external',
+          external: { url },
+          caption: alt ? [{ type: 'text', text: { content: alt.slice(0, MAX_RUN_LENGTH) } }] : [],
         },
       });
+      i++;
+      continue;
+    }
+
+    // Pipe tables (from HTML data tables or plain-text emails)
+    if (isTableLine(line) && i + 1 < lines.length && isTableLine(lines[i + 1])) {
+      const tableLines = [];
+      while (i < lines.length && isTableLine(lines[i])) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+      blocks.push(...createTableBlocks(tableLines));
+      continue;
     }
+
+    // Regular paragraph (long text is split into runs and blocks by createTextBlocks)
+    const start = blocks.length;
+    blocks.push(...createTextBlocks('paragraph', line.trim()));
+    lastParagraph = { start, end: blocks.length };
     i++;
   }
 
   return blocks;
 }
 
+/**
+ * Check whether a line continues the current list
+ * Blank lines continue it when the list resumes after them; indented lines are item content.
+ * @param {string[]} lines - Markdown lines
+ * @param {number} index - Line index
+ * @param {boolean} first - Whether this is the list's first line
+ * @returns {boolean}
+ */
+function isListLine(lines, index, first) {
+  const line = lines[index];
+  if (LIST_ITEM_PATTERN.test(line)) {
+    return true;
+  }
+  if (first) {
+    return false;
+  }
+  if (!line.trim()) {
+    let next = index + 1;
+    while (next < lines.length && !lines[next].trim()) {
+      next++;
+    }
+    return next < lines.length && (LIST_ITEM_PATTERN.test(lines[next]) || /^\s+\S/.test(lines[next]));
+  }
+  return /^\s+\S/.test(line) && !/^\s*>/.test(line);
+}
+
+/**
+ * Build nested list blocks from list lines, using indentation to find each item's parent
+ * @param {string[]} lines - List lines
+ * @returns {Array} - Notion list blocks
+ */
+function createListBlocks(lines) {
+  const root = [];
+  const stack = [];
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    const itemMatch = line.match(LIST_ITEM_PATTERN);
+    const indent = itemMatch ? itemMatch[1].length : line.match(/^\s*/)[0].length;
+
+    // Close items at the same or deeper indentation; continuation text always stays in a list item
+    const minDepth = itemMatch ? 0 : 1;
+    while (stack.length > minDepth && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack.length > 0 ? getChildren(stack[stack.length - 1].block) : root;
+
+    if (itemMatch) {
+      const type = /\d/.test(itemMatch[2]) ? 'numbered_list_item' : 'bulleted_list_item';
+      const itemBlocks = createTextBlocks(type, itemMatch[3]);
+      parent.push(...itemBlocks);
+      stack.push({ indent, block: itemBlocks[itemBlocks.length - 1] });
+    } else {
+      parent.push(...createTextBlocks('paragraph', line.trim()));
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Get (creating if needed) the children array of a block
+ * @param {Object} block - Notion block
+ * @returns {Array} - Child blocks
+ */
+function getChildren(block) {
+  const content = block[block.type];
+  if (!content.children) {
+    content.children = [];
+  }
+  return content.children;
+}
+
+/**
+ * Count how many levels of ">" the deepest line in a quote has
+ * @param {string[]} lines - Quote lines
+ * @returns {number} - Quote depth
+ */
+function getQuoteDepth(lines) {
+  return Math.max(...lines.map(line => (line.match(/^(\s*>)+/)[0].match(/>/g) || []).length));
+}
+
+/**
+ * Create a quote block: the first paragraph is the quote text, the rest are its children
+ * @param {Array} inner - Blocks converted from the quoted lines
+ * @returns {Object} - Notion quote block
+ */
+function createQuoteBlock(inner) {
+  const quote = { rich_text: [] };
+  let children = inner;
+  if (inner.length > 0 && inner[0].type === 'paragraph') {
+    quote.rich_text = inner[0].paragraph.rich_text;
+    children = inner.slice(1);
+  }
+  if (children.length > 0) {
+    quote.children = children;
+  }
+  return { type: 'quote', quote };
+}
+
+/**
+ * Fold a quoted reply chain into toggles, one per quoted message
+ * Older messages quoted inside this one follow as sibling toggles instead of nesting deeper.
+ * @param {string[]} innerLines - Quoted lines with one ">" level removed
+ * @param {string|null} attribution - Attribution line that introduced the quote
+ * @returns {Array} - Toggle blocks
+ */
+function createQuoteToggles(innerLines, attribution) {
+  const inner = convertLines(innerLines, true);
+  const children = inner.filter(block => !foldedToggles.has(block));
+  const older = inner.filter(block => foldedToggles.has(block));
+
+  const toggle = {
+    type: 'toggle',
+    toggle: {
+      rich_text: [{ type: 'text', text: { content: formatAttribution(attribution) } }],
+    },
+  };
+  if (children.length > 0) {
+    toggle.toggle.children = children;
+  }
+  foldedToggles.add(toggle);
+
+  return [toggle, ...older];
+}
+
+/**
+ * Turn an attribution line into a toggle label: "Jane Doe - Mon, Jan 6, 2025 at 9:14 AM"
+ * @param {string|null} attribution - Attribution line
+ * @returns {string} - Toggle label
+ */
+function formatAttribution(attribution) {
+  if (!attribution) {
+    return 'Quoted message';
+  }
+
+  const details = attribution.match(ATTRIBUTION_PATTERN)[1];
+
+  // The date ends at the time ("9:14 AM", "09:14") or, failing that, at the last comma
+  const match = details.match(/^(.+?\d{1,2}:\d{2}(?:\s*[AP]M)?),?\s+(.+)$/i) ||
+    details.match(/^(.+),\s+(.+)$/);
+  if (!match) {
+    return details;
+  }
+
+  const [, date, sender] = match;
+  const name = sender.replace(/\s*<[^>]*>$/, '').replace(/^"(.*)"$/, '$1').trim();
+  const label = name || sender.replace(/^<(.*)>$/, '$1');
+  return `${label} - ${date}`.slice(0, MAX_RUN_LENGTH);
+}
+
+/**
+ * Get the plain text of text blocks
+ * @param {Array} blocks - Notion blocks with rich_text
+ * @returns {string} - Plain text
+ */
+function getBlocksText(blocks) {
+  return blocks
+    .flatMap(block => block[block.type].rich_text || [])
+    .map(run => run.text.content)
+    .join('')
+    .trim();
+}
+
+/**
+ * Get the lowercased hostname of a URL
+ * @param {string} url - URL from the email
+ * @returns {string|null} - Hostname, or null if the URL does not parse
+ */
+function getUrlHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check whether an image URL points at a known open-tracking host
+ * @param {string} url - Image URL
+ * @returns {boolean}
+ */
+function isTrackerUrl(url) {
+  const hostname = getUrlHostname(url);
+  if (hostname === null) {
+    return false;
+  }
+  return TRACKER_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Download or replace remote images so the archive never loads from the sender's servers
+ * When capture is enabled each image is downloaded once and re-uploaded to Notion;
+ * otherwise (or when a download fails) a placeholder shows the alt text and host.
+ * @param {Array} blocks - Content blocks from markdownToBlocks
+ * @param {Object} options - Capture options
+ * @param {boolean} options.enabled - Whether remote images are downloaded
+ * @param {string} options.notionApiKey - Notion API key for file uploads
+ * @returns {Promise<{ blocks: Array, captured: number, warnings: string[] }>}
+ */
+async function captureRemoteImages(blocks, options) {
+  const { enabled, notionApiKey } = options;
+  const uploads = new Map();
+  const warnings = [];
+  let captured = 0;
+
+  const resolved = await replaceImageBlocks(blocks, async (block) => {
+    const url = block.image.external?.url || '';
+    if (!/^https?:\/\//i.test(url)) {
+      return block;
+    }
+
+    const alt = (block.image.caption || []).map(run => run.text.content).join('');
+    const host = getUrlHostname(url);
+    // A URL that does not parse is never fetched; it only gets a placeholder
+    if (host === null) {
+      return createImagePlaceholder(alt ? `Remote image: ${alt}` : 'Remote image');
+    }
+    const placeholder = createImagePlaceholder(alt ? `Remote image: ${alt} (${host})` : `Remote image (${host})`);
+    if (!enabled) {
+      return placeholder;
+    }
+
+    if (!uploads.has(url)) {
+      uploads.set(url, await downloadAndUpload(url, notionApiKey, warnings));
+      if (uploads.get(url)?.fileUploadId) {
+        captured++;
+      }
+    }
+
+    const upload = uploads.get(url);
+    if (upload?.tracking) {
+      return null;
+    }
+    if (!upload?.fileUploadId) {
+      return placeholder;
+    }
+    return {
+      type: 'image',
+      image: { type: 'file_upload', file_upload: { id: upload.fileUploadId } },
+    };
+  });
+
+  return { blocks: resolved, captured, warnings };
+}
+
+/**
+ * Resolve every image in the content blocks before they are appended
+ * CID-embedded images are uploaded in place, remote ones captured or replaced by placeholders.
+ * @param {Array} blocks - Content blocks from processEmailBody
+ * @param {Array} inlineImages - CID-embedded image attachments
+ * @param {Object} options - Options
+ * @param {boolean} options.captureRemoteImages - Whether remote images are downloaded
+ * @param {string} options.notionApiKey - Notion API key for file uploads
+ * @returns {Promise<{ blocks: Array, uploaded: number, captured: number, warnings: string[] }>}
+ */
+async function resolveContentImages(blocks, inlineImages, options) {
+  const { notionApiKey } = options;
+  const embedded = await embedInlineImages(blocks, inlineImages, notionApiKey);
+  const remote = await captureRemoteImages(embedded.blocks, { enabled: options.captureRemoteImages, notionApiKey });
+
+  return {
+    blocks: remote.blocks,
+    uploaded: embedded.uploaded,
+    captured: remote.captured,
+    warnings: [...embedded.warnings, ...remote.warnings],
+  };
+}
+
+/**
+ * Download a remote image and upload it to Notion
+ * @param {string} url - Image URL
+ * @param {string} notionApiKey - Notion API key
+ * @param {string[]} warnings - Warning list to add failures to
+ * @returns {Promise<{ fileUploadId?: string, tracking?: boolean }|null>} - Upload result, or null on failure
+ */
+async function downloadAndUpload(url, notionApiKey, warnings) {
+  const host = new URL(url).hostname;
+  try {
+    const { buffer, contentType } = await downloadRemoteImage(url);
+    if (isTrackingImage(buffer)) {
+      return { tracking: true };
+    }
+
+    const fileUploadId = await uploadFileToNotion(notionApiKey, getRemoteImageFilename(url, contentType), buffer);
+    if (!fileUploadId) {
+      warnings.push(`Failed to upload remote image from ${host}`);
+      return null;
+    }
+    return { fileUploadId };
+  } catch (error) {
+    console.warn(`Remote image not captured (${host}): ${error.message}`);
+    warnings.push(`Remote image not captured from ${host}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local, metadata or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  const ip = mapped ? mapped[1] : address.toLowerCase();
+
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||   // carrier-grade NAT
+      (a === 169 && b === 254) ||             // link-local, including 169.254.169.254 metadata
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 192 && b === 0) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224;                               // multicast and reserved
+  }
+  if (net.isIPv6(ip)) {
+    return ip === '::' ||
+      ip === '::1' ||
+      /^f[cd]/.test(ip) ||                    // unique local, including fd00:ec2::254 metadata
+      /^fe[89ab]/.test(ip) ||                 // link-local
+      /^ff/.test(ip);                         // multicast
+  }
+  return true;
+}
+
+/**
+ * Reject URLs whose host is an IP literal, localhost, or a name resolving to a non-public address
+ * @param {string} url - URL about to be fetched
+ * @returns {Promise<Array<{ address: string, family: number }>>} - The checked addresses
+ */
+async function checkRemoteHost(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error('scheme not allowed');
+  }
+  // IP literals and localhost are never legitimate email images
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || /^[\d.]+$/.test(hostname) ||
+      hostname.includes(':') || hostname.startsWith('[')) {
+    throw new Error('host not allowed');
+  }
+
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('host resolves to a private address');
+  }
+  return addresses;
+}
+
+/**
+ * Build a DNS lookup that only answers with addresses checkRemoteHost already approved
+ * Without it the connection resolves the host a second time, and a rebinding host could
+ * answer with an internal address after passing the check.
+ * @param {Map<string, Array>} checked - Hostname to checked addresses
+ * @returns {Function} - Lookup with the dns.lookup signature
+ */
+function createPinnedLookup(checked) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const addresses = checked.get(hostname.toLowerCase());
+    if (!addresses) {
+      callback(new Error(`host ${hostname} was not checked`));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  };
+}
+
+/**
+ * Fetch a remote image, enforcing the content-type allowlist and size cap
+ * Redirects are followed by hand so every hop's host is checked.
+ * @param {string} url - Image URL
+ * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+ */
+async function downloadRemoteImage(url) {
+  const checked = new Map();
+  const dispatcher = new Agent({ connect: { lookup: createPinnedLookup(checked) } });
+  try {
+    return await fetchRemoteImage(url, dispatcher, checked);
+  } finally {
+    await dispatcher.destroy();
+  }
+}
+
+/**
+ * Fetch a remote image through a dispatcher that connects only to checked addresses
+ * @param {string} url - Image URL
+ * @param {Agent} dispatcher - Dispatcher using the pinned lookup
+ * @param {Map<string, Array>} checked - Hostname to checked addresses, filled for every hop
+ * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+ */
+async function fetchRemoteImage(url, dispatcher, checked) {
+  const signal = AbortSignal.timeout(REMOTE_IMAGE_TIMEOUT_MS);
+  let current = url;
+  let response;
+  for (let hop = 0; ; hop++) {
+    const addresses = await checkRemoteHost(current);
+    checked.set(new URL(current).hostname.toLowerCase(), addresses);
+    response = await fetch(current, { redirect: 'manual', signal, dispatcher });
+    if (![301, 302, 303, 307, 308].includes(response.status)) {
+      break;
+    }
+    const location = response.headers.get('location');
+    if (!location) {
+      throw new Error(`HTTP ${response.status} without a Location`);
+    }
+    if (hop >= REMOTE_IMAGE_MAX_REDIRECTS) {
+      throw new Error('too many redirects');
+    }
+    current = new URL(location, current).href;
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!REMOTE_IMAGE_TYPES[contentType]) {
+    throw new Error(`content type ${contentType || 'unknown'} not allowed`);
+  }
+
+  const declaredLength = parseInt(response.headers.get('content-length'), 10);
+  if (declaredLength > REMOTE_IMAGE_MAX_BYTES) {
+    throw new Error('image too large');
+  }
+
+  // Content-Length can be missing or wrong, so count while reading
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of response.body) {
+    total += chunk.length;
+    if (total > REMOTE_IMAGE_MAX_BYTES) {
+      throw new Error('image too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return { buffer: Buffer.concat(chunks), contentType };
+}
+
+/**
+ * Build an upload filename from the URL path, with an extension matching the content type
+ * @param {string} url - Image URL
+ * @param {string} contentType - Downloaded content type
+ * @returns {string} - Filename
+ */
+function getRemoteImageFilename(url, contentType) {
+  const ext = REMOTE_IMAGE_TYPES[contentType];
+  const segment = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  const base = segment.replace(/\.[^.]*$/, '').replace(/[^\w.-]/g, '_').slice(0, 100) || 'image';
+  return `${base}.${ext}`;
+}
+
 /**
  * Strip forwarder's content (signature, etc.) and forwarding headers
  * Keeps only the actual forwarded email content
@@ -401,9 +1458,11 @@ function stripBeforeForwardedMessage(text) {
  * @param {string} htmlBody - HTML email body
  * @param {string} textBody - Plain text email body (fallback)
  * @param {string[]} allowedSenders - For stripping forwarding headers
+ * @param {Object} options - Options (optional)
+ * @param {boolean} options.forwarded - False for archived mail, which keeps its text above quote markers
  * @returns {Array} - Array of Notion block objects
  */
-function processEmailBody(htmlBody, textBody, allowedSenders) {
+function processEmailBody(htmlBody, textBody, allowedSenders, options = {}) {
   // Prefer HTML, fall back to plain text
   let markdown;
   if (htmlBody) {
@@ -412,8 +1471,11 @@ function processEmailBody(htmlBody, textBody, allowedSenders) {
     markdown = textBody || '';
   }
 
-  // Strip forwarder's signature/content before the forwarded message
-  markdown = stripBeforeForwardedMessage(markdown);
+  // Strip forwarder's signature/content before the forwarded message (not for archived mail,
+  // where the text above a quote marker is the message itself)
+  if (options.forwarded !== false) {
+    markdown = stripBeforeForwardedMessage(markdown);
+  }
 
   // Linkify plain URLs
   markdown = linkifyUrls(markdown);
@@ -433,7 +1495,11 @@ module.exports = {
   linkifyUrls,
   chunkText,
   parseRichText,
+  splitRichText,
   markdownToBlocks,
+  captureRemoteImages,
+  resolveContentImages,
+  createPinnedLookup,
   stripBeforeForwardedMessage,
   processEmailBody,
 };
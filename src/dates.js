@@ -0,0 +1,336 @@
+/**
+ * Email date parsing and time zones
+ *
+ * Dates are passed around as ISO 8601 strings that keep the sender's UTC offset
+ * ("2024-12-09T10:00:00-05:00"), or as "YYYY-MM-DD" when there was no time. Notion date
+ * properties get the full time plus a time_zone.
+ */
+
+// Zone for dates written without one (and for display in Notion)
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Month names in the languages mail clients localize forwarded headers into
+// (en, de, fr, es, it, nl, pt), without accents
+const MONTH_NAMES = [
+  ['january', 'januar', 'janvier', 'enero', 'gennaio', 'januari', 'janeiro', 'janner'],
+  ['february', 'februar', 'fevrier', 'febrero', 'febbraio', 'februari', 'fevereiro'],
+  ['march', 'marz', 'mars', 'marzo', 'maart', 'marco'],
+  ['april', 'avril', 'abril', 'aprile'],
+  ['may', 'mai', 'mayo', 'maggio', 'mei', 'maio'],
+  ['june', 'juni', 'juin', 'junio', 'giugno', 'junho'],
+  ['july', 'juli', 'juillet', 'julio', 'luglio', 'julho'],
+  ['august', 'aout', 'agosto', 'augustus'],
+  ['september', 'septembre', 'septiembre', 'setiembre', 'settembre', 'setembro'],
+  ['october', 'oktober', 'octobre', 'octubre', 'ottobre', 'outubro'],
+  ['november', 'novembre', 'noviembre', 'novembro'],
+  ['december', 'dezember', 'decembre', 'diciembre', 'dicembre', 'dezembro'],
+];
+
+// Day names and abbreviations in the same languages; only used to tell "mar" (Tuesday in
+// French, Spanish and Italian) apart from the month
+const DAY_NAMES = new Set([
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'mon', 'tue', 'tues', 'wed', 'thu', 'thur', 'thurs', 'fri', 'sat', 'sun',
+  'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag', 'sonnabend', 'sonntag',
+  'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche', 'lun', 'mar', 'mer', 'jeu', 'ven', 'sam', 'dim',
+  'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado', 'domingo', 'mie', 'jue', 'vie', 'sab', 'dom',
+  'lunedi', 'martedi', 'mercoledi', 'giovedi', 'venerdi', 'domenica', 'gio',
+  'maandag', 'dinsdag', 'woensdag', 'donderdag', 'vrijdag', 'zaterdag', 'zondag',
+  'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'seg', 'ter', 'qua', 'qui', 'sex',
+]);
+
+// Zone abbreviations mail clients print, as UTC offsets in minutes (ambiguous ones like IST are left out)
+const ZONE_ABBREVIATIONS = {
+  UT: 0, UTC: 0, GMT: 0, Z: 0, WET: 0,
+  BST: 60, WEST: 60, CET: 60, MEZ: 60,
+  CEST: 120, MESZ: 120, EET: 120, OEZ: 120,
+  EEST: 180, OESZ: 180, MSK: 180,
+  SGT: 480, JST: 540, KST: 540,
+  AEST: 600, AEDT: 660, NZST: 720, NZDT: 780,
+  HST: -600, AKST: -540, AKDT: -480,
+  PST: -480, PDT: -420, MST: -420, MDT: -360,
+  CST: -360, CDT: -300, EST: -300, EDT: -240,
+};
+
+/**
+ * Check that a time zone name is known to the runtime
+ * @param {string} timeZone - IANA zone, e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {{ date: string, time: string }} - "YYYY-MM-DD" and "HH:mm:ss"
+ */
+function formatInZone(date, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+  };
+}
+
+/**
+ * Get a zone's UTC offset at an instant
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA zone
+ * @returns {number} - Offset in minutes (east of UTC is positive)
+ */
+function getZoneOffset(instant, timeZone) {
+  const { date, time } = formatInZone(new Date(instant), timeZone);
+  return Math.round((Date.parse(`${date}T${time}Z`) - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * Format a UTC offset as "+HH:MM"
+ * @param {number} minutes - Offset in minutes
+ * @returns {string}
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Build an ISO string for a wall-clock time with a known or zone-derived offset
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {number|null} offset - UTC offset in minutes, or null to use the zone
+ * @param {string} timeZone - Zone for dates without an offset
+ * @returns {string}
+ */
+function buildIsoString(parts, offset, timeZone) {
+  const pad = n => String(n).padStart(2, '0');
+  const local = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+
+  if (offset === null) {
+    // The zone's offset at that wall-clock time (re-checked once for DST transitions)
+    const asUtc = Date.parse(`${local}Z`);
+    offset = getZoneOffset(asUtc, timeZone);
+    offset = getZoneOffset(asUtc - offset * 60000, timeZone);
+  }
+  return `${local}${formatOffset(offset)}`;
+}
+
+/**
+ * Strip accents and lowercase, so "Décembre" matches "decembre"
+ * @param {string} word - Word
+ * @returns {string}
+ */
+function foldWord(word) {
+  return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Resolve a word to a month number when it is a month name or a prefix of one
+ * @param {string} word - Folded word
+ * @returns {number|null} - Month (1-12), or null if it isn't a month or is ambiguous
+ */
+function matchMonth(word) {
+  if (word.length < 3) {
+    return null;
+  }
+  const months = new Set();
+  MONTH_NAMES.forEach((names, index) => {
+    if (names.some(name => name.startsWith(word))) {
+      months.add(index + 1);
+    }
+  });
+  return months.size === 1 ? [...months][0] : null;
+}
+
+/**
+ * Find the time of day and the zone written after it
+ * @param {string} text - Date string
+ * @returns {{ hour: number, minute: number, second: number, offset: number|null, rest: string }|null}
+ */
+function extractTime(text) {
+  const match = text.match(/(\d{1,2})[:h](\d{2})(?::(\d{2}))?(?:[.,]\d+)?(?:\s*([ap])\.?\s?m\b\.?)?/i);
+  if (!match) {
+    return null;
+  }
+
+  let hour = Number(match[1]);
+  const meridiem = match[4]?.toLowerCase();
+  if (meridiem === 'p' && hour < 12) {
+    hour += 12;
+  } else if (meridiem === 'a' && hour === 12) {
+    hour = 0;
+  }
+
+  const before = text.slice(0, match.index);
+  const after = text.slice(match.index + match[0].length);
+  return {
+    hour,
+    minute: Number(match[2]),
+    second: Number(match[3] || 0),
+    offset: extractOffset(after),
+    rest: before,
+  };
+}
+
+/**
+ * Read the UTC offset written after a time ("+0100", "GMT-5", "(UTC+01:00)", "PST")
+ * @param {string} text - Text after the time
+ * @returns {number|null} - Offset in minutes, or null when none is given
+ */
+function extractOffset(text) {
+  const numeric = text.match(/(?:^|[\s(])(?:GMT|UTC)?\s*([+-])(\d{1,2})(?::?(\d{2}))?\b/i);
+  if (numeric) {
+    const minutes = Number(numeric[2]) * 60 + Number(numeric[3] || 0);
+    return numeric[1] === '-' ? -minutes : minutes;
+  }
+
+  for (const word of text.match(/[A-Za-z]+/g) || []) {
+    const offset = ZONE_ABBREVIATIONS[word.toUpperCase()];
+    if (offset !== undefined && word === word.toUpperCase()) {
+      return offset;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the calendar date in the text before the time
+ * Numeric dates are year-first (2024-12-09), day-first with dots (9.12.2024), and
+ * month-first with slashes (12/9/2024) unless the first number can't be a month.
+ * @param {string} text - Date part of the string
+ * @returns {{ year: number, month: number, day: number }|null}
+ */
+function extractCalendarDate(text) {
+  const numeric = text.match(/\b(\d{1,4})([./-])(\d{1,2})\2(\d{2,4})\b/);
+  if (numeric) {
+    const [a, separator, b, c] = [Number(numeric[1]), numeric[2], Number(numeric[3]), Number(numeric[4])];
+    const expandYear = y => (y < 100 ? 2000 + y : y);
+    if (numeric[1].length === 4) {
+      return { year: a, month: b, day: c };
+    }
+    const dayFirst = separator === '.' || a > 12;
+    return dayFirst
+      ? { year: expandYear(c), month: b, day: a }
+      : { year: expandYear(c), month: a, day: b };
+  }
+
+  const words = (foldWord(text).match(/[a-z]+/g) || []);
+  const candidates = words.map(word => ({ month: matchMonth(word), isDay: DAY_NAMES.has(word) }))
+    .filter(candidate => candidate.month);
+  // "mar" is a month in English but Tuesday in French; prefer a word that is only a month
+  const chosen = candidates.find(candidate => !candidate.isDay) || candidates[0];
+  const year = text.match(/\b(\d{4})\b/);
+  const day = text.replace(/\b\d{4}\b/, '').match(/\b(\d{1,2})(?:st|nd|rd|th|er|º)?\b/i);
+  if (!chosen || !year || !day) {
+    return null;
+  }
+  return { year: Number(year[1]), month: chosen.month, day: Number(day[1]) };
+}
+
+/**
+ * Parse a date as written by a mail client
+ * Handles RFC 2822 headers and forwarded-header dates from Gmail ("Mon, Dec 9, 2024 at
+ * 10:00 AM"), Outlook ("Montag, 9. Dezember 2024 10:00"), Apple Mail ("9 December 2024 at
+ * 10:00:00 CET") and Thunderbird ("12/9/2024, 10:00 AM").
+ * @param {string} value - Date string
+ * @param {string} timeZone - Zone for dates written without one (optional, UTC)
+ * @returns {string|null} - ISO string with the original offset, "YYYY-MM-DD" without a time, or null
+ */
+function parseEmailDate(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).replace(/\s+/g, ' ').trim();
+
+  // Already ISO 8601
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (iso) {
+    if (!iso[4]) {
+      return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    }
+    const parts = { year: iso[1], month: iso[2], day: iso[3], hour: iso[4], minute: iso[5], second: iso[6] || 0 };
+    return buildIsoString(parts, iso[7] ? extractOffset(` ${iso[7].replace(/^Z$/i, '+00:00')}`) : null, timeZone);
+  }
+
+  const time = extractTime(text);
+  const calendar = extractCalendarDate(time ? time.rest : text);
+  if (calendar && calendar.month >= 1 && calendar.month <= 12 && calendar.day >= 1 && calendar.day <= 31) {
+    if (!time) {
+      const pad = n => String(n).padStart(2, '0');
+      return `${calendar.year}-${pad(calendar.month)}-${pad(calendar.day)}`;
+    }
+    if (time.hour < 24 && time.minute < 60) {
+      return buildIsoString({ ...calendar, ...time }, time.offset, timeZone);
+    }
+  }
+
+  // Last resort: whatever the JavaScript parser understands
+  const parsed = new Date(text.replace(/\s+at\s+/gi, ' '));
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Build a Notion date value
+ * @param {string} value - ISO string or "YYYY-MM-DD" (see parseEmailDate)
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Zone the time is shown in (optional, UTC)
+ * @param {boolean} options.includeTime - False to keep only the date (optional, true)
+ * @returns {{ start: string, time_zone?: string }|null} - Notion date, or null if unparseable
+ */
+function toNotionDate(value, options = {}) {
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+    return { start: value };
+  }
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) {
+    return null;
+  }
+
+  const { date, time } = formatInZone(parsed, timeZone);
+  if (options.includeTime === false) {
+    return { start: date };
+  }
+  return { start: `${date}T${time}`, time_zone: timeZone };
+}
+
+/**
+ * Format a date for display, in a zone ("2024-12-09 10:00")
+ * @param {string} value - ISO string or "YYYY-MM-DD"
+ * @param {string} timeZone - Zone (optional, UTC)
+ * @returns {string|null} - Label, or null if unparseable
+ */
+function formatDateLabel(value, timeZone = DEFAULT_TIME_ZONE) {
+  const notionDate = toNotionDate(value, { timeZone });
+  return notionDate ? notionDate.start.replace('T', ' ').slice(0, 16) : null;
+}
+
+module.exports = {
+  parseEmailDate,
+  toNotionDate,
+  formatDateLabel,
+  formatInZone,
+  isValidTimeZone,
+  DEFAULT_TIME_ZONE,
+};
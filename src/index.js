@@ -5,13 +5,52 @@
  */
 
 const { SSMClient, GetParametersCommand } = require('@aws-sdk/client-ssm');
-const { validateRecipient, validateSender } = require('./validate');
-const { parseSubject, parseForwardedHeaders, stripForwardingHeaders } = require('./parse');
-const { processEmailBody } = require('./convert');
-const { createClient, createEmailEntry, createErrorEntry, getPageUrl, addWarningCallout } = require('./notion');
-const { filterAttachments, uploadAttachments } = require('./attachments');
+const {
+  matchInboxSecret,
+  validateSender,
+  getSenderPermissions,
+  isHashtagPermitted,
+  isDatabasePermitted,
+  checkVerdicts,
+} = require('./validate');
+const { parseSubject, parseForwardedHeaders, stripForwardingHeaders, collectThreadIds } = require('./parse');
+const { processEmailBody, resolveContentImages } = require('./convert');
+const {
+  createClient,
+  createEmailEntry,
+  createErrorEntry,
+  findThreadPage,
+  appendBlocksToPage,
+  createThreadDividerBlocks,
+  updateThreadPage,
+  trashPage,
+  flagQuarantined,
+  getPageUrl,
+  addWarningCallout,
+} = require('./notion');
+const {
+  prepareAttachments,
+  uploadAttachments,
+  collectContentIds,
+  getMaxFileSize,
+} = require('./attachments');
 const { summarizeEmail, createSummaryBlock } = require('./summarize');
+const { createScanner } = require('./scanner');
 const { isSesEvent, processSesEvent } = require('./ses');
+const { notifySuccess, notifyWarning, notifyError, REPLY_LOG_PREFIX } = require('./notify');
+const { resolveClient, getTargetDatabaseId } = require('./registry');
+const { ensureDatabaseSchema } = require('./schema');
+const { getClientKey, resolveClientPage } = require('./clients');
+const { getMessageParticipants } = require('./participants');
+const { buildConfig, CONFIG_PARAMETERS, CONFIG_PARAMETER_PREFIX } = require('./config');
+const {
+  createS3LedgerStore,
+  loadLedgerRecord,
+  hasReachedStage,
+  isLedgerComplete,
+  updateLedgerRecord,
+  recordStage,
+} = require('./ledger');
 
 const ssmClient = new SSMClient({});
 
@@ -19,6 +58,7 @@ const ssmClient = new SSMClient({});
 let cachedConfig = null;
 let configLoadedAt = null;
 const CONFIG_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const SSM_BATCH_SIZE = 10;
 
 /**
  * Load configuration from SSM Parameter Store
@@ -29,36 +69,26 @@ async function loadConfig() {
     return cachedConfig;
   }
 
-  const parameterNames = [
-    '/email-to-notion/inbox-secret',
-    '/email-to-notion/allowed-senders',
-    '/email-to-notion/notion-database-id',
-    '/email-to-notion/notion-api-key',
-    '/email-to-notion/anthropic-api-key',
-    '/email-to-notion/summary-prompt',
-  ];
-
-  const command = new GetParametersCommand({
-    Names: parameterNames,
-    WithDecryption: true,
-  });
+  const parameterNames = CONFIG_PARAMETERS.map(name => `${CONFIG_PARAMETER_PREFIX}${name}`);
+
+  // GetParameters accepts at most 10 names per call
+  const batches = [];
+  for (let i = 0; i < parameterNames.length; i += SSM_BATCH_SIZE) {
+    batches.push(parameterNames.slice(i, i + SSM_BATCH_SIZE));
+  }
 
-  const response = await ssmClient.send(command);
+  const responses = await Promise.all(batches.map(names => ssmClient.send(new GetParametersCommand({
+    Names: names,
+    WithDecryption: true,
+  }))));
 
   const params = {};
-  for (const param of response.Parameters) {
+  for (const param of responses.flatMap(response => response.Parameters)) {
     const key = param.Name.split('/').pop();
     params[key] = param.Value;
   }
 
-  cachedConfig = {
-    inboxSecret: params['inbox-secret'],
-    allowedSenders: params['allowed-senders']?.split(',').map(s => s.trim().toLowerCase()) || [],
-    notionDatabaseId: params['notion-database-id'],
-    notionApiKey: params['notion-api-key'],
-    anthropicApiKey: params['anthropic-api-key'] !== 'disabled' ? params['anthropic-api-key'] : null,
-    summaryPrompt: params['summary-prompt'] !== 'disabled' ? params['summary-prompt'] : null,
-  };
+  cachedConfig = buildConfig(params);
 
   configLoadedAt = Date.now();
   return cachedConfig;
@@ -71,6 +101,14 @@ exports.handler = async (event) => {
   const requestId = event.Records?.[0]?.ses?.mail?.messageId || 'unknown';
   console.log('Received SES event', { requestId });
 
+  // Idempotency ledger (set once the bucket is known)
+  let ledgerStore = null;
+  let ledger = null;
+
+  // Reply settings and the forwarded message (set once the sender is validated)
+  let replySettings = null;
+  let replyContext = null;
+
   try {
     // Validate this is an SES event
     if (!isSesEvent(event)) {
@@ -87,26 +125,48 @@ exports.handler = async (event) => {
       throw new Error('EMAIL_BUCKET environment variable not set');
     }
     const body = await processSesEvent(event, bucket);
+
+    // Skip deliveries that were already fully processed (SES redelivery, Lambda retry)
+    ledgerStore = createS3LedgerStore(bucket);
+    ledger = await loadLedgerRecord(ledgerStore, body._sesMessageId);
+    if (isLedgerComplete(ledger)) {
+      console.log('Already processed, skipping', { requestId, pageId: ledger.pageId });
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'OK', pageUrl: ledger.pageUrl }),
+      };
+    }
+    if (ledger.stage) {
+      console.log('Resuming after partial processing', { requestId, stage: ledger.stage });
+    }
+
     console.log('SES email parsed', {
       requestId,
       from: body.From,
-      to: body.To,
       subject: body.Subject?.slice(0, 100),
     });
 
     // Log receipt (avoid logging full email content for privacy)
+    // The recipient holds the inbox secret, so it is only logged by label once matched
     console.log('Email received', {
       requestId,
       from: body.From,
-      to: body.To,
       subject: body.Subject?.slice(0, 100), // Truncate for logging
       hasAttachments: body.Attachments?.length > 0,
       attachmentCount: body.Attachments?.length || 0,
     });
 
-    // Stage 2: Validate recipient address
-    if (!validateRecipient(body.To, config.inboxSecret)) {
-      console.log('Rejected: invalid recipient address', { requestId, to: body.To });
+    // Stage 2: Validate recipient address against the active inbox secrets
+    const inbox = matchInboxSecret(body.To, config.inboxSecrets);
+    if (!inbox) {
+      console.log('Rejected: invalid recipient address', { requestId, reason: 'invalid_recipient', to: body.To });
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'OK' }),
+      };
+    }
+    if (inbox.expired) {
+      console.log('Rejected: expired inbox secret', { requestId, reason: 'expired_secret', inbox: inbox.label });
       return {
         statusCode: 200,
         body: JSON.stringify({ message: 'OK' }),
@@ -115,33 +175,139 @@ exports.handler = async (event) => {
 
     // Stage 2: Validate sender is in allowed list
     if (!validateSender(body.From, config.allowedSenders)) {
-      console.log('Rejected: unauthorized sender', { requestId, from: body.From });
+      console.log('Rejected: unauthorized sender', { requestId, reason: 'unauthorized_sender', from: body.From });
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'OK' }),
+      };
+    }
+
+    // Stage 2: The From header can be spoofed, so require the SES authentication verdicts
+    const verdictCheck = checkVerdicts(body._sesVerdicts, config.verdictPolicy, body.From);
+    if (!verdictCheck.passed) {
+      for (const failure of verdictCheck.failures) {
+        console.log('Rejected: authentication verdict', {
+          requestId,
+          reason: `${failure.verdict}_verdict`,
+          from: body.From,
+          status: failure.status,
+          accepted: failure.accepted,
+        });
+      }
       return {
         statusCode: 200,
         body: JSON.stringify({ message: 'OK' }),
       };
     }
 
-    console.log('Validation passed', { requestId });
+    // Only a validated sender may get a reply, including a failure reply from the catch below
+    replySettings = {
+      from: config.replyFrom,
+      events: config.replyEvents,
+      allowedSenders: config.allowedSenders,
+      store: createS3LedgerStore(bucket, null, REPLY_LOG_PREFIX),
+    };
+    replyContext = {
+      requestId,
+      to: body.From,
+      subject: body.Subject,
+      messageId: body.MessageID,
+      references: body.References,
+    };
+
+    const senderPermissions = getSenderPermissions(config.senderPermissions, body.From);
+    console.log('Validation passed', { requestId, inbox: inbox.label, permissionRule: senderPermissions.pattern });
 
     // Stage 3: Parse subject line
     const parsed = parseSubject(body.Subject);
-    const hashtag = parsed.hashtag;
     const cleanSubject = parsed.subject;
-    console.log('Subject parsed', { requestId, hashtag, cleanSubject: cleanSubject?.slice(0, 100) });
+    const directives = parsed.directives;
+    console.log('Subject parsed', {
+      requestId,
+      hashtags: parsed.hashtags,
+      directives,
+      cleanSubject: cleanSubject?.slice(0, 100),
+    });
+
+    // Stage 3: A subject without a tag takes the inbox address's tag (notion-{secret}+acme@)
+    const subjectHashtags = parsed.hashtags[0] === 'missing' && inbox.hashtag ? [inbox.hashtag] : parsed.hashtags;
+
+    // Stage 3: Resolve client through the registry (aliases, routing, triage)
+    const resolution = resolveClient(config.clientRegistry, subjectHashtags);
+    const hashtags = resolution.hashtags;
+    const hashtag = hashtags[0];
+    const clientSettings = resolution.client;
+
+    if (clientSettings?.allowedSenders.length > 0 && !validateSender(body.From, clientSettings.allowedSenders)) {
+      console.log('Rejected: sender not allowed for client', {
+        requestId,
+        reason: 'sender_not_allowed_for_client',
+        from: body.From,
+        client: clientSettings.name,
+      });
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'OK' }),
+      };
+    }
+
+    if (!isHashtagPermitted(senderPermissions, hashtags)) {
+      console.log('Rejected: hashtag not permitted for sender', {
+        requestId,
+        reason: 'hashtag_not_permitted',
+        from: body.From,
+        hashtags,
+        rule: senderPermissions.pattern,
+      });
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'OK' }),
+      };
+    }
 
-    // Stage 4: Parse forwarded headers to get original sender
+    const databaseId = getTargetDatabaseId(config.clientRegistry, resolution, inbox.databaseId || config.notionDatabaseId);
+    if (!isDatabasePermitted(senderPermissions, databaseId)) {
+      console.log('Rejected: database not permitted for sender', {
+        requestId,
+        reason: 'database_not_permitted',
+        from: body.From,
+        databaseId,
+        rule: senderPermissions.pattern,
+      });
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'OK' }),
+      };
+    }
+    const summaryPrompt = clientSettings?.summaryPrompt || config.summaryPrompt;
+
+    // Warnings shown in the callout at the bottom of the page
+    const warnings = [...resolution.warnings];
+    for (const directive of parsed.unknownDirectives) {
+      warnings.push(`Unknown subject directive ignored: ${directive}`);
+    }
+    if (resolution.triaged) {
+      console.log('Routed to triage', { requestId, hashtags: subjectHashtags });
+    }
+
+    // Stage 4: Parse forwarded headers to get original sender and recipients
     const emailText = body.TextBody || '';
-    const { originalFrom, originalDate } = parseForwardedHeaders(emailText, config.allowedSenders);
+    const forwarded = parseForwardedHeaders(emailText, config.allowedSenders, config.timeZone);
+    const { originalFrom, originalDate } = forwarded;
 
     // Use extracted data or fall back to email headers
     const fromAddress = originalFrom || body.From;
     const emailDate = originalDate || body.Date;
+    const participants = getMessageParticipants(body, forwarded, {
+      allowedSenders: config.allowedSenders,
+      inboxSecrets: config.inboxSecrets,
+    });
 
     console.log('Headers parsed', {
       requestId,
       originalFrom: originalFrom ? 'extracted' : 'fallback',
       originalDate: originalDate ? 'extracted' : 'fallback',
+      participants: participants.length,
     });
 
     // Stage 4: Strip forwarding headers from body
@@ -154,22 +320,42 @@ exports.handler = async (event) => {
     console.log('Content processed', { requestId, blockCount: contentBlocks.length });
 
     // Stage 7: Filter attachments
-    const rawAttachments = body.Attachments || [];
-    const { valid: validAttachments, warnings: attachmentWarnings } = filterAttachments(rawAttachments);
+    // !noattach skips attachments entirely, as does a sender rule with attachments: false
+    const rawAttachments = directives.noattach || !senderPermissions.attachments ? [] : (body.Attachments || []);
+    if (!directives.noattach && !senderPermissions.attachments && body.Attachments?.length > 0) {
+      warnings.push(`Attachments not uploaded: sender may not upload attachments (${body.Attachments.length} skipped)`);
+    }
+    // Stage 7: Scan for malware before anything goes to Notion; infected files are held back
+    const scanner = createScanner(config.malwareScanner, event.Records[0].ses.receipt);
+    const {
+      valid: validAttachments,
+      inline: inlineImages,
+      quarantined,
+      warnings: attachmentWarnings,
+    } = await prepareAttachments(rawAttachments, {
+      maxFileSize: getMaxFileSize(config.notionPlan),
+      bodyContentIds: collectContentIds(body.HtmlBody),
+      scanner,
+    });
+    warnings.push(...attachmentWarnings);
     const hasAttachments = validAttachments.length > 0;
 
     console.log('Attachments filtered', {
       requestId,
       total: rawAttachments.length,
       valid: validAttachments.length,
+      inline: inlineImages.length,
+      quarantined: quarantined.length,
       warningCount: attachmentWarnings.length,
     });
 
     // Stage 8: AI summarization (if configured)
-    // Use the same cleaned content that goes to Notion
-    let summary = null;
-    if (config.anthropicApiKey && config.summaryPrompt) {
-      summary = await summarizeEmail(cleanedContent, config.summaryPrompt, config.anthropicApiKey);
+    // Use the same cleaned content that goes to Notion; reuse the ledger's copy on retry
+    // !nosummary skips it for this email
+    let summary = ledger.summary ?? null;
+    const wantsSummary = config.anthropicApiKey && summaryPrompt && !directives.nosummary;
+    if (!hasReachedStage(ledger, 'page_created') && wantsSummary) {
+      summary = await summarizeEmail(cleanedContent, summaryPrompt, config.anthropicApiKey);
       if (summary) {
         console.log('Summary generated', { requestId, length: summary.length });
       }
@@ -181,50 +367,189 @@ exports.handler = async (event) => {
       finalContentBlocks.unshift(createSummaryBlock(summary));
     }
 
-    // Stage 6: Create Notion entry
+    // Stage 6: Create Notion entry, or find the thread's existing page
     const notionClient = createClient(config.notionApiKey);
 
-    const page = await createEmailEntry(notionClient, {
-      databaseId: config.notionDatabaseId,
-      subject: cleanSubject,
-      from: fromAddress,
-      date: emailDate,
-      hashtag,
-      hasAttachments,
-      summary,
-      contentBlocks: finalContentBlocks,
+    const messageIds = collectThreadIds({
+      messageId: body.MessageID,
+      inReplyTo: body.InReplyTo,
+      references: body.References,
     });
 
-    const pageUrl = getPageUrl(page);
-    console.log('Notion entry created', { requestId, pageId: page.id, hashtag });
+    // Adds missing properties; a mistyped required one fails here with a clear message.
+    // Every stage writes with the returned map, which follows the database's column types.
+    const propertyMap = await ensureDatabaseSchema(notionClient, databaseId, config.propertyMap, requestId);
+
+    if (!hasReachedStage(ledger, 'page_created')) {
+      let threadPage = null;
+      if (config.threadMode === 'append' || config.threadMode === 'link') {
+        threadPage = await findThreadPage(notionClient, {
+          databaseId,
+          messageIds,
+          subject: cleanSubject,
+          hashtag,
+          isReply: parsed.isReply,
+          propertyMap,
+        });
+      }
 
-    // Stage 7: Upload attachments to page
-    if (validAttachments.length > 0) {
-      const { uploaded, warnings: uploadWarnings } = await uploadAttachments(
-        notionClient,
-        page.id,
-        validAttachments,
-        config.notionApiKey
+      // "link" keeps one page per message and relates it to the thread's latest page
+      const existingPage = config.threadMode === 'append' ? threadPage : null;
+      let page = existingPage;
+      if (existingPage) {
+        console.log('Found existing thread page', { requestId, pageId: page.id, hashtag });
+      } else {
+        const clientPageId = await resolveClientPage(
+          notionClient,
+          propertyMap.client,
+          getClientKey(resolution),
+          requestId
+        );
+
+        // Content blocks are appended in the next stage so a retry can resume mid-way
+        page = await createEmailEntry(notionClient, {
+          databaseId,
+          subject: cleanSubject,
+          from: fromAddress,
+          date: emailDate,
+          hashtag,
+          hashtags,
+          hasAttachments,
+          summary,
+          messageIds,
+          directives,
+          threadPageId: threadPage?.id,
+          clientPageId,
+          participants,
+          propertyMap,
+          timeZone: config.timeZone,
+        });
+        console.log('Notion entry created', { requestId, pageId: page.id, hashtag, linkedTo: threadPage?.id });
+      }
+
+      ledger = await recordStage(ledgerStore, ledger, 'page_created', {
+        pageId: page.id,
+        pageUrl: getPageUrl(page),
+        appended: !!existingPage,
+        summary,
+        blockCount: 0,
+      });
+    }
+
+    const pageId = ledger.pageId;
+    const pageUrl = ledger.pageUrl;
+
+    // Stage 6: Append content blocks (skipping batches a previous attempt already wrote)
+    if (!hasReachedStage(ledger, 'blocks_appended')) {
+      // Upload CID-embedded images where they appeared in the body; remote images are
+      // downloaded (opt-in) or replaced by placeholders, never hotlinked
+      const { blocks: capturedBlocks, uploaded, captured, warnings: imageWarnings } = await resolveContentImages(
+        finalContentBlocks,
+        inlineImages,
+        { captureRemoteImages: config.captureRemoteImages, notionApiKey: config.notionApiKey }
       );
-      attachmentWarnings.push(...uploadWarnings);
-      console.log('Attachments processed', { requestId, uploaded });
+      warnings.push(...imageWarnings);
+      if (inlineImages.length > 0) {
+        console.log('Inline images processed', { requestId, uploaded });
+      }
+      if (captured > 0) {
+        console.log('Remote images captured', { requestId, captured });
+      }
+
+      const blocks = ledger.appended
+        ? [...createThreadDividerBlocks(emailDate, config.timeZone), ...capturedBlocks]
+        : capturedBlocks;
+
+      const alreadyAppended = ledger.blockCount || 0;
+      await appendBlocksToPage(notionClient, pageId, blocks.slice(alreadyAppended), {
+        onBatch: async (count) => {
+          ledger = await updateLedgerRecord(ledgerStore, ledger, { blockCount: alreadyAppended + count });
+        },
+      });
+
+      if (ledger.appended) {
+        const existingPage = await notionClient.pages.retrieve({ page_id: pageId });
+        await updateThreadPage(notionClient, existingPage, {
+          messageIds,
+          hashtags,
+          hasAttachments,
+          directives,
+          participants,
+          propertyMap,
+        });
+      }
+
+      // Image warnings can't be recomputed once the blocks are on the page, so a retry reads them back
+      ledger = await recordStage(ledgerStore, ledger, 'blocks_appended', { imageWarnings });
+      console.log('Content appended', { requestId, pageId, blockCount: blocks.length });
+    } else {
+      warnings.push(...(ledger.imageWarnings || []));
+    }
+
+    // Stage 7: Upload attachments to page (skipping the ones a previous attempt already added)
+    const attachmentsDone = ledger.attachmentsDone || [];
+    if (validAttachments.length > 0) {
+      const previous = { quarantined: ledger.archiveQuarantined || 0, warnings: ledger.attachmentWarnings || [] };
+      const { uploaded } = await uploadAttachments(notionClient, pageId, validAttachments, config.notionApiKey, {
+        expandArchives: config.expandArchives,
+        maxFileSize: getMaxFileSize(config.notionPlan),
+        scanner,
+        skip: attachmentsDone,
+        onAttachment: async (progress) => {
+          ledger = await updateLedgerRecord(ledgerStore, ledger, {
+            attachmentsDone: progress.done,
+            archiveQuarantined: previous.quarantined + progress.quarantined,
+            attachmentWarnings: [...previous.warnings, ...progress.warnings],
+          });
+        },
+      });
+      console.log('Attachments processed', { requestId, uploaded, skipped: attachmentsDone.length });
+    }
+    warnings.push(...(ledger.attachmentWarnings || []));
+    const quarantinedCount = quarantined.length + (ledger.archiveQuarantined || 0);
+
+    if (quarantinedCount > 0) {
+      await flagQuarantined(notionClient, pageId, propertyMap);
+      console.log('Flagged quarantined attachments', { requestId, count: quarantinedCount });
     }
 
-    // Add warning callout if there were attachment issues
-    if (attachmentWarnings.length > 0) {
-      await addWarningCallout(notionClient, page.id, attachmentWarnings);
-      console.log('Added attachment warnings', { requestId, count: attachmentWarnings.length });
+    // Add warning callout if there were attachment or routing issues (once, even across retries)
+    if (warnings.length > 0 && !ledger.warningsAdded) {
+      await addWarningCallout(notionClient, pageId, warnings);
+      ledger = await updateLedgerRecord(ledgerStore, ledger, { warningsAdded: true });
+      console.log('Added warnings', { requestId, count: warnings.length });
+    }
+
+    ledger = await recordStage(ledgerStore, ledger, 'attachments_uploaded');
+
+    // A successful retry supersedes the error entry logged by a failed attempt
+    if (ledger.errorPageId) {
+      try {
+        await trashPage(notionClient, ledger.errorPageId);
+        ledger = await updateLedgerRecord(ledgerStore, ledger, { errorPageId: null });
+        console.log('Removed error entry from earlier attempt', { requestId });
+      } catch (trashErr) {
+        console.warn('Failed to remove error entry', { requestId, error: trashErr.message });
+      }
     }
 
     console.log('Email processed successfully', {
       requestId,
       hashtag,
-      pageId: page.id,
+      pageId,
+      appended: !!ledger.appended,
       hasAttachments,
       hasSummary: !!summary,
-      warningCount: attachmentWarnings.length,
+      warningCount: warnings.length,
     });
 
+    // Stage 9: Reply to the forwarder
+    if (warnings.length > 0 && config.replyEvents.includes('warning')) {
+      await notifyWarning(replySettings, replyContext, pageUrl, warnings);
+    } else {
+      await notifySuccess(replySettings, replyContext, pageUrl);
+    }
+
     return {
       statusCode: 200,
       body: JSON.stringify({ message: 'OK', pageUrl }),
@@ -242,22 +567,44 @@ exports.handler = async (event) => {
     try {
       const config = cachedConfig || await loadConfig();
       const sesInfo = event.Records?.[0]?.ses;
-      if (config.notionApiKey && config.notionDatabaseId && sesInfo) {
+      if (ledger?.errorPageId) {
+        // A previous attempt already logged this message; don't add another entry
+        console.log('Error already logged to Notion', { requestId });
+      } else if (config.notionApiKey && config.notionDatabaseId && sesInfo) {
         const mail = sesInfo.mail;
         const notionClient = createClient(config.notionApiKey);
-        await createErrorEntry(notionClient, {
+        // A legacy text Hashtag takes the "error" tag as text
+        const propertyMap = await ensureDatabaseSchema(notionClient, config.notionDatabaseId, config.propertyMap, requestId);
+        const errorPage = await createErrorEntry(notionClient, {
           databaseId: config.notionDatabaseId,
           subject: mail.commonHeaders?.subject || 'Unknown',
           from: mail.source || 'Unknown',
           date: mail.timestamp,
           errorMessage: error.message,
+          propertyMap,
+          timeZone: config.timeZone,
         });
+        if (ledger) {
+          ledger = await updateLedgerRecord(ledgerStore, ledger, { errorPageId: errorPage.id });
+        }
         console.log('Error logged to Notion', { requestId });
       }
     } catch (notionErr) {
       console.error('Failed to log error to Notion', { requestId, error: notionErr.message });
     }
 
+    // Tell the forwarder once, not on every Lambda retry
+    if (replyContext && !ledger?.failureReplySent) {
+      try {
+        const sent = await notifyError(replySettings, replyContext, error.message);
+        if (sent && ledger) {
+          ledger = await updateLedgerRecord(ledgerStore, ledger, { failureReplySent: true });
+        }
+      } catch (replyErr) {
+        console.error('Failed to record failure reply', { requestId, error: replyErr.message });
+      }
+    }
+
     // Re-throw to signal Lambda failure (for retry/DLQ if configured)
     throw error;
   }
@@ -0,0 +1,158 @@
+/**
+ * Idempotency ledger for SES deliveries
+ * Records how far each SES message got so Lambda retries resume instead of starting over
+ */
+
+const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+
+// Processing stages in the order they complete
+const LEDGER_STAGES = ['page_created', 'blocks_appended', 'attachments_uploaded'];
+
+// S3 prefix for ledger records (next to the inbound/ raw emails)
+const LEDGER_PREFIX = 'ledger/';
+
+const s3Client = new S3Client({});
+
+/**
+ * Create an in-memory ledger store (for tests and local runs)
+ * @returns {{ get: Function, put: Function }} - Ledger store
+ */
+function createMemoryLedgerStore() {
+  const records = new Map();
+
+  return {
+    async get(messageId) {
+      const record = records.get(messageId);
+      return record ? JSON.parse(record) : null;
+    },
+    async put(messageId, record) {
+      records.set(messageId, JSON.stringify(record));
+    },
+  };
+}
+
+/**
+ * Create a ledger store backed by S3 objects under ledger/
+ * @param {string} bucket - S3 bucket name
+ * @param {S3Client} client - S3 client (optional, for tests)
+ * @param {string} prefix - Key prefix (optional, for other JSON records such as the reply log)
+ * @returns {{ get: Function, put: Function }} - Ledger store
+ */
+function createS3LedgerStore(bucket, client, prefix = LEDGER_PREFIX) {
+  const s3 = client || s3Client;
+
+  return {
+    async get(messageId) {
+      try {
+        const response = await s3.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: `${prefix}${messageId}.json`,
+        }));
+        const chunks = [];
+        for await (const chunk of response.Body) {
+          chunks.push(chunk);
+        }
+        return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async put(messageId, record) {
+      await s3.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: `${prefix}${messageId}.json`,
+        Body: JSON.stringify(record),
+        ContentType: 'application/json',
+      }));
+    },
+  };
+}
+
+/**
+ * Load the ledger record for a message, or start a fresh one
+ * @param {Object} store - Ledger store
+ * @param {string} messageId - SES message ID
+ * @returns {Promise<Object>} - Ledger record
+ */
+async function loadLedgerRecord(store, messageId) {
+  const existing = await store.get(messageId);
+  if (existing) {
+    return existing;
+  }
+  return { messageId, stage: null };
+}
+
+/**
+ * Check whether a record has completed a stage
+ * @param {Object} record - Ledger record
+ * @param {string} stage - Stage name from LEDGER_STAGES
+ * @returns {boolean}
+ */
+function hasReachedStage(record, stage) {
+  const target = LEDGER_STAGES.indexOf(stage);
+  if (target === -1) {
+    throw new Error(`Unknown ledger stage: ${stage}`);
+  }
+  return LEDGER_STAGES.indexOf(record?.stage) >= target;
+}
+
+/**
+ * Check whether a message has been fully processed
+ * @param {Object} record - Ledger record
+ * @returns {boolean}
+ */
+function isLedgerComplete(record) {
+  return hasReachedStage(record, LEDGER_STAGES[LEDGER_STAGES.length - 1]);
+}
+
+/**
+ * Save extra fields on a record without changing its stage
+ * @param {Object} store - Ledger store
+ * @param {Object} record - Ledger record
+ * @param {Object} fields - Fields to merge
+ * @returns {Promise<Object>} - Updated record
+ */
+async function updateLedgerRecord(store, record, fields) {
+  const updated = {
+    ...record,
+    ...fields,
+    stage: record.stage,
+    updatedAt: new Date().toISOString(),
+  };
+  await store.put(record.messageId, updated);
+  return updated;
+}
+
+/**
+ * Mark a stage as completed (stages never move backwards)
+ * @param {Object} store - Ledger store
+ * @param {Object} record - Ledger record
+ * @param {string} stage - Completed stage
+ * @param {Object} fields - Extra fields to save (optional)
+ * @returns {Promise<Object>} - Updated record
+ */
+async function recordStage(store, record, stage, fields = {}) {
+  const nextStage = hasReachedStage(record, stage) ? record.stage : stage;
+  const updated = {
+    ...record,
+    ...fields,
+    stage: nextStage,
+    updatedAt: new Date().toISOString(),
+  };
+  await store.put(record.messageId, updated);
+  return updated;
+}
+
+module.exports = {
+  createMemoryLedgerStore,
+  createS3LedgerStore,
+  loadLedgerRecord,
+  hasReachedStage,
+  isLedgerComplete,
+  updateLedgerRecord,
+  recordStage,
+  LEDGER_STAGES,
+};
@@ -1,89 +1,232 @@
 /**
- * Error notification via Postmark
+ * Reply notifications to the forwarder via Amazon SES
+ * Replies are threaded to the forwarded message, rate-limited per recipient, and only
+ * ever sent to allowlisted senders.
  */
 
-const postmark = require('postmark');
+const crypto = require('crypto');
+const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+const { validateSender, extractEmail } = require('./validate');
+
+// Events a reply can be sent for
+const REPLY_EVENTS = ['success', 'warning', 'failure'];
+
+// At most this many replies per recipient per window (bounds mail loops and retry storms)
+const REPLY_RATE_LIMIT = 20;
+const REPLY_RATE_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// S3 prefix for the per-recipient reply log (next to ledger/)
+const REPLY_LOG_PREFIX = 'replies/';
+
+const sesClient = new SESv2Client({});
 
 /**
- * Send a notification email
- * @param {string} serverToken - Postmark server API token
- * @param {string} to - Recipient email address
- * @param {string} from - Sender email address
- * @param {string} subject - Email subject
- * @param {string} body - Email body (plain text)
+ * Parse the reply-events setting
+ * @param {string} value - Comma-separated events ("success,warning,failure") or "disabled"
+ * @returns {string[]} - Enabled events
  */
-async function sendNotification(serverToken, to, from, subject, body) {
-  const client = new postmark.ServerClient(serverToken);
-
-  await client.sendEmail({
-    From: from,
-    To: to,
-    Subject: subject,
-    TextBody: body,
-  });
+function parseReplyEvents(value) {
+  if (!value || value === 'disabled') {
+    return [];
+  }
+
+  const events = value.split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  for (const event of events) {
+    if (!REPLY_EVENTS.includes(event)) {
+      throw new Error(`Unknown reply event: ${event}`);
+    }
+  }
+  return events;
 }
 
 /**
- * Send error notification (entry not created)
- * @param {Object} config - Configuration object
- * @param {string} originalFrom - Original sender email
- * @param {string} originalSubject - Original email subject
- * @param {string} errorMessage - Error description
- * @param {string} notificationFrom - From address for notification
+ * Remove line breaks so values can't inject extra headers
+ * @param {string} value - Header value
+ * @returns {string}
  */
-async function notifyError(config, originalFrom, originalSubject, errorMessage, notificationFrom) {
-  if (!config.postmarkServerToken) {
-    console.warn('Cannot send error notification: Postmark token not configured');
-    return;
+function sanitizeHeader(value) {
+  return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  const clean = sanitizeHeader(value);
+  if (/^[\x20-\x7e]*$/.test(clean)) {
+    return clean;
   }
+  return `=?UTF-8?B?${Buffer.from(clean, 'utf-8').toString('base64')}?=`;
+}
 
-  const subject = 'Failed to archive email to Notion';
-  const body = `Your forwarded email could not be archived.
+/**
+ * Build a raw MIME reply
+ * @param {Object} message - Message fields
+ * @param {string} message.from - From address
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject
+ * @param {string} message.body - Plain text body
+ * @param {string} message.inReplyTo - Message-ID being replied to (optional)
+ * @param {string[]} message.references - Earlier Message-IDs in the thread (optional)
+ * @returns {string} - MIME message
+ */
+function buildReplyMessage({ from, to, subject, body, inReplyTo, references }) {
+  const headers = [
+    `From: ${sanitizeHeader(from)}`,
+    `To: ${sanitizeHeader(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    // RFC 3834: mark as automatic so mail systems don't auto-reply back
+    'Auto-Submitted: auto-replied',
+  ];
 
-Error: ${errorMessage}
+  if (inReplyTo) {
+    const threadIds = [...(references || []), inReplyTo].map(sanitizeHeader).filter(Boolean);
+    headers.push(`In-Reply-To: ${sanitizeHeader(inReplyTo)}`);
+    headers.push(`References: ${[...new Set(threadIds)].join(' ')}`);
+  }
+
+  const encodedBody = Buffer.from(body, 'utf-8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return `${headers.join('\r\n')}\r\n\r\n${encodedBody}\r\n`;
+}
 
-Please check the subject line format and try again.
-Expected format: #clientname: Subject Here
+/**
+ * Send a notification email
+ * @param {Object} message - Message fields (see buildReplyMessage)
+ * @param {SESv2Client} client - SES client (optional, for tests)
+ */
+async function sendNotification(message, client) {
+  const ses = client || sesClient;
 
-Original subject: "${originalSubject || 'N/A'}"
+  await ses.send(new SendEmailCommand({
+    FromEmailAddress: message.from,
+    Destination: { ToAddresses: [message.to] },
+    Content: { Raw: { Data: Buffer.from(buildReplyMessage(message), 'utf-8') } },
+  }));
+}
 
----
-This is an automated message from Email-to-Notion.
-`;
+/**
+ * Count a reply against the recipient's limit
+ * @param {Object} store - Reply log store (same get/put interface as the ledger store)
+ * @param {string} address - Recipient address
+ * @param {number} now - Current time in ms
+ * @returns {Promise<boolean>} - True if the reply may be sent
+ */
+async function takeReplySlot(store, address, now = Date.now()) {
+  // Hash the address so the bucket listing doesn't expose who uses the inbox
+  const key = crypto.createHash('sha256').update(address).digest('hex');
+  const record = await store.get(key);
+  const recent = (record?.sentAt || []).filter(sentAt => now - sentAt < REPLY_RATE_WINDOW_MS);
+
+  if (recent.length >= REPLY_RATE_LIMIT) {
+    return false;
+  }
+
+  await store.put(key, { sentAt: [...recent, now] });
+  return true;
+}
+
+/**
+ * Send a reply for an event if the settings allow it (never throws)
+ * @param {Object} settings - Reply settings
+ * @param {string|null} settings.from - From address, or null when replies are off
+ * @param {string[]} settings.events - Enabled events
+ * @param {string[]} settings.allowedSenders - Sender rules replies may go to
+ * @param {Object} settings.store - Reply log store for rate limiting
+ * @param {SESv2Client} settings.client - SES client (optional, for tests)
+ * @param {Object} context - The forwarded message: { requestId, to, subject, messageId, references }
+ * @param {string} event - "success", "warning" or "failure"
+ * @param {string} subject - Reply subject
+ * @param {string} body - Reply body
+ * @returns {Promise<boolean>} - True if a reply was sent
+ */
+async function sendReply(settings, context, event, subject, body) {
+  const { requestId } = context;
+  if (!settings?.from || !settings.events.includes(event)) {
+    return false;
+  }
+
+  const to = extractEmail(context.to);
+  if (!to || !validateSender(to, settings.allowedSenders)) {
+    console.log('Reply skipped: recipient not allowlisted', { requestId, event });
+    return false;
+  }
+  if (to === extractEmail(settings.from)) {
+    console.log('Reply skipped: recipient is the reply address', { requestId, event });
+    return false;
+  }
 
   try {
-    await sendNotification(
-      config.postmarkServerToken,
-      originalFrom,
-      notificationFrom,
+    if (!await takeReplySlot(settings.store, to)) {
+      console.log('Reply skipped: rate limit reached', { requestId, event, to });
+      return false;
+    }
+
+    await sendNotification({
+      from: settings.from,
+      to,
       subject,
-      body
-    );
-    console.log('Error notification sent', { to: originalFrom });
+      body,
+      inReplyTo: context.messageId,
+      references: context.references,
+    }, settings.client);
+    console.log('Reply sent', { requestId, event, to });
+    return true;
   } catch (err) {
-    console.error('Failed to send error notification:', err.message);
+    console.error('Failed to send reply', { requestId, event, error: err.message });
+    return false;
   }
 }
 
 /**
- * Send warning notification (entry created but with issues)
- * @param {Object} config - Configuration object
- * @param {string} originalFrom - Original sender email
- * @param {string} pageUrl - URL to the created Notion page
- * @param {string[]} warnings - Warning messages
- * @param {string} notificationFrom - From address for notification
+ * Build the reply subject for the forwarded message
+ * @param {string} originalSubject - Subject of the forwarded email
+ * @returns {string}
  */
-async function notifyWarning(config, originalFrom, pageUrl, warnings, notificationFrom) {
-  if (!config.postmarkServerToken) {
-    console.warn('Cannot send warning notification: Postmark token not configured');
-    return;
+function getReplySubject(originalSubject) {
+  const subject = sanitizeHeader(originalSubject);
+  if (!subject) {
+    return 'Re: (no subject)';
   }
+  return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+}
 
+/**
+ * Send success notification (entry created)
+ * @param {Object} settings - Reply settings (see sendReply)
+ * @param {Object} context - The forwarded message
+ * @param {string} pageUrl - URL to the Notion page
+ * @returns {Promise<boolean>} - True if a reply was sent
+ */
+async function notifySuccess(settings, context, pageUrl) {
+  const body = `Your email was archived to Notion.
+
+Notion entry: ${pageUrl}
+
+---
+This is an automated message from Email-to-Notion.
+`;
+
+  return sendReply(settings, context, 'success', getReplySubject(context.subject), body);
+}
+
+/**
+ * Send warning notification (entry created but with issues)
+ * @param {Object} settings - Reply settings (see sendReply)
+ * @param {Object} context - The forwarded message
+ * @param {string} pageUrl - URL to the Notion page
+ * @param {string[]} warnings - Warning messages
+ * @returns {Promise<boolean>} - True if a reply was sent
+ */
+async function notifyWarning(settings, context, pageUrl, warnings) {
   if (!warnings || warnings.length === 0) {
-    return;
+    return false;
   }
 
-  const subject = 'Email archived with warnings';
   const body = `Your email was archived to Notion, but some issues occurred.
 
 Notion entry: ${pageUrl}
@@ -95,22 +238,41 @@ ${warnings.map(w => `- ${w}`).join('\n')}
 This is an automated message from Email-to-Notion.
 `;
 
-  try {
-    await sendNotification(
-      config.postmarkServerToken,
-      originalFrom,
-      notificationFrom,
-      subject,
-      body
-    );
-    console.log('Warning notification sent', { to: originalFrom, warningCount: warnings.length });
-  } catch (err) {
-    console.error('Failed to send warning notification:', err.message);
-  }
+  return sendReply(settings, context, 'warning', getReplySubject(context.subject), body);
+}
+
+/**
+ * Send error notification (entry not created)
+ * @param {Object} settings - Reply settings (see sendReply)
+ * @param {Object} context - The forwarded message
+ * @param {string} errorMessage - Error description
+ * @returns {Promise<boolean>} - True if a reply was sent
+ */
+async function notifyError(settings, context, errorMessage) {
+  const body = `Your forwarded email could not be archived.
+
+Error: ${errorMessage}
+
+Delivery is retried automatically, so the entry may still appear.
+
+Original subject: "${sanitizeHeader(context.subject) || 'N/A'}"
+
+---
+This is an automated message from Email-to-Notion.
+`;
+
+  return sendReply(settings, context, 'failure', getReplySubject(context.subject), body);
 }
 
 module.exports = {
+  parseReplyEvents,
+  buildReplyMessage,
   sendNotification,
-  notifyError,
+  takeReplySlot,
+  sendReply,
+  notifySuccess,
   notifyWarning,
+  notifyError,
+  REPLY_LOG_PREFIX,
+  REPLY_RATE_LIMIT,
 };
@@ -4,6 +4,33 @@
 
 const { Client } = require('@notionhq/client');
 const crypto = require('crypto');
+const { normalizeThreadSubject } = require('./parse');
+const { formatDateLabel } = require('./dates');
+const { formatParticipant, getParticipantDomains, PARTICIPANT_SEPARATOR } = require('./participants');
+const { extractEmail } = require('./validate');
+const {
+  buildMappedProperties,
+  buildTextRuns,
+  DEFAULT_PROPERTY_MAP,
+} = require('./properties');
+
+// Default property holding every Message-ID archived on a page (space-separated)
+const MESSAGE_IDS_PROPERTY = DEFAULT_PROPERTY_MAP.messageIds.property;
+
+// Notion limits compound filters; only the first IDs are used for lookups
+const MAX_THREAD_LOOKUP_IDS = 50;
+
+// The subject fallback only matches thread pages edited within this many days, so a subject
+// that recurs (a monthly "Invoice") starts a new page once the old thread has gone quiet
+const THREAD_SUBJECT_WINDOW_DAYS = 30;
+
+// Warning callout limits: characters per warning and warnings listed (the rest are counted),
+// which keeps the callout well under Notion's 100 runs of 2000 characters
+const MAX_WARNING_LENGTH = 500;
+const MAX_CALLOUT_WARNINGS = 100;
+
+// Cache data source IDs across warm invocations
+const dataSourceCache = new Map();
 
 /**
  * Create a Notion client
@@ -23,115 +50,28 @@ function createClient(apiKey) {
  * @param {string} options.from - Sender address
  * @param {string} options.date - Email date (ISO string)
  * @param {string} options.hashtag - Hashtag value (from subject)
+ * @param {string[]} options.hashtags - All hashtags from the subject (optional, defaults to [hashtag])
  * @param {boolean} options.hasAttachments - Whether email has attachments
  * @param {string} options.summary - AI summary (optional)
+ * @param {string[]} options.messageIds - Message-IDs of the thread (optional)
+ * @param {Object} options.directives - Subject directives from parseSubject (optional)
+ * @param {string} options.threadPageId - Earlier page of the thread to relate to (optional)
+ * @param {string} options.clientPageId - Client's page in the Clients database (optional)
+ * @param {Array} options.participants - Participants of the original message (optional, see collectParticipants)
+ * @param {Object} options.propertyMap - Property map (optional, see parsePropertyMap)
+ * @param {string} options.timeZone - Zone the date is shown in (optional, UTC)
  * @param {Array} options.contentBlocks - Notion blocks for page content
  * @returns {Object} - Created page object
  */
 async function createEmailEntry(client, options) {
-  const {
-    databaseId,
-    subject,
-    from,
-    date,
-    hashtag,
-    hasAttachments,
-    summary,
-    contentBlocks,
-  } = options;
-
-  // Parse date for Notion
-  let dateValue = null;
-  if (date) {
-    try {
-      const parsed = new Date(date);
-      if (!isNaN(parsed.getTime())) {
-        dateValue = parsed.toISOString().split('T')[0]; // YYYY-MM-DD format
-      }
-    } catch (e) {
-      console.warn('Failed to parse date:', date);
-    }
-  }
-
-  // Generate UUID for this entry
-  const uuid = crypto.randomUUID();
-
-  // Build properties
-  const properties = {
-    // Name is the title property
-    Name: {
-      title: [
-        {
-          text: {
-            content: subject || 'Untitled',
-          },
-        },
-      ],
-    },
-    // UUID - rich text
-    UUID: {
-      rich_text: [
-        {
-          text: {
-            content: uuid,
-          },
-        },
-      ],
-    },
-    // From - rich text
-    From: {
-      rich_text: [
-        {
-          text: {
-            content: from || 'Unknown',
-          },
-        },
-      ],
-    },
-    // Hashtag - rich text
-    Hashtag: {
-      rich_text: [
-        {
-          text: {
-            content: hashtag || 'Unknown',
-          },
-        },
-      ],
-    },
-    // Has Attachments - checkbox
-    'Has Attachments': {
-      checkbox: !!hasAttachments,
-    },
-  };
-
-  // Add date if we have it
-  if (dateValue) {
-    properties.Date = {
-      date: {
-        start: dateValue,
-      },
-    };
-  }
-
-  // Add summary if provided
-  if (summary) {
-    properties.Summary = {
-      rich_text: [
-        {
-          text: {
-            content: truncateText(summary, 2000),
-          },
-        },
-      ],
-    };
-  }
+  const { databaseId, contentBlocks } = options;
 
   // Create the page
   const page = await client.pages.create({
     parent: {
       database_id: databaseId,
     },
-    properties,
+    properties: buildEmailProperties(options),
   });
 
   // Add content blocks to the page
@@ -142,6 +82,51 @@ async function createEmailEntry(client, options) {
   return page;
 }
 
+/**
+ * Build the database properties for an email entry
+ * @param {Object} options - Entry options (see createEmailEntry)
+ * @returns {Object} - Notion page properties
+ */
+function buildEmailProperties(options) {
+  const {
+    subject,
+    from,
+    date,
+    hashtag,
+    hashtags,
+    hasAttachments,
+    summary,
+    messageIds,
+    directives,
+    threadPageId,
+    clientPageId,
+    participants,
+    propertyMap,
+    timeZone,
+  } = options;
+
+  return buildMappedProperties(propertyMap || DEFAULT_PROPERTY_MAP, {
+    subject: subject || 'Untitled',
+    // Unique per entry, stable even if the subject is edited
+    uuid: crypto.randomUUID(),
+    from: from || 'Unknown',
+    senderEmail: from || null,
+    participants: (participants || []).map(formatParticipant),
+    participantDomains: getParticipantDomains(participants),
+    // One option per tag, nested tags kept as "client/project"
+    hashtags: hashtags || [hashtag || 'Unknown'],
+    hasAttachments: !!hasAttachments,
+    date: date || null,
+    summary: summary ? truncateText(summary, 2000) : null,
+    // Recorded so later forwards of the thread can find this page
+    messageIds: messageIds || [],
+    // Priority, Due and Assignee from subject directives
+    ...getDirectiveFields(directives),
+    thread: threadPageId || null,
+    client: clientPageId || null,
+  }, { timeZone });
+}
+
 /**
  * Create an error entry in the database
  * @param {Client} client - Notion client
@@ -151,6 +136,8 @@ async function createEmailEntry(client, options) {
  * @param {string} options.from - Sender address
  * @param {string} options.date - Email date
  * @param {string} options.errorMessage - Error message
+ * @param {Object} options.propertyMap - Property map (optional, see parsePropertyMap)
+ * @param {string} options.timeZone - Zone the date is shown in (optional, UTC)
  * @returns {Object} - Created page object
  */
 async function createErrorEntry(client, options) {
@@ -160,111 +147,428 @@ async function createErrorEntry(client, options) {
     from,
     date,
     errorMessage,
+    propertyMap,
+    timeZone,
   } = options;
 
-  // Generate UUID for this entry
-  const uuid = crypto.randomUUID();
+  // Error goes in the Summary field
+  const properties = buildMappedProperties(propertyMap || DEFAULT_PROPERTY_MAP, {
+    subject: subject || 'Unknown',
+    uuid: crypto.randomUUID(),
+    from: from || 'Unknown',
+    hashtags: ['error'],
+    hasAttachments: false,
+    date: date || null,
+    summary: `ERROR: ${truncateText(errorMessage, 1900)}`,
+  }, { timeZone });
 
-  // Parse date for Notion
-  let dateValue = null;
-  if (date) {
-    try {
-      const parsed = new Date(date);
-      if (!isNaN(parsed.getTime())) {
-        dateValue = parsed.toISOString().split('T')[0];
-      }
-    } catch (e) {
-      // Ignore date parsing errors
+  const page = await client.pages.create({
+    parent: {
+      database_id: databaseId,
+    },
+    properties,
+  });
+
+  return page;
+}
+
+/**
+ * Get the data source ID for a database (cached)
+ * @param {Client} client - Notion client
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<string>} - ID of the database's first data source
+ */
+async function getDataSourceId(client, databaseId) {
+  if (dataSourceCache.has(databaseId)) {
+    return dataSourceCache.get(databaseId);
+  }
+
+  const database = await client.databases.retrieve({ database_id: databaseId });
+  const dataSourceId = database.data_sources?.[0]?.id;
+  if (!dataSourceId) {
+    throw new Error(`Database ${databaseId} has no data source`);
+  }
+
+  dataSourceCache.set(databaseId, dataSourceId);
+  return dataSourceId;
+}
+
+/**
+ * Find an existing page for an email thread
+ * Matches on any known Message-ID first. Replies whose Message-IDs are unknown fall back to
+ * subject + hashtag among recently edited pages.
+ * @param {Client} client - Notion client
+ * @param {Object} options - Lookup options
+ * @param {string} options.databaseId - Database ID
+ * @param {string[]} options.messageIds - Message-IDs of the incoming email
+ * @param {string} options.subject - Cleaned subject
+ * @param {string} options.hashtag - Hashtag value
+ * @param {boolean} options.isReply - Whether the subject had a reply prefix (see parseSubject)
+ * @param {Object} options.propertyMap - Property map (optional, see parsePropertyMap)
+ * @param {Date} options.now - Current time (optional, for tests)
+ * @returns {Promise<Object|null>} - Matching page or null
+ */
+async function findThreadPage(client, options) {
+  const { databaseId, messageIds, subject, hashtag, isReply, now = new Date() } = options;
+  const map = options.propertyMap || DEFAULT_PROPERTY_MAP;
+  const dataSourceId = await getDataSourceId(client, databaseId);
+
+  const ids = (messageIds || []).slice(0, MAX_THREAD_LOOKUP_IDS);
+  if (ids.length > 0 && map.messageIds) {
+    const response = await client.dataSources.query({
+      data_source_id: dataSourceId,
+      filter: {
+        or: ids.map(id => ({
+          property: map.messageIds.property,
+          rich_text: { contains: id },
+        })),
+      },
+      sorts: [{ timestamp: 'created_time', direction: 'descending' }],
+      page_size: 1,
+    });
+    if (response.results.length > 0) {
+      return response.results[0];
     }
   }
 
-  // Build properties with error in Summary field
-  const properties = {
-    Name: {
-      title: [
-        {
-          text: {
-            content: subject || 'Unknown',
-          },
-        },
-      ],
-    },
-    UUID: {
-      rich_text: [
-        {
-          text: {
-            content: uuid,
-          },
-        },
-      ],
-    },
-    From: {
-      rich_text: [
-        {
-          text: {
-            content: from || 'Unknown',
-          },
-        },
-      ],
-    },
-    Hashtag: {
-      rich_text: [
-        {
-          text: {
-            content: 'error',
-          },
-        },
+  // Subject fallback only for tagged replies; untagged subjects are too generic, and a new
+  // message that happens to share a subject isn't part of the thread
+  const hashtagFilter = buildHashtagFilter(map.hashtags, hashtag);
+  if (!isReply || !subject || !hashtag || hashtag === 'missing' || !map.subject || !hashtagFilter) {
+    return null;
+  }
+
+  const since = new Date(now.getTime() - THREAD_SUBJECT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const response = await client.dataSources.query({
+    data_source_id: dataSourceId,
+    filter: {
+      and: [
+        { property: map.subject.property, [map.subject.type]: { equals: subject } },
+        hashtagFilter,
+        { timestamp: 'last_edited_time', last_edited_time: { on_or_after: since.toISOString() } },
       ],
     },
-    'Has Attachments': {
-      checkbox: false,
+    sorts: [{ timestamp: 'created_time', direction: 'descending' }],
+    page_size: 10,
+  });
+
+  const normalized = normalizeThreadSubject(subject);
+  return response.results.find(page => {
+    const title = page.properties?.[map.subject.property]?.[map.subject.type];
+    return normalizeThreadSubject(getPlainText(title)) === normalized;
+  }) || null;
+}
+
+/**
+ * Build the query filter matching a hashtag in its mapped property
+ * @param {Object|null} mapping - Mapping entry for the hashtags field
+ * @param {string} hashtag - Hashtag value
+ * @returns {Object|null} - Notion filter, or null if the property type can't be filtered on
+ */
+function buildHashtagFilter(mapping, hashtag) {
+  switch (mapping?.type) {
+    case 'multi_select':
+      return { property: mapping.property, multi_select: { contains: hashtag } };
+    case 'select':
+      return { property: mapping.property, select: { equals: hashtag } };
+    case 'rich_text':
+      return { property: mapping.property, rich_text: { contains: hashtag } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create the dated divider that separates messages on a thread page
+ * @param {string} date - Email date (ISO string)
+ * @param {string} timeZone - Zone the date and time are shown in (optional, UTC)
+ * @returns {Array} - Divider and heading blocks
+ */
+function createThreadDividerBlocks(date, timeZone) {
+  const dateLabel = (date && formatDateLabel(date, timeZone)) || 'unknown date';
+
+  return [
+    {
+      type: 'divider',
+      divider: {},
     },
-    Summary: {
-      rich_text: [
-        {
-          text: {
-            content: `ERROR: ${truncateText(errorMessage, 1900)}`,
+    {
+      type: 'heading_3',
+      heading_3: {
+        rich_text: [
+          {
+            type: 'text',
+            text: { content: `Forwarded ${dateLabel}` },
           },
-        },
-      ],
+        ],
+      },
     },
-  };
+  ];
+}
 
-  if (dateValue) {
-    properties.Date = {
-      date: {
-        start: dateValue,
-      },
-    };
+/**
+ * Update thread page properties after a message was appended
+ * Safe to repeat: Message-IDs are merged, never duplicated.
+ * @param {Client} client - Notion client
+ * @param {Object} page - Existing page
+ * @param {Object} options - Update options
+ * @param {string[]} options.messageIds - Message-IDs of the incoming email
+ * @param {string[]} options.hashtags - Hashtags of the incoming email (optional)
+ * @param {boolean} options.hasAttachments - Whether the new message has attachments
+ * @param {Object} options.directives - Subject directives of the incoming email (optional)
+ * @param {Array} options.participants - Participants of the incoming email (optional)
+ * @param {Object} options.propertyMap - Property map (optional, see parsePropertyMap)
+ */
+async function updateThreadPage(client, page, options) {
+  const { messageIds, hashtags, hasAttachments, directives, participants } = options;
+  const map = options.propertyMap || DEFAULT_PROPERTY_MAP;
+
+  // Merge the new Message-IDs into the page's list
+  const existingIds = readMessageIds(page, map);
+  const mergedIds = [...existingIds];
+  for (const id of messageIds || []) {
+    if (!mergedIds.includes(id)) {
+      mergedIds.push(id);
+    }
   }
 
-  const page = await client.pages.create({
-    parent: {
-      database_id: databaseId,
-    },
-    properties,
-  });
+  const fields = getDirectiveFields(directives);
+  if (mergedIds.length > existingIds.length) {
+    fields.messageIds = mergedIds;
+  }
+  if (hasAttachments) {
+    fields.hasAttachments = true;
+  }
 
-  return page;
+  // Add any new tags without dropping the page's existing ones (a select keeps its value).
+  // A text Hashtag holds the tags separated by commas.
+  if (map.hashtags?.type === 'multi_select' || map.hashtags?.type === 'rich_text') {
+    const property = page?.properties?.[map.hashtags.property];
+    const existingTags = map.hashtags.type === 'multi_select'
+      ? (property?.multi_select || []).map(option => option.name)
+      : getPlainText(property?.rich_text).split(',').map(tag => tag.trim()).filter(Boolean);
+    const newTags = (hashtags || []).filter(tag => tag !== 'missing' && !existingTags.includes(tag));
+    if (newTags.length > 0) {
+      fields.hashtags = [...existingTags.filter(tag => tag !== 'missing'), ...newTags];
+    }
+  }
+  Object.assign(fields, mergeParticipantFields(page, map, participants || []));
+
+  const properties = buildMappedProperties(map, fields);
+
+  if (Object.keys(properties).length > 0) {
+    await client.pages.update({
+      page_id: page.id,
+      properties,
+    });
+  }
 }
 
 /**
- * Append blocks to a page, handling Notion's 100 block limit per request
+ * Merge new participants into a thread page's participant lists
+ * Only text and multi-select properties are merged; other types keep their value.
+ * @param {Object} page - Existing page
+ * @param {Object} map - Property map
+ * @param {Array} participants - Participants of the incoming email
+ * @returns {Object} - participants and participantDomains fields (may be empty)
+ */
+function mergeParticipantFields(page, map, participants) {
+  const fields = {};
+
+  if (map.participants?.type === 'rich_text') {
+    const existing = getPlainText(page?.properties?.[map.participants.property]?.rich_text)
+      .split(PARTICIPANT_SEPARATOR)
+      .filter(Boolean);
+    // Compared by address, so a name spelled differently isn't listed twice
+    const key = entry => extractEmail(entry) || entry.toLowerCase();
+    const known = new Set(existing.map(key));
+    const added = participants.map(formatParticipant).filter(entry => !known.has(key(entry)));
+    if (added.length > 0) {
+      fields.participants = [...existing, ...added];
+    }
+  }
+
+  if (map.participantDomains?.type === 'multi_select') {
+    const existing = (page?.properties?.[map.participantDomains.property]?.multi_select || []).map(option => option.name);
+    const added = getParticipantDomains(participants).filter(domain => !existing.includes(domain));
+    if (added.length > 0) {
+      fields.participantDomains = [...existing, ...added];
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Get the field values set by subject directives
+ * Only directives that were given are set, so databases without these columns keep working.
+ * @param {Object} directives - Directives from parseSubject
+ * @returns {Object} - priority, due and assignees fields (may be empty)
+ */
+function getDirectiveFields(directives) {
+  const fields = {};
+  if (!directives) {
+    return fields;
+  }
+
+  if (directives.priority) {
+    fields.priority = true;
+  }
+  if (directives.due) {
+    fields.due = directives.due;
+  }
+  if (directives.assignees && directives.assignees.length > 0) {
+    fields.assignees = directives.assignees;
+  }
+
+  return fields;
+}
+
+/**
+ * Build the Message IDs rich_text property value
+ * @param {string[]} messageIds - Message-IDs to store
+ * @returns {Object} - Notion rich_text property value
+ */
+function buildMessageIdsProperty(messageIds) {
+  // Each rich_text run holds at most 2000 characters; never split an ID
+  return { rich_text: buildTextRuns(messageIds, ' ') };
+}
+
+/**
+ * Read the Message-IDs stored on a page
+ * @param {Object} page - Notion page object
+ * @param {Object} propertyMap - Property map (optional, see parsePropertyMap)
+ * @returns {string[]} - Stored Message-IDs
+ */
+function readMessageIds(page, propertyMap = DEFAULT_PROPERTY_MAP) {
+  if (!propertyMap.messageIds) {
+    return [];
+  }
+  const text = getPlainText(page?.properties?.[propertyMap.messageIds.property]?.rich_text);
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Join the plain text of a rich_text or title array
+ * @param {Array} richText - Notion rich text array
+ * @returns {string} - Plain text
+ */
+function getPlainText(richText) {
+  if (!richText) {
+    return '';
+  }
+  return richText.map(rt => rt.plain_text ?? rt.text?.content ?? '').join('');
+}
+
+/**
+ * Append blocks to a page, handling Notion's limits of 100 blocks and
+ * 1000 total blocks (including nested children such as table rows) per request
+ * Children that exceed the nesting limits are appended to their parent afterwards.
  * @param {Client} client - Notion client
- * @param {string} pageId - Page ID
+ * @param {string} pageId - Page ID (or parent block ID)
  * @param {Array} blocks - Blocks to append
+ * @param {Object} options - Append options (optional)
+ * @param {Function} options.onBatch - Called with the number of blocks appended so far
  */
-async function appendBlocksToPage(client, pageId, blocks) {
+async function appendBlocksToPage(client, pageId, blocks, options = {}) {
   const BATCH_SIZE = 100;
+  const MAX_TOTAL_BLOCKS = 1000;
+
+  let i = 0;
+  while (i < blocks.length) {
+    const batch = [];
+    const deferred = new Map();
+    let total = 0;
+    while (i + batch.length < blocks.length && batch.length < BATCH_SIZE) {
+      let block = blocks[i + batch.length];
+      if (!fitsInRequest(block)) {
+        const { children, ...content } = block[block.type];
+        deferred.set(batch.length, children);
+        block = { ...block, [block.type]: content };
+      }
 
-  for (let i = 0; i < blocks.length; i += BATCH_SIZE) {
-    const batch = blocks.slice(i, i + BATCH_SIZE);
+      const size = countBlocks(block);
+      if (batch.length > 0 && total + size > MAX_TOTAL_BLOCKS) {
+        deferred.delete(batch.length);
+        break;
+      }
+      batch.push(block);
+      total += size;
+    }
 
-    await client.blocks.children.append({
+    const response = await client.blocks.children.append({
       block_id: pageId,
       children: batch,
     });
+
+    for (const [index, children] of deferred) {
+      await appendBlocksToPage(client, response.results[index].id, children);
+    }
+
+    i += batch.length;
+    if (options.onBatch) {
+      await options.onBatch(i);
+    }
+  }
+}
+
+/**
+ * Count a block and its nested children
+ * @param {Object} block - Notion block
+ * @returns {number} - Total block count
+ */
+function countBlocks(block) {
+  const children = block[block.type]?.children || [];
+  return 1 + children.reduce((sum, child) => sum + countBlocks(child), 0);
+}
+
+/**
+ * Check whether a block's children can be sent in the same request
+ * Notion accepts two levels of nesting and 100 children per block.
+ * @param {Object} block - Notion block
+ * @param {number} depth - Nesting depth of the block (0 = appended directly)
+ * @returns {boolean}
+ */
+function fitsInRequest(block, depth = 0) {
+  const children = block[block.type]?.children || [];
+  if (children.length === 0) {
+    return true;
+  }
+  if (depth >= 2 || children.length > 100 || countBlocks(block) > 1000) {
+    return false;
+  }
+  return children.every(child => fitsInRequest(child, depth + 1));
+}
+
+/**
+ * Flag a page whose attachments were quarantined by the malware scanner
+ * @param {Client} client - Notion client
+ * @param {string} pageId - Page ID
+ * @param {Object} propertyMap - Property map (optional, see parsePropertyMap)
+ */
+async function flagQuarantined(client, pageId, propertyMap = DEFAULT_PROPERTY_MAP) {
+  const properties = buildMappedProperties(propertyMap, { quarantined: true });
+  if (Object.keys(properties).length === 0) {
+    return;
   }
+
+  await client.pages.update({
+    page_id: pageId,
+    properties,
+  });
+}
+
+/**
+ * Move a page to the trash
+ * @param {Client} client - Notion client
+ * @param {string} pageId - Page ID
+ */
+async function trashPage(client, pageId) {
+  await client.pages.update({
+    page_id: pageId,
+    in_trash: true,
+  });
 }
 
 /**
@@ -310,19 +614,17 @@ async function addWarningCallout(client, pageId, warnings) {
     return;
   }
 
+  const lines = warnings.slice(0, MAX_CALLOUT_WARNINGS).map(warning => truncateText(warning, MAX_WARNING_LENGTH));
+  if (warnings.length > MAX_CALLOUT_WARNINGS) {
+    lines.push(`...and ${warnings.length - MAX_CALLOUT_WARNINGS} more warnings`);
+  }
+
   const callout = {
     type: 'callout',
     callout: {
       icon: { type: 'emoji', emoji: '⚠️' },
       color: 'yellow_background',
-      rich_text: [
-        {
-          type: 'text',
-          text: {
-            content: warnings.join('\n'),
-          },
-        },
-      ],
+      rich_text: buildTextRuns(lines, '\n'),
     },
   };
 
@@ -362,10 +664,21 @@ function getPageUrl(page) {
 module.exports = {
   createClient,
   createEmailEntry,
+  buildEmailProperties,
   createErrorEntry,
   appendBlocksToPage,
+  getDataSourceId,
+  findThreadPage,
+  createThreadDividerBlocks,
+  updateThreadPage,
+  trashPage,
+  flagQuarantined,
+  buildMessageIdsProperty,
+  readMessageIds,
+  getPlainText,
   addSummaryCallout,
   addWarningCallout,
   truncateText,
   getPageUrl,
+  MESSAGE_IDS_PROPERTY,
 };
@@ -2,63 +2,170 @@
  * Parsing functions for email subject and forwarded headers
  */
 
+const { parseEmailDate } = require('./dates');
+
+// Flag directives: !name
+const FLAG_DIRECTIVES = ['nosummary', 'noattach', 'priority'];
+
 /**
- * Parse subject line to extract hashtag and clean subject
+ * Parse subject line to extract hashtags, directives and clean subject
+ * Tags may be nested (#client/project) and appear anywhere in the subject.
+ * Directives (!nosummary, !noattach, !priority, @due:YYYY-MM-DD, +assignee) are stripped.
  * @param {string} subject - The email subject line
- * @returns {{ hashtag: string, subject: string }} - Parsed result
+ * @returns {{ hashtag: string, hashtags: string[], directives: Object, unknownDirectives: string[], subject: string, isReply: boolean }}
  */
 function parseSubject(subject) {
   if (!subject) {
     subject = '';
   }
 
-  // Extract hashtag: #tagname or #tagname: (colon optional)
-  const hashtagMatch = subject.match(/^#(\w+):?\s*/);
-
-  let hashtag;
-  let cleanSubject;
+  const hashtags = [];
+  const { directives, unknownDirectives, remaining } = extractDirectives(subject);
+  let cleanSubject = remaining;
 
-  if (hashtagMatch) {
-    // Sanitize hashtag: lowercase, alphanumeric only, max 50 chars
-    hashtag = hashtagMatch[1].toLowerCase();
-    hashtag = hashtag.replace(/[^a-z0-9]/g, '');
-    if (hashtag.length > 50) {
-      hashtag = hashtag.slice(0, 50);
-    }
-    if (!hashtag) {
-      hashtag = 'missing';
-    }
-    cleanSubject = subject.slice(hashtagMatch[0].length);
-  } else {
-    // No hashtag found, use "missing"
-    hashtag = 'missing';
-    cleanSubject = subject;
+  // Leading tags: #tagname or #tagname: (colon optional), possibly several
+  const leadingPattern = /^#([\w/]+):?\s*/;
+  let hashtagMatch;
+  while ((hashtagMatch = cleanSubject.match(leadingPattern))) {
+    addHashtag(hashtags, hashtagMatch[1]);
+    cleanSubject = cleanSubject.slice(hashtagMatch[0].length);
   }
 
   // Strip common forwarding/reply prefixes (case-insensitive, can repeat)
   const prefixPattern = /^(fwd|fw|re|reply):\s*/i;
-  while (prefixPattern.test(cleanSubject)) {
-    cleanSubject = cleanSubject.replace(prefixPattern, '');
+  const prefixes = [];
+  let prefixMatch;
+  while ((prefixMatch = cleanSubject.match(prefixPattern))) {
+    prefixes.push(prefixMatch[1].toLowerCase());
+    cleanSubject = cleanSubject.slice(prefixMatch[0].length);
+  }
+
+  // Inline and trailing tags must start with a letter so "Invoice #1234" stays intact
+  const inlinePattern = /(^|\s)#([a-z][\w/]*)(?=($|\s|[,.;:!?]))/gi;
+  cleanSubject = cleanSubject.replace(inlinePattern, (match, space, tag, next) => {
+    addHashtag(hashtags, tag);
+    // Keep punctuation attached to the preceding word ("with #acme, today" -> "with, today")
+    return /[,.;:!?]/.test(next) ? '' : space;
+  });
+  cleanSubject = cleanSubject.replace(/\s{2,}/g, ' ');
+
+  if (hashtags.length === 0) {
+    // No hashtag found, use "missing"
+    hashtags.push('missing');
   }
 
   return {
-    hashtag,
+    hashtag: hashtags[0],
+    hashtags,
+    directives,
+    unknownDirectives,
     subject: cleanSubject.trim(),
+    // A reply prefix, or any prefix under the forwarder's own Fwd:, means the message continues
+    // an earlier one
+    isReply: prefixes.some(prefix => prefix === 're' || prefix === 'reply') || prefixes.length > 1,
+  };
+}
+
+/**
+ * Extract subject directives
+ * @param {string} subject - The email subject line
+ * @returns {{ directives: Object, unknownDirectives: string[], remaining: string }}
+ */
+function extractDirectives(subject) {
+  const directives = {
+    nosummary: false,
+    noattach: false,
+    priority: false,
+    due: null,
+    assignees: [],
+  };
+  const unknownDirectives = [];
+
+  // Each directive is a whole word: "!name", "@name:value" or "+name"
+  const directivePattern = /(^|\s)(?:!([a-z]+)|@([a-z]+):(\S+)|\+([a-z][\w.-]*))(?=$|\s)/gi;
+
+  const remaining = subject.replace(directivePattern, (match, space, flag, key, value, assignee) => {
+    const token = match.trim();
+
+    if (flag) {
+      const name = flag.toLowerCase();
+      if (FLAG_DIRECTIVES.includes(name)) {
+        directives[name] = true;
+      } else {
+        unknownDirectives.push(token);
+      }
+    } else if (key) {
+      const name = key.toLowerCase();
+      // Only @due:YYYY-MM-DD is supported for now
+      if (name === 'due' && isValidDay(value)) {
+        directives.due = value;
+      } else {
+        unknownDirectives.push(token);
+      }
+    } else if (assignee) {
+      const name = assignee.toLowerCase();
+      if (!directives.assignees.includes(name)) {
+        directives.assignees.push(name);
+      }
+    }
+
+    return space;
+  });
+
+  return {
+    directives,
+    unknownDirectives,
+    remaining: remaining.replace(/\s{2,}/g, ' ').trim(),
   };
 }
 
 /**
- * Parse forwarded email headers to extract original sender and date
+ * Check for a real calendar day in YYYY-MM-DD form
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+function isValidDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+/**
+ * Sanitize a raw tag and add it to the list if new
+ * @param {string[]} hashtags - Collected hashtags
+ * @param {string} rawTag - Tag text without the leading #
+ */
+function addHashtag(hashtags, rawTag) {
+  // Sanitize each level: lowercase, alphanumeric only; whole tag max 50 chars
+  let hashtag = rawTag
+    .toLowerCase()
+    .split('/')
+    .map(segment => segment.replace(/[^a-z0-9]/g, ''))
+    .filter(Boolean)
+    .join('/');
+  if (hashtag.length > 50) {
+    hashtag = hashtag.slice(0, 50).replace(/\/+$/, '');
+  }
+  if (hashtag && !hashtags.includes(hashtag)) {
+    hashtags.push(hashtag);
+  }
+}
+
+/**
+ * Parse forwarded email headers to extract original sender, date and recipients
  * @param {string} text - The email body text
  * @param {string[]} allowedSenders - List of allowed senders (to skip self-replies)
- * @returns {{ originalFrom: string|null, originalDate: string|null }}
+ * @param {string} timeZone - Zone for dates written without one (optional, UTC)
+ * @returns {{ originalFrom: string|null, originalDate: string|null, originalTo: string|null, originalCc: string|null }}
  */
-function parseForwardedHeaders(text, allowedSenders) {
+function parseForwardedHeaders(text, allowedSenders, timeZone) {
   let originalFrom = null;
   let originalDate = null;
 
   if (!text) {
-    return { originalFrom, originalDate };
+    return { originalFrom, originalDate, originalTo: null, originalCc: null };
   }
 
   // Normalize allowed senders to lowercase
@@ -99,11 +206,11 @@ function parseForwardedHeaders(text, allowedSenders) {
 
         const dateMatch = block.match(/(?:Date|Sent):\s*(.+?)(?:\n|$)/i);
         if (dateMatch) {
-          originalDate = parseDateString(dateMatch[1].trim());
+          originalDate = parseDateString(dateMatch[1].trim(), timeZone);
         }
 
         // Return first non-self sender found (most recent in thread)
-        return { originalFrom, originalDate };
+        return { originalFrom, originalDate, ...extractRecipientHeaders(block) };
       }
     }
   }
@@ -129,15 +236,33 @@ function parseForwardedHeaders(text, allowedSenders) {
   }
 
   // If we found a From, look for the nearest Date/Sent after it
+  let recipients = { originalTo: null, originalCc: null };
   if (originalFrom && fromPosition >= 0) {
     const textAfterFrom = text.slice(fromPosition);
     const dateMatch = textAfterFrom.match(/(?:Date|Sent):\s*(.+?)(?:\n|$)/im);
     if (dateMatch) {
-      originalDate = parseDateString(dateMatch[1].trim());
+      originalDate = parseDateString(dateMatch[1].trim(), timeZone);
     }
+    // Recipients only from the header lines, which end at the first blank line
+    recipients = extractRecipientHeaders(textAfterFrom.split(/\n\s*\n/)[0]);
   }
 
-  return { originalFrom, originalDate };
+  return { originalFrom, originalDate, ...recipients };
+}
+
+/**
+ * Extract the To and Cc lines of a forwarded header block
+ * @param {string} block - Header block text
+ * @returns {{ originalTo: string|null, originalCc: string|null }}
+ */
+function extractRecipientHeaders(block) {
+  // Anchored to the line start so "Reply-To:" isn't read as "To:"
+  const toMatch = block.match(/^[ \t>]*To:[ \t]*(.+?)[ \t]*$/im);
+  const ccMatch = block.match(/^[ \t>]*Cc:[ \t]*(.+?)[ \t]*$/im);
+  return {
+    originalTo: toMatch ? toMatch[1] : null,
+    originalCc: ccMatch ? ccMatch[1] : null,
+  };
 }
 
 /**
@@ -168,35 +293,12 @@ function extractEmailFromHeader(fromString) {
 /**
  * Parse a date string from various email client formats
  * @param {string} dateString - The date string to parse
- * @returns {string|null} - ISO date string or null
+ * @param {string} timeZone - Zone for dates written without one (optional, UTC)
+ * @returns {string|null} - ISO date string keeping the original offset, or null
  */
-function parseDateString(dateString) {
-  if (!dateString) {
-    return null;
-  }
-
-  // Normalize the date string for better parsing
-  let normalized = dateString
-    // Gmail uses "at" between date and time: "Mon, Dec 9, 2024 at 10:00 AM"
-    .replace(/\s+at\s+/gi, ' ')
-    // Remove extra whitespace
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  // Try to parse with Date constructor
-  const parsed = new Date(normalized);
-  if (!isNaN(parsed.getTime())) {
-    return parsed.toISOString();
-  }
-
-  // Try parsing without the day name (e.g., "Dec 9, 2024 10:00 AM")
-  const withoutDay = normalized.replace(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun),?\s*/i, '');
-  const parsedWithoutDay = new Date(withoutDay);
-  if (!isNaN(parsedWithoutDay.getTime())) {
-    return parsedWithoutDay.toISOString();
-  }
-
-  return null;
+function parseDateString(dateString, timeZone) {
+  // Localized client formats and zones are handled in dates.js
+  return parseEmailDate(dateString, timeZone);
 }
 
 /**
@@ -244,10 +346,52 @@ function stripForwardingHeaders(text) {
   return result.trim();
 }
 
+/**
+ * Normalize a cleaned subject for thread matching
+ * @param {string} subject - Subject as returned by parseSubject
+ * @returns {string} - Lowercased subject with collapsed whitespace
+ */
+function normalizeThreadSubject(subject) {
+  if (!subject) {
+    return '';
+  }
+  return subject.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collect the Message-IDs that identify an email's thread
+ * @param {Object} headers - Threading headers
+ * @param {string} headers.messageId - Message-ID of the email
+ * @param {string} headers.inReplyTo - In-Reply-To header value
+ * @param {string[]} headers.references - References header values
+ * @returns {string[]} - Unique Message-IDs in "<id>" form
+ */
+function collectThreadIds({ messageId, inReplyTo, references } = {}) {
+  const ids = [];
+  const candidates = [messageId, inReplyTo, ...(references || [])];
+
+  for (const candidate of candidates) {
+    if (!candidate) {
+      continue;
+    }
+    // A single header value may hold several space-separated IDs
+    const matches = candidate.match(/<[^<>\s]+>/g) || [];
+    for (const id of matches) {
+      if (!ids.includes(id)) {
+        ids.push(id);
+      }
+    }
+  }
+
+  return ids;
+}
+
 module.exports = {
   parseSubject,
   parseForwardedHeaders,
   stripForwardingHeaders,
   extractEmailFromHeader,
   parseDateString,
+  normalizeThreadSubject,
+  collectThreadIds,
 };
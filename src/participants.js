@@ -0,0 +1,164 @@
+/**
+ * Participants: everyone on the original message, with display name and address
+ *
+ * Taken from the forwarded block's From/To/Cc lines when the email is a forward, otherwise
+ * from the email's own headers. Written to the Participants, Participant Domains and
+ * Sender Email properties so the archive can be filtered by counterparty.
+ */
+
+const { extractEmail, matchInboxSecret, validateSender } = require('./validate');
+
+// Header roles, in the order participants are listed (an address keeps its first role)
+const PARTICIPANT_ROLES = ['from', 'replyTo', 'to', 'cc', 'bcc'];
+
+// Joins participants in text properties ("Name <address>" can contain commas)
+const PARTICIPANT_SEPARATOR = '; ';
+
+/**
+ * Split an address header into its addresses
+ * Handles quoted names ("Doe, Jane" <jane@example.com>), unquoted names with commas
+ * (Doe, Jane <jane@example.com>) and Outlook's semicolon lists, which may have names only.
+ * @param {string} value - Header value, e.g. "Jane <jane@example.com>, bob@example.com"
+ * @returns {Array<{ name: string|null, address: string|null }>}
+ */
+function parseAddressList(value) {
+  if (!value) {
+    return [];
+  }
+
+  // Split on commas and semicolons outside quotes and angle brackets
+  const pieces = [];
+  let current = '';
+  let quoted = false;
+  let bracketed = false;
+  for (const char of String(value)) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === '<' && !quoted) {
+      bracketed = true;
+    } else if (char === '>' && !quoted) {
+      bracketed = false;
+    } else if ((char === ',' || char === ';') && !quoted && !bracketed) {
+      pieces.push({ text: current, separator: char });
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  pieces.push({ text: current, separator: null });
+
+  // A comma piece without an address is the first half of an unquoted "Last, First" name
+  const entries = [];
+  let pending = '';
+  for (const { text, separator } of pieces) {
+    const joined = pending ? `${pending},${text}` : text;
+    if (separator === ',' && !text.includes('@')) {
+      pending = joined;
+      continue;
+    }
+    pending = '';
+    entries.push(joined);
+  }
+
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const address = extractEmail(entry);
+      // The name is what comes before <address>; a bare address has none
+      const bracket = entry.indexOf('<');
+      const name = (bracket >= 0 ? entry.slice(0, bracket) : (address ? '' : entry))
+        .trim()
+        .replace(/^"|"$/g, '')
+        .replace(/\\"/g, '"')
+        .trim();
+      return { name: name || null, address };
+    });
+}
+
+/**
+ * Format a participant for a text property
+ * @param {{ name: string|null, address: string|null }} participant - Participant
+ * @returns {string} - "Name <address>", the address, or the name
+ */
+function formatParticipant(participant) {
+  if (participant.name && participant.address) {
+    return `${participant.name} <${participant.address}>`;
+  }
+  return participant.address || participant.name;
+}
+
+/**
+ * Collect the participants of a message from its address headers
+ * Inbox addresses are left out (they hold the inbox secret). The forwarder's own addresses
+ * are kept but marked, so they don't count as a counterparty domain.
+ * @param {Object} headers - Header values keyed by role: from, replyTo, to, cc, bcc
+ * @param {Object} options - Options (optional)
+ * @param {string[]} options.allowedSenders - Forwarder addresses and patterns
+ * @param {Array} options.inboxSecrets - Inbox secrets (see parseInboxSecrets)
+ * @returns {Array<{ role: string, name: string|null, address: string|null, self: boolean }>}
+ */
+function collectParticipants(headers, options = {}) {
+  const { allowedSenders = [], inboxSecrets = [] } = options;
+  const participants = [];
+  const seen = new Set();
+
+  for (const role of PARTICIPANT_ROLES) {
+    for (const { name, address } of parseAddressList(headers[role])) {
+      const key = address || name.toLowerCase();
+      if (seen.has(key) || (address && matchInboxSecret(address, inboxSecrets))) {
+        continue;
+      }
+      seen.add(key);
+      participants.push({ role, name, address, self: !!address && validateSender(address, allowedSenders) });
+    }
+  }
+
+  return participants;
+}
+
+/**
+ * Collect the participants of the message an email archives
+ * @param {Object} body - Postmark-format email (see parseMimeEmail)
+ * @param {Object} forwarded - Result of parseForwardedHeaders
+ * @param {Object} options - Options for collectParticipants
+ * @returns {Array} - Participants (see collectParticipants)
+ */
+function getMessageParticipants(body, forwarded, options) {
+  if (forwarded.originalFrom) {
+    return collectParticipants({
+      from: forwarded.originalFrom,
+      to: forwarded.originalTo,
+      cc: forwarded.originalCc,
+    }, options);
+  }
+  return collectParticipants({
+    from: body.From,
+    replyTo: body.ReplyTo,
+    to: body.To,
+    cc: body.Cc,
+    bcc: body.Bcc,
+  }, options);
+}
+
+/**
+ * List the counterparty domains of a message
+ * @param {Array} participants - Participants (see collectParticipants)
+ * @returns {string[]} - Lowercase domains, without duplicates or the forwarder's own addresses
+ */
+function getParticipantDomains(participants) {
+  const domains = (participants || [])
+    .filter(participant => participant.address && !participant.self)
+    .map(participant => participant.address.split('@')[1])
+    .filter(Boolean);
+  return [...new Set(domains)];
+}
+
+module.exports = {
+  parseAddressList,
+  formatParticipant,
+  collectParticipants,
+  getMessageParticipants,
+  getParticipantDomains,
+  PARTICIPANT_SEPARATOR,
+};
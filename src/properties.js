@@ -0,0 +1,289 @@
+/**
+ * Property mapping: which email field is written to which Notion property, and as what type
+ *
+ * The default mapping is the schema the archive has always used. A property-map setting
+ * overrides it per field, e.g. for a team database:
+ * {
+ *   "hashtags": { "property": "Client", "type": "select" },
+ *   "from": { "property": "Sender", "type": "email" },
+ *   "date": { "property": "Received", "type": "date", "time": false },
+ *   "thread": { "property": "Thread", "type": "relation" },
+ *   "uuid": null
+ * }
+ */
+
+const { extractEmail } = require('./validate');
+const { toNotionDate } = require('./dates');
+const { PARTICIPANT_SEPARATOR } = require('./participants');
+
+// Notion property types a field can be written as
+const PROPERTY_TYPES = [
+  'title',
+  'rich_text',
+  'select',
+  'multi_select',
+  'email',
+  'date',
+  'checkbox',
+  'url',
+  'people',
+  'relation',
+];
+
+// Field → property used when the setting doesn't override it (null = not written)
+const DEFAULT_PROPERTY_MAP = {
+  subject: { property: 'Name', type: 'title' },
+  uuid: { property: 'UUID', type: 'rich_text' },
+  from: { property: 'From', type: 'rich_text' },
+  hashtags: { property: 'Hashtag', type: 'multi_select' },
+  hasAttachments: { property: 'Has Attachments', type: 'checkbox' },
+  date: { property: 'Date', type: 'date' },
+  summary: { property: 'Summary', type: 'rich_text' },
+  messageIds: { property: 'Message IDs', type: 'rich_text' },
+  quarantined: { property: 'Quarantined', type: 'checkbox' },
+  priority: { property: 'Priority', type: 'checkbox' },
+  due: { property: 'Due', type: 'date' },
+  assignees: { property: 'Assignee', type: 'multi_select' },
+  // Original message's sender address and everyone on it (see participants.js)
+  senderEmail: { property: 'Sender Email', type: 'email' },
+  participants: { property: 'Participants', type: 'rich_text' },
+  participantDomains: { property: 'Participant Domains', type: 'multi_select' },
+  // Earlier page of the same thread (thread-mode "link")
+  thread: null,
+  // Client's page in a Clients database (see clients.js)
+  client: null,
+};
+
+// Fields written for every email; the rest come from opt-in features
+const REQUIRED_FIELDS = ['subject', 'uuid', 'from', 'hashtags', 'hasAttachments', 'date', 'summary', 'messageIds'];
+
+// Fields whose type other code depends on (thread lookups use rich_text "contains")
+const FIXED_FIELD_TYPES = {
+  messageIds: 'rich_text',
+  thread: 'relation',
+  client: 'relation',
+};
+
+// Types an existing column may have instead of the mapped one; the field is then written as
+// the column's type. Databases from before hashtags became a multi-select have a text Hashtag.
+const COMPATIBLE_TYPES = {
+  hashtags: ['rich_text'],
+};
+
+// List separators in text properties; Message-IDs are space-separated so a lookup can match
+// any one of them
+const TEXT_SEPARATORS = {
+  messageIds: ' ',
+  participants: PARTICIPANT_SEPARATOR,
+};
+
+// Notion limits each rich_text run to 2000 characters
+const MAX_TEXT_RUN_LENGTH = 2000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+/**
+ * Parse the property-map setting
+ * @param {string} json - Mapping JSON (or "default"/empty)
+ * @returns {Object} - Field → { property, type, ... } or null, merged over DEFAULT_PROPERTY_MAP
+ */
+function parsePropertyMap(json) {
+  if (!json || json === 'default') {
+    return DEFAULT_PROPERTY_MAP;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid property map JSON: ${e.message}`);
+  }
+
+  const map = { ...DEFAULT_PROPERTY_MAP };
+  for (const [field, mapping] of Object.entries(raw)) {
+    if (!(field in DEFAULT_PROPERTY_MAP)) {
+      throw new Error(`Unknown field in property map: ${field}`);
+    }
+    if (mapping === null) {
+      map[field] = null;
+      continue;
+    }
+    if (!mapping.property || !PROPERTY_TYPES.includes(mapping.type)) {
+      throw new Error(`Property map entry for ${field} needs a property name and one of: ${PROPERTY_TYPES.join(', ')}`);
+    }
+    if (FIXED_FIELD_TYPES[field] && mapping.type !== FIXED_FIELD_TYPES[field]) {
+      throw new Error(`Property map entry for ${field} must be ${FIXED_FIELD_TYPES[field]}`);
+    }
+    if (field === 'client' && !mapping.databaseId) {
+      throw new Error('Property map entry for client needs the databaseId of the Clients database');
+    }
+    map[field] = { ...mapping };
+  }
+
+  const mapped = Object.values(map).filter(Boolean);
+  const names = mapped.map(m => m.property);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new Error(`Property map writes more than one field to "${duplicate}"`);
+  }
+  if (mapped.filter(m => m.type === 'title').length !== 1) {
+    throw new Error('Property map needs exactly one title property');
+  }
+
+  return map;
+}
+
+/**
+ * Split text items into rich_text runs without splitting an item
+ * @param {string[]} items - Text items
+ * @param {string} separator - Joins items within a run
+ * @returns {Array} - Notion rich_text array
+ */
+function buildTextRuns(items, separator) {
+  const runs = [];
+  let current = '';
+  for (const item of items) {
+    const next = current ? `${current}${separator}${item}` : item;
+    if (next.length > MAX_TEXT_RUN_LENGTH && current) {
+      runs.push(`${current}${separator}`);
+      current = item;
+    } else {
+      current = next;
+    }
+  }
+  if (current) {
+    runs.push(current);
+  }
+
+  return runs.map(content => ({
+    text: { content },
+  }));
+}
+
+/**
+ * Build select options
+ * @param {string[]} names - Option names
+ * @returns {Array} - Notion select option objects
+ */
+function buildSelectOptions(names) {
+  // Option names cannot contain commas and are limited to 100 characters
+  return names
+    .filter(Boolean)
+    .map(name => ({ name: name.replace(/,/g, '').slice(0, 100) }));
+}
+
+/**
+ * Convert a field value to a Notion property value
+ * @param {Object} mapping - Mapping entry { property, type, time, users }
+ * @param {*} value - Field value: a string, a list of strings, or a boolean
+ * @param {Object} options - Options (optional)
+ * @param {string} options.separator - Joins list items in text properties (default ", ")
+ * @param {string} options.timeZone - Zone dates are shown in (default UTC)
+ * @returns {Object|null} - Property value, or null when there is nothing to write
+ */
+function buildPropertyValue(mapping, value, options = {}) {
+  const { separator = ', ', timeZone } = options;
+
+  if (mapping.type === 'checkbox') {
+    return value === null || value === undefined ? null : { checkbox: !!value };
+  }
+
+  const items = [].concat(value ?? []).filter(item => item !== null && item !== '').map(String);
+  if (items.length === 0) {
+    return null;
+  }
+
+  switch (mapping.type) {
+    case 'title':
+    case 'rich_text':
+      return { [mapping.type]: buildTextRuns(items, separator) };
+    case 'select':
+      return { select: buildSelectOptions(items)[0] || null };
+    case 'multi_select':
+      return { multi_select: buildSelectOptions(items) };
+    case 'email': {
+      const email = extractEmail(items[0]);
+      return email ? { email } : null;
+    }
+    case 'url':
+      return { url: items[0] };
+    case 'date': {
+      // Full timestamp unless the mapping sets "time": false
+      const date = toNotionDate(items[0], { timeZone, includeTime: mapping.time !== false });
+      if (!date) {
+        console.warn('Failed to parse date:', items[0]);
+      }
+      return date ? { date } : null;
+    }
+    case 'people': {
+      // Names are looked up in the mapping's users table; Notion user IDs pass through
+      const ids = items
+        .map(item => mapping.users?.[item.toLowerCase()] || (UUID_PATTERN.test(item) ? item : null))
+        .filter(Boolean);
+      return ids.length > 0 ? { people: ids.map(id => ({ id })) } : null;
+    }
+    case 'relation':
+      return { relation: items.map(id => ({ id })) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build page properties for a set of field values
+ * Fields that aren't mapped, or have no value, are left out.
+ * @param {Object} map - Property map (see parsePropertyMap)
+ * @param {Object} fields - Field values keyed by field name
+ * @param {Object} options - Options (optional)
+ * @param {string} options.timeZone - Zone dates are shown in (default UTC)
+ * @returns {Object} - Notion page properties
+ */
+function buildMappedProperties(map, fields, options = {}) {
+  const properties = {};
+  for (const [field, value] of Object.entries(fields)) {
+    const mapping = map[field];
+    if (!mapping) {
+      continue;
+    }
+    const propertyValue = buildPropertyValue(mapping, value, {
+      separator: TEXT_SEPARATORS[field],
+      timeZone: options.timeZone,
+    });
+    if (propertyValue) {
+      properties[mapping.property] = propertyValue;
+    }
+  }
+  return properties;
+}
+
+/**
+ * List the properties a mapping writes, for schema checks
+ * @param {Object} map - Property map (see parsePropertyMap)
+ * @returns {Array<{ field: string, name: string, type: string, required: boolean, compatibleTypes: string[], mapped: boolean, databaseId: string|null }>}
+ */
+function getPropertySchema(map) {
+  return Object.entries(map)
+    .filter(([, mapping]) => mapping)
+    .map(([field, mapping]) => ({
+      field,
+      name: mapping.property,
+      type: mapping.type,
+      required: REQUIRED_FIELDS.includes(field),
+      compatibleTypes: (COMPATIBLE_TYPES[field] || []).filter(type => type !== mapping.type),
+      // Set by the property-map setting rather than taken from the defaults
+      mapped: mapping !== DEFAULT_PROPERTY_MAP[field],
+      // Relation target; the thread relation points at the entry's own database
+      databaseId: mapping.databaseId || null,
+    }));
+}
+
+module.exports = {
+  parsePropertyMap,
+  buildPropertyValue,
+  buildMappedProperties,
+  buildTextRuns,
+  buildSelectOptions,
+  getPropertySchema,
+  DEFAULT_PROPERTY_MAP,
+  PROPERTY_TYPES,
+};
@@ -0,0 +1,174 @@
+/**
+ * Client registry: hashtag aliases and per-client routing
+ */
+
+// Tag used for emails whose client tag is not in the registry
+const DEFAULT_TRIAGE_HASHTAG = 'triage';
+
+/**
+ * Parse the client registry JSON
+ *
+ * Expected shape:
+ * {
+ *   "clients": {
+ *     "acme": {
+ *       "aliases": ["acmeco"],
+ *       "databaseId": "...",
+ *       "summaryPrompt": "...",
+ *       "allowedSenders": ["you@work.com"]
+ *     }
+ *   },
+ *   "triage": { "hashtag": "triage", "databaseId": "..." }
+ * }
+ *
+ * @param {string} json - Registry JSON (or "disabled"/empty)
+ * @returns {Object|null} - Normalized registry, or null when not configured
+ */
+function parseClientRegistry(json) {
+  if (!json || json === 'disabled') {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid client registry JSON: ${e.message}`);
+  }
+
+  const clients = new Map();
+  const aliases = new Map();
+
+  for (const [name, entry] of Object.entries(raw.clients || {})) {
+    const key = normalizeTag(name);
+    if (!key) {
+      continue;
+    }
+
+    const client = {
+      name: key,
+      databaseId: entry.databaseId || null,
+      summaryPrompt: entry.summaryPrompt || null,
+      allowedSenders: (entry.allowedSenders || []).map(s => s.trim().toLowerCase()),
+    };
+    clients.set(key, client);
+
+    for (const alias of [key, ...(entry.aliases || [])]) {
+      const aliasKey = normalizeTag(alias);
+      if (aliasKey && aliases.has(aliasKey) && aliases.get(aliasKey) !== key) {
+        throw new Error(`Client registry alias "${aliasKey}" is used by more than one client`);
+      }
+      if (aliasKey) {
+        aliases.set(aliasKey, key);
+      }
+    }
+  }
+
+  return {
+    clients,
+    aliases,
+    triage: {
+      hashtag: normalizeTag(raw.triage?.hashtag) || DEFAULT_TRIAGE_HASHTAG,
+      databaseId: raw.triage?.databaseId || null,
+    },
+  };
+}
+
+/**
+ * Normalize a registry key the same way parseSubject sanitizes a tag segment
+ * @param {string} tag - Tag or alias
+ * @returns {string} - Lowercase alphanumeric key
+ */
+function normalizeTag(tag) {
+  if (!tag) {
+    return '';
+  }
+  return String(tag).toLowerCase().replace(/^#/, '').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Resolve a single hashtag through the alias table
+ * Only the top level of a nested tag is aliased: #acmeco/legal -> acme/legal
+ * @param {Object} registry - Parsed registry
+ * @param {string} hashtag - Hashtag from parseSubject
+ * @returns {string|null} - Canonical hashtag, or null if the client is unknown
+ */
+function canonicalizeHashtag(registry, hashtag) {
+  const [top, ...rest] = (hashtag || '').split('/');
+  const client = registry.aliases.get(top);
+  if (!client) {
+    return null;
+  }
+  return [client, ...rest].join('/');
+}
+
+/**
+ * Resolve parsed hashtags to a client and routing settings
+ * The first hashtag names the client; later tags are kept as topic tags.
+ * @param {Object|null} registry - Parsed registry (null when not configured)
+ * @param {string[]} hashtags - Hashtags from parseSubject
+ * @returns {{ client: Object|null, hashtags: string[], triaged: boolean, warnings: string[] }}
+ */
+function resolveClient(registry, hashtags) {
+  if (!registry) {
+    return { client: null, hashtags, triaged: false, warnings: [] };
+  }
+
+  const [primary, ...others] = hashtags || [];
+  const warnings = [];
+  const resolved = [];
+
+  // Secondary tags keep their spelling unless they are a known alias
+  const topics = others.map(tag => canonicalizeHashtag(registry, tag) || tag);
+
+  const canonical = primary && primary !== 'missing' ? canonicalizeHashtag(registry, primary) : null;
+  if (!canonical) {
+    if (primary && primary !== 'missing') {
+      warnings.push(`Unknown client tag #${primary} - routed to #${registry.triage.hashtag}`);
+    }
+    resolved.push(registry.triage.hashtag);
+  } else {
+    resolved.push(canonical);
+  }
+
+  for (const tag of topics) {
+    if (!resolved.includes(tag)) {
+      resolved.push(tag);
+    }
+  }
+
+  const client = canonical ? registry.clients.get(canonical.split('/')[0]) : null;
+
+  return {
+    client,
+    hashtags: resolved,
+    triaged: !canonical,
+    warnings,
+  };
+}
+
+/**
+ * Pick the database an email should be written to
+ * @param {Object|null} registry - Parsed registry
+ * @param {{ client: Object|null, triaged: boolean }} resolution - Result of resolveClient
+ * @param {string} defaultDatabaseId - Database from the main configuration
+ * @returns {string} - Target database ID
+ */
+function getTargetDatabaseId(registry, resolution, defaultDatabaseId) {
+  if (resolution.client?.databaseId) {
+    return resolution.client.databaseId;
+  }
+  if (resolution.triaged && registry?.triage.databaseId) {
+    return registry.triage.databaseId;
+  }
+  return defaultDatabaseId;
+}
+
+module.exports = {
+  parseClientRegistry,
+  canonicalizeHashtag,
+  resolveClient,
+  getTargetDatabaseId,
+  normalizeTag,
+  DEFAULT_TRIAGE_HASHTAG,
+};
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+/**
+ * Local replay CLI for raw .eml files
+ *
+ * Runs saved emails through the same parsing and conversion steps as the Lambda and prints
+ * the Notion payload, so a bad conversion can be debugged without deploying.
+ *
+ * Usage: node replay.js [--config config.json] [--summary] [--push] <file.eml|directory>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseMimeEmail } = require('./ses');
+const { parseSubject, parseForwardedHeaders, stripForwardingHeaders, collectThreadIds } = require('./parse');
+const { processEmailBody, resolveContentImages } = require('./convert');
+const {
+  prepareAttachments,
+  uploadAttachments,
+  collectContentIds,
+  getMaxFileSize,
+} = require('./attachments');
+const { createScanner } = require('./scanner');
+const { summarizeEmail, createSummaryBlock } = require('./summarize');
+const { resolveClient, getTargetDatabaseId } = require('./registry');
+const {
+  createClient,
+  createEmailEntry,
+  buildEmailProperties,
+  appendBlocksToPage,
+  addWarningCallout,
+  flagQuarantined,
+  getPageUrl,
+} = require('./notion');
+const { loadLocalConfig } = require('./config');
+const { ensureDatabaseSchema } = require('./schema');
+const { getClientKey, resolveClientPage } = require('./clients');
+const { getMessageParticipants } = require('./participants');
+
+const USAGE = 'Usage: node replay.js [--config config.json] [--summary] [--push] <file.eml|directory>';
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ configPath: string|null, summary: boolean, push: boolean, target: string|null }}
+ */
+function parseArgs(argv) {
+  const options = { configPath: null, summary: false, push: false, target: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') {
+      options.configPath = argv[++i] || null;
+    } else if (arg === '--summary') {
+      options.summary = true;
+    } else if (arg === '--push') {
+      options.push = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.target = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * List the .eml files to replay
+ * @param {string} target - A .eml file or a directory of them
+ * @returns {string[]} - File paths, sorted
+ */
+function collectEmlFiles(target) {
+  if (!fs.statSync(target).isDirectory()) {
+    return [target];
+  }
+  return fs.readdirSync(target)
+    .filter(name => name.toLowerCase().endsWith('.eml'))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+/**
+ * Run one raw email through the Lambda's parsing and conversion steps
+ * @param {string|Buffer} rawEmail - Raw MIME email content
+ * @param {Object} config - Config (see buildConfig)
+ * @param {Object} options - Replay options
+ * @param {boolean} options.summary - Call the summarizer (needs anthropic-api-key and summary-prompt)
+ * @param {string} options.hashtag - Hashtag to file under instead of the subject's (optional)
+ * @param {boolean} options.archived - The email is archived mail rather than a forward: sender,
+ *   date and body come from the message itself (optional)
+ * @returns {Promise<Object>} - Replay result with the Notion payload
+ */
+async function replayEmail(rawEmail, config, options = {}) {
+  const body = await parseMimeEmail(rawEmail);
+
+  const parsed = parseSubject(body.Subject);
+  const resolution = resolveClient(config.clientRegistry, options.hashtag ? [options.hashtag] : parsed.hashtags);
+  const hashtags = resolution.hashtags;
+  const clientSettings = resolution.client;
+  const databaseId = getTargetDatabaseId(config.clientRegistry, resolution, config.notionDatabaseId);
+  const summaryPrompt = clientSettings?.summaryPrompt || config.summaryPrompt;
+
+  const warnings = [...resolution.warnings];
+  for (const directive of parsed.unknownDirectives) {
+    warnings.push(`Unknown subject directive ignored: ${directive}`);
+  }
+
+  const emailText = body.TextBody || '';
+  // Archived mail is the message itself; headers in its quoted history belong to older messages
+  const forwarded = options.archived
+    ? { originalFrom: null, originalDate: null, originalTo: null, originalCc: null }
+    : parseForwardedHeaders(emailText, config.allowedSenders, config.timeZone);
+  const { originalFrom, originalDate } = forwarded;
+  const cleanedTextBody = options.archived ? emailText : stripForwardingHeaders(emailText);
+  const { contentBlocks, cleanedContent } = processEmailBody(
+    body.HtmlBody || '',
+    cleanedTextBody,
+    config.allowedSenders,
+    { forwarded: !options.archived }
+  );
+
+  // No SES receipt here, so the "ses" scanner holds every file back (fail closed)
+  const rawAttachments = parsed.directives.noattach ? [] : body.Attachments;
+  const { valid, inline, quarantined, warnings: attachmentWarnings } = await prepareAttachments(rawAttachments, {
+    maxFileSize: getMaxFileSize(config.notionPlan),
+    bodyContentIds: collectContentIds(body.HtmlBody),
+    scanner: createScanner(config.malwareScanner, null),
+  });
+  warnings.push(...attachmentWarnings);
+
+  let summary = null;
+  if (options.summary && config.anthropicApiKey && summaryPrompt && !parsed.directives.nosummary) {
+    summary = await summarizeEmail(cleanedContent, summaryPrompt, config.anthropicApiKey);
+  }
+
+  const entry = {
+    databaseId,
+    subject: parsed.subject,
+    from: originalFrom || body.From,
+    date: originalDate || body.Date,
+    hashtag: hashtags[0],
+    hashtags,
+    hasAttachments: valid.length > 0,
+    summary,
+    messageIds: collectThreadIds({
+      messageId: body.MessageID,
+      inReplyTo: body.InReplyTo,
+      references: body.References,
+    }),
+    directives: parsed.directives,
+    participants: getMessageParticipants(body, forwarded, {
+      allowedSenders: config.allowedSenders,
+      inboxSecrets: config.inboxSecrets,
+    }),
+    propertyMap: config.propertyMap,
+    timeZone: config.timeZone,
+    // Resolved to the client's page ID on push
+    clientKey: getClientKey(resolution),
+  };
+
+  return {
+    messageId: body.MessageID || null,
+    entry,
+    contentBlocks: summary ? [createSummaryBlock(summary), ...contentBlocks] : contentBlocks,
+    attachments: valid,
+    inlineImages: inline,
+    quarantined,
+    warnings,
+  };
+}
+
+/**
+ * Format a replay result for printing (attachment content is left out)
+ * @param {string} file - Source .eml path
+ * @param {Object} result - Result of replayEmail
+ * @returns {Object} - JSON-friendly payload
+ */
+function formatReplayResult(file, result) {
+  const describe = att => ({
+    name: att.Name,
+    contentType: att.ContentType,
+    size: att.ContentLength,
+    detectedType: att.DetectedType,
+  });
+
+  return {
+    file,
+    page: {
+      parent: { database_id: result.entry.databaseId || null },
+      properties: buildEmailProperties(result.entry),
+      children: result.contentBlocks,
+    },
+    attachments: result.attachments.map(describe),
+    inlineImages: result.inlineImages.map(describe),
+    quarantined: result.quarantined,
+    warnings: result.warnings,
+  };
+}
+
+/**
+ * Create the Notion page for a replay result, as the Lambda would
+ * @param {Object} config - Config (needs notion-api-key and notion-database-id)
+ * @param {Object} result - Result of replayEmail
+ * @returns {Promise<string>} - URL of the created page
+ */
+async function pushReplayResult(config, result) {
+  if (!config.notionApiKey || !result.entry.databaseId) {
+    throw new Error('--push needs notion-api-key and notion-database-id in the config file');
+  }
+
+  const client = createClient(config.notionApiKey);
+  const warnings = [...result.warnings];
+
+  const propertyMap = await ensureDatabaseSchema(client, result.entry.databaseId, config.propertyMap);
+  result.entry.propertyMap = propertyMap;
+  result.entry.clientPageId = await resolveClientPage(client, propertyMap.client, result.entry.clientKey);
+  const page = await createEmailEntry(client, result.entry);
+
+  const { blocks, warnings: imageWarnings } = await resolveContentImages(result.contentBlocks, result.inlineImages, {
+    captureRemoteImages: config.captureRemoteImages,
+    notionApiKey: config.notionApiKey,
+  });
+  warnings.push(...imageWarnings);
+  await appendBlocksToPage(client, page.id, blocks);
+
+  let quarantinedCount = result.quarantined.length;
+  if (result.attachments.length > 0) {
+    const { quarantined, warnings: uploadWarnings } = await uploadAttachments(client, page.id, result.attachments, config.notionApiKey, {
+      expandArchives: config.expandArchives,
+      maxFileSize: getMaxFileSize(config.notionPlan),
+      scanner: createScanner(config.malwareScanner, null),
+    });
+    warnings.push(...uploadWarnings);
+    quarantinedCount += quarantined;
+  }
+
+  if (quarantinedCount > 0) {
+    await flagQuarantined(client, page.id, result.entry.propertyMap);
+  }
+
+  if (warnings.length > 0) {
+    await addWarningCallout(client, page.id, warnings);
+  }
+
+  return getPageUrl(page);
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+  if (!options.target) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const config = loadLocalConfig(options.configPath);
+  const files = collectEmlFiles(options.target);
+  const outputs = [];
+  let failures = 0;
+
+  for (const file of files) {
+    try {
+      // Read as bytes: 8bit bodies and attachments in other charsets don't survive a UTF-8 decode
+      const result = await replayEmail(fs.readFileSync(file), config, options);
+      const output = formatReplayResult(file, result);
+      if (options.push) {
+        output.pageUrl = await pushReplayResult(config, result);
+      }
+      outputs.push(output);
+    } catch (error) {
+      console.error(`Failed to replay ${file}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  // A single file prints one payload; a directory prints an array
+  const isDirectory = fs.statSync(options.target).isDirectory();
+  process.stdout.write(`${JSON.stringify(isDirectory ? outputs : outputs[0] ?? null, null, 2)}\n`);
+
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  // Pipeline logs go to stderr so stdout is only the JSON payload
+  console.log = console.error;
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  collectEmlFiles,
+  replayEmail,
+  formatReplayResult,
+  pushReplayResult,
+  main,
+};
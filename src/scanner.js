@@ -0,0 +1,209 @@
+/**
+ * Malware scanning for attachments
+ *
+ * A scanner is an object with a name and an async scan({ name, content }) method that
+ * resolves to { infected, signature }. Scanners throw when they cannot give a verdict.
+ */
+
+const net = require('net');
+
+// clamd INSTREAM sends the file in length-prefixed chunks
+const CLAMD_CHUNK_SIZE = 64 * 1024;
+const CLAMD_TIMEOUT_MS = 30 * 1000;
+const CLAMD_DEFAULT_PORT = 3310;
+
+// The standard antivirus test file (https://www.eicar.org)
+const EICAR_TEST_STRING = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+/**
+ * Create the scanner named by the malware-scanner setting
+ * @param {string} setting - "ses", "clamav://host:port", "clamav:///path/to/clamd.sock", or "disabled"
+ * @param {Object} sesReceipt - SES receipt from the Lambda event (for "ses")
+ * @returns {Object|null} - Scanner, or null when scanning is off
+ */
+function createScanner(setting, sesReceipt) {
+  if (!setting || setting === 'disabled') {
+    return null;
+  }
+  if (setting === 'ses') {
+    return createSesVerdictScanner(sesReceipt);
+  }
+  if (setting.startsWith('clamav:')) {
+    const url = new URL(setting);
+    return url.hostname
+      ? createClamavScanner({ host: url.hostname, port: Number(url.port) || CLAMD_DEFAULT_PORT })
+      : createClamavScanner({ socketPath: url.pathname });
+  }
+  throw new Error(`Unknown malware scanner: ${setting}`);
+}
+
+/**
+ * Scanner that sends each file to a ClamAV daemon over TCP or a UNIX socket
+ * @param {Object} options - Connection options
+ * @param {string} options.host - clamd host (TCP)
+ * @param {number} options.port - clamd port (TCP)
+ * @param {string} options.socketPath - clamd socket path (UNIX)
+ * @param {number} options.timeoutMs - Socket timeout (optional)
+ * @returns {Object} - Scanner
+ */
+function createClamavScanner(options) {
+  return {
+    name: 'clamav',
+    async scan({ content }) {
+      const reply = await sendToClamd(content, options);
+      return parseClamdReply(reply);
+    },
+  };
+}
+
+/**
+ * Stream content to clamd with the INSTREAM command and read its reply
+ * @param {Buffer} content - File content
+ * @param {Object} options - Connection options (see createClamavScanner)
+ * @returns {Promise<string>} - clamd reply, e.g. "stream: OK"
+ */
+function sendToClamd(content, options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.socketPath
+      ? net.createConnection(options.socketPath)
+      : net.createConnection(options.port || CLAMD_DEFAULT_PORT, options.host);
+    const chunks = [];
+
+    socket.setTimeout(options.timeoutMs || CLAMD_TIMEOUT_MS, () => {
+      socket.destroy(new Error('clamd timed out'));
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      for (let offset = 0; offset < content.length; offset += CLAMD_CHUNK_SIZE) {
+        const chunk = content.subarray(offset, offset + CLAMD_CHUNK_SIZE);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(length);
+        socket.write(chunk);
+      }
+      // A zero-length chunk ends the stream
+      socket.end(Buffer.alloc(4));
+    });
+    socket.on('data', (data) => chunks.push(data));
+    socket.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8').replace(/\0/g, '').trim()));
+    socket.on('error', reject);
+  });
+}
+
+/**
+ * Turn a clamd reply into a verdict
+ * @param {string} reply - e.g. "stream: OK" or "stream: Win.Test.EICAR_HDB-1 FOUND"
+ * @returns {{ infected: boolean, signature: string|null }}
+ */
+function parseClamdReply(reply) {
+  const found = reply.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+  if (/^stream: OK$/.test(reply)) {
+    return { infected: false, signature: null };
+  }
+  throw new Error(`clamd: ${reply || 'no reply'}`);
+}
+
+/**
+ * Scanner that uses the virus verdict SES attached to the whole message
+ * SES does not say which attachment failed, so a FAIL verdict quarantines every file.
+ * @param {Object} sesReceipt - SES receipt (event.Records[0].ses.receipt)
+ * @returns {Object} - Scanner
+ */
+function createSesVerdictScanner(sesReceipt) {
+  const status = sesReceipt?.virusVerdict?.status || 'MISSING';
+
+  return {
+    name: 'ses',
+    async scan() {
+      if (status === 'FAIL') {
+        return { infected: true, signature: 'SES virus verdict FAIL' };
+      }
+      if (status !== 'PASS') {
+        throw new Error(`SES virus verdict ${status}`);
+      }
+      return { infected: false, signature: null };
+    },
+  };
+}
+
+/**
+ * Scanner for tests: flags the EICAR test string and any file named in signatures
+ * @param {Object} signatures - Map of filename to signature name (optional)
+ * @returns {Object} - Scanner
+ */
+function createStubScanner(signatures = {}) {
+  return {
+    name: 'stub',
+    async scan({ name, content }) {
+      if (signatures[name]) {
+        return { infected: true, signature: signatures[name] };
+      }
+      if (content.includes(EICAR_TEST_STRING)) {
+        return { infected: true, signature: 'Eicar-Test-Signature' };
+      }
+      return { infected: false, signature: null };
+    },
+  };
+}
+
+/**
+ * Scan attachments and hold back infected ones
+ * A file the scanner can't give a verdict on is quarantined too (fail closed).
+ * @param {Object|null} scanner - Scanner (null when scanning is off)
+ * @param {Array} attachments - Attachments with base64 Content (or a Buffer)
+ * @returns {Promise<{ clean: Array, quarantined: Array<{ name: string, signature: string }> }>}
+ */
+async function scanAttachments(scanner, attachments) {
+  if (!scanner || !attachments || attachments.length === 0) {
+    return { clean: attachments || [], quarantined: [] };
+  }
+
+  const clean = [];
+  const quarantined = [];
+
+  for (const att of attachments) {
+    const name = att.Name || 'unknown';
+    const raw = att.Content || att.ContentData || '';
+    const content = Buffer.isBuffer(raw) ? raw : Buffer.from(raw, 'base64');
+
+    let verdict;
+    try {
+      verdict = await scanner.scan({ name, content });
+    } catch (error) {
+      verdict = { infected: true, signature: `scan failed: ${error.message}` };
+    }
+
+    if (verdict.infected) {
+      console.warn(`Quarantined attachment: ${name} (${verdict.signature})`);
+      quarantined.push({ name, signature: verdict.signature });
+    } else {
+      clean.push(att);
+    }
+  }
+
+  return { clean, quarantined };
+}
+
+/**
+ * Format the warning line for a quarantined file
+ * @param {{ name: string, signature: string }} item - Quarantined file
+ * @returns {string} - Warning message
+ */
+function formatQuarantineWarning(item) {
+  return `Attachment quarantined: ${item.name} (${item.signature})`;
+}
+
+module.exports = {
+  createScanner,
+  createClamavScanner,
+  createSesVerdictScanner,
+  createStubScanner,
+  scanAttachments,
+  parseClamdReply,
+  formatQuarantineWarning,
+  EICAR_TEST_STRING,
+};
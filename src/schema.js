@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/**
+ * Notion database schema: the properties email entries are written to
+ *
+ * The Lambda checks each target database once per container and adds missing required
+ * properties, so a missing column doesn't surface later as an API error on page creation.
+ * A missing optional property is only added when the property map names it; otherwise the
+ * field isn't written to that database. A property with the wrong type is reported instead
+ * of changed, since converting it could lose data. A column with a compatible older type
+ * (a text Hashtag) is kept and written as that type.
+ *
+ * Usage: node schema.js --config config.json check [database-id]
+ *        node schema.js --config config.json create <parent-page-id> [--title "Email Archive"]
+ */
+
+const { loadLocalConfig } = require('./config');
+const { createClient, getDataSourceId } = require('./notion');
+const { getPropertySchema, DEFAULT_PROPERTY_MAP } = require('./properties');
+
+const USAGE = [
+  'Usage: node schema.js --config config.json check [database-id]',
+  '       node schema.js --config config.json create <parent-page-id> [--title "Email Archive"]',
+].join('\n');
+
+// Title for databases created by the create command
+const DEFAULT_DATABASE_TITLE = 'Email Archive';
+
+// Properties written with the default property map. Optional ones are written by opt-in
+// features (subject directives, malware scanning) or only add detail (participants), so a
+// mistyped optional column is logged rather than blocking every email, and a missing one is
+// left out unless the property map names it.
+const EMAIL_SCHEMA = getPropertySchema(DEFAULT_PROPERTY_MAP);
+
+// Property map to write with, for each database already checked by this container
+const checkedDatabases = new Map();
+
+/**
+ * Compare a data source's properties to the expected schema
+ * @param {Object} properties - Data source properties, keyed by name
+ * @param {Array} schema - Expected properties (see getPropertySchema)
+ * @returns {{ missing: Array, mismatched: Array<{ name: string, expected: string, actual: string, required: boolean }>, adapted: Array, skipped: Array }}
+ */
+function compareSchema(properties, schema = EMAIL_SCHEMA) {
+  const missing = [];
+  // Missing optional properties the property map doesn't name; left out rather than added
+  const skipped = [];
+  const mismatched = [];
+  // Columns with a compatible type, written as that type instead
+  const adapted = [];
+
+  for (const property of schema) {
+    const actual = properties?.[property.name];
+    if (!actual) {
+      if (property.type === 'title') {
+        // Every database has exactly one title property; a second can't be added
+        const title = Object.values(properties || {}).find(p => p.type === 'title');
+        mismatched.push({ ...property, expected: 'title', actual: title ? `title named "${title.name}"` : 'missing' });
+      } else if (property.type === 'relation' && property.field !== 'thread' && !property.databaseId) {
+        // A relation can only be added when the mapping names the database it points to
+        mismatched.push({ ...property, expected: 'relation', actual: 'missing' });
+      } else if (!property.required && !property.mapped) {
+        skipped.push(property);
+      } else {
+        missing.push(property);
+      }
+    } else if (property.compatibleTypes?.includes(actual.type)) {
+      adapted.push({ ...property, expected: property.type, actual: actual.type });
+    } else if (actual.type !== property.type) {
+      mismatched.push({ ...property, expected: property.type, actual: actual.type });
+    }
+  }
+
+  return { missing, mismatched, adapted, skipped };
+}
+
+/**
+ * Fit a property map to a database's columns
+ * Compatible columns are written as their actual type; skipped ones aren't written.
+ * @param {Object} propertyMap - Property map (see parsePropertyMap)
+ * @param {Object} comparison - Result of compareSchema
+ * @returns {Object} - Property map to write to the database with
+ */
+function adaptPropertyMap(propertyMap, { adapted = [], skipped = [] }) {
+  if (adapted.length === 0 && skipped.length === 0) {
+    return propertyMap;
+  }
+  const map = { ...propertyMap };
+  for (const property of adapted) {
+    map[property.field] = { ...map[property.field], type: property.actual };
+  }
+  for (const property of skipped) {
+    map[property.field] = null;
+  }
+  return map;
+}
+
+/**
+ * Describe a schema mismatch for logs and errors
+ * @param {Object} mismatch - Entry from compareSchema's mismatched list
+ * @returns {string}
+ */
+function formatSchemaMismatch(mismatch) {
+  return `"${mismatch.name}" should be ${mismatch.expected} but is ${mismatch.actual}`;
+}
+
+/**
+ * Build the property configuration for creating properties
+ * @param {Array} schema - Properties to create
+ * @param {Object} relationTargets - Data source ID for each relation property, keyed by name
+ * @returns {Object} - Notion property configuration, keyed by name
+ */
+function buildSchemaProperties(schema, relationTargets = {}) {
+  return Object.fromEntries(schema.map(property => {
+    if (property.type === 'relation') {
+      return [property.name, { relation: { data_source_id: relationTargets[property.name], single_property: {} } }];
+    }
+    return [property.name, { [property.type]: {} }];
+  }));
+}
+
+/**
+ * Look up the data sources relation properties point to
+ * @param {Client} client - Notion client
+ * @param {Array} schema - Properties to create
+ * @param {string} databaseId - Database the properties are added to (target of the thread relation)
+ * @returns {Promise<Object>} - Data source ID for each relation property, keyed by name
+ */
+async function resolveRelationTargets(client, schema, databaseId) {
+  const targets = {};
+  for (const property of schema.filter(p => p.type === 'relation')) {
+    targets[property.name] = await getDataSourceId(client, property.databaseId || databaseId);
+  }
+  return targets;
+}
+
+/**
+ * Check a database's schema and add missing properties
+ * @param {Client} client - Notion client
+ * @param {string} databaseId - Database ID
+ * @param {Object} propertyMap - Property map (optional, see parsePropertyMap)
+ * @returns {Promise<{ created: string[], mismatched: Array, adapted: Array, skipped: string[], propertyMap: Object }>} -
+ *   What was added, what is wrong or left out, and the property map to write with
+ */
+async function syncDatabaseSchema(client, databaseId, propertyMap = DEFAULT_PROPERTY_MAP) {
+  const dataSourceId = await getDataSourceId(client, databaseId);
+  const dataSource = await client.dataSources.retrieve({ data_source_id: dataSourceId });
+  const comparison = compareSchema(dataSource.properties, getPropertySchema(propertyMap));
+  const { missing, mismatched, adapted, skipped } = comparison;
+
+  if (missing.length > 0) {
+    await client.dataSources.update({
+      data_source_id: dataSourceId,
+      properties: buildSchemaProperties(missing, await resolveRelationTargets(client, missing, databaseId)),
+    });
+  }
+
+  return {
+    created: missing.map(p => p.name),
+    mismatched,
+    adapted,
+    skipped: skipped.map(p => p.name),
+    propertyMap: adaptPropertyMap(propertyMap, comparison),
+  };
+}
+
+/**
+ * Make sure a database can take email entries (checked once per container)
+ * Missing required and explicitly mapped properties are added. Throws if a required property
+ * has the wrong type.
+ * @param {Client} client - Notion client
+ * @param {string} databaseId - Database ID
+ * @param {Object} propertyMap - Property map (optional, see parsePropertyMap)
+ * @param {string} requestId - Request ID for logs (optional)
+ * @returns {Promise<Object>} - Property map to write to the database with
+ */
+async function ensureDatabaseSchema(client, databaseId, propertyMap = DEFAULT_PROPERTY_MAP, requestId) {
+  if (checkedDatabases.has(databaseId)) {
+    return checkedDatabases.get(databaseId);
+  }
+
+  const { created, mismatched, adapted, skipped, propertyMap: writeMap } = await syncDatabaseSchema(client, databaseId, propertyMap);
+  if (created.length > 0) {
+    console.log('Added missing Notion properties', { requestId, databaseId, properties: created });
+  }
+  if (skipped.length > 0) {
+    console.log('Optional Notion properties missing, not written', { requestId, databaseId, properties: skipped });
+  }
+  if (adapted.length > 0) {
+    console.log('Writing Notion properties as their existing type', {
+      requestId,
+      databaseId,
+      properties: adapted.map(p => `${p.name} (${p.actual})`),
+    });
+  }
+
+  const optional = mismatched.filter(m => !m.required);
+  if (optional.length > 0) {
+    console.warn('Notion property has the wrong type', {
+      requestId,
+      databaseId,
+      mismatches: optional.map(formatSchemaMismatch),
+    });
+  }
+
+  const required = mismatched.filter(m => m.required);
+  if (required.length > 0) {
+    throw new Error(`Notion database ${databaseId} schema mismatch: ${required.map(formatSchemaMismatch).join('; ')}`);
+  }
+
+  checkedDatabases.set(databaseId, writeMap);
+  return writeMap;
+}
+
+/**
+ * Create a database with the full email schema
+ * @param {Client} client - Notion client
+ * @param {string} parentPageId - Page to create the database in
+ * @param {string} title - Database title (optional)
+ * @param {Object} propertyMap - Property map (optional, see parsePropertyMap)
+ * @returns {Promise<Object>} - Created database object
+ */
+async function createEmailDatabase(client, parentPageId, title = DEFAULT_DATABASE_TITLE, propertyMap = DEFAULT_PROPERTY_MAP) {
+  // Relations need their target's data source (the thread relation targets this database),
+  // so they are added once the database exists
+  const schema = getPropertySchema(propertyMap);
+  const database = await client.databases.create({
+    parent: { type: 'page_id', page_id: parentPageId },
+    title: [{ text: { content: title } }],
+    initial_data_source: { properties: buildSchemaProperties(schema.filter(p => p.type !== 'relation')) },
+  });
+
+  if (schema.some(p => p.type === 'relation')) {
+    await syncDatabaseSchema(client, database.id, propertyMap);
+  }
+  return database;
+}
+
+/**
+ * List the databases a config writes to (default, client and triage databases)
+ * @param {Object} config - Config (see buildConfig)
+ * @returns {string[]} - Database IDs, without duplicates
+ */
+function listConfiguredDatabases(config) {
+  const registry = config.clientRegistry;
+  const ids = [
+    config.notionDatabaseId,
+    ...(registry ? [...registry.clients.values()].map(client => client.databaseId) : []),
+    registry?.triage.databaseId,
+  ];
+  return [...new Set(ids.filter(Boolean))];
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ configPath: string|null, command: string|null, target: string|null, title: string }}
+ */
+function parseArgs(argv) {
+  const options = { configPath: null, command: null, target: null, title: DEFAULT_DATABASE_TITLE };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') {
+      options.configPath = argv[++i] || null;
+    } else if (arg === '--title') {
+      options.title = argv[++i] || DEFAULT_DATABASE_TITLE;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.target = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+  if (!['check', 'create'].includes(options.command) || (options.command === 'create' && !options.target)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const config = loadLocalConfig(options.configPath);
+  if (!config.notionApiKey) {
+    console.error('schema.js needs notion-api-key in the config file');
+    return 2;
+  }
+  const client = createClient(config.notionApiKey);
+
+  if (options.command === 'create') {
+    const database = await createEmailDatabase(client, options.target, options.title, config.propertyMap);
+    console.log(`Created database ${database.id}`);
+    console.log('Share it with the integration if needed, then set notion-database-id to this ID.');
+    return 0;
+  }
+
+  const databaseIds = options.target ? [options.target] : listConfiguredDatabases(config);
+  if (databaseIds.length === 0) {
+    console.error('No database to check: pass a database ID or set notion-database-id');
+    return 2;
+  }
+
+  let failed = false;
+  for (const databaseId of databaseIds) {
+    const { created, mismatched, adapted, skipped } = await syncDatabaseSchema(client, databaseId, config.propertyMap);
+    for (const name of created) {
+      console.log(`${databaseId}: added "${name}"`);
+    }
+    for (const name of skipped) {
+      console.log(`${databaseId}: "${name}" is missing (optional, not written; add it in Notion or name it in property-map)`);
+    }
+    for (const property of adapted) {
+      console.log(`${databaseId}: "${property.name}" is ${property.actual}, written as ${property.actual} (change it to ${property.expected} in Notion to switch)`);
+    }
+    for (const mismatch of mismatched) {
+      console.log(`${databaseId}: ${formatSchemaMismatch(mismatch)}${mismatch.required ? '' : ' (optional)'}`);
+      failed = failed || mismatch.required;
+    }
+    if (created.length === 0 && mismatched.length === 0 && adapted.length === 0 && skipped.length === 0) {
+      console.log(`${databaseId}: OK`);
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  compareSchema,
+  adaptPropertyMap,
+  formatSchemaMismatch,
+  buildSchemaProperties,
+  syncDatabaseSchema,
+  ensureDatabaseSchema,
+  createEmailDatabase,
+  listConfiguredDatabases,
+  parseArgs,
+  main,
+  EMAIL_SCHEMA,
+};
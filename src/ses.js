@@ -5,6 +5,7 @@
 
 const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { simpleParser } = require('mailparser');
+const { parseEmailDate } = require('./dates');
 
 const s3Client = new S3Client({});
 
@@ -30,6 +31,7 @@ function parseSesEvent(event) {
 
   const ses = record.ses;
   const mail = ses.mail;
+  const receipt = ses.receipt || {};
 
   return {
     messageId: mail.messageId,
@@ -37,6 +39,14 @@ function parseSesEvent(event) {
     destination: mail.destination,
     timestamp: mail.timestamp,
     commonHeaders: mail.commonHeaders,
+    // Authentication and scanning results: PASS, FAIL, GRAY, PROCESSING_FAILED or DISABLED
+    verdicts: {
+      spf: receipt.spfVerdict?.status || null,
+      dkim: receipt.dkimVerdict?.status || null,
+      dmarc: receipt.dmarcVerdict?.status || null,
+      spam: receipt.spamVerdict?.status || null,
+      virus: receipt.virusVerdict?.status || null,
+    },
   };
 }
 
@@ -63,13 +73,36 @@ async function fetchEmailFromS3(bucket, key) {
   return Buffer.concat(chunks).toString('utf-8');
 }
 
+/**
+ * Format a parsed address header as a list ("Name <address>, address")
+ * Names with commas or semicolons are quoted so the list can be split again.
+ * @param {Object|Object[]} field - mailparser address object(s), e.g. parsed.cc
+ * @returns {string}
+ */
+function formatAddressList(field) {
+  return [].concat(field || [])
+    .flatMap(header => header.value || [])
+    // Group syntax ("Team: a@x, b@x;") lists its members
+    .flatMap(addr => addr.group || [addr])
+    .filter(addr => addr.address)
+    .map(addr => {
+      if (!addr.name) {
+        return addr.address;
+      }
+      const name = /[,;"]/.test(addr.name) ? `"${addr.name.replace(/"/g, '\\"')}"` : addr.name;
+      return `${name} <${addr.address}>`;
+    })
+    .join(', ');
+}
+
 /**
  * Parse MIME email to Postmark-compatible format
- * @param {string} rawEmail - Raw MIME email content
+ * @param {string|Buffer} rawEmail - Raw MIME email content
  * @returns {Promise<Object>} - Postmark-compatible payload
  */
 async function parseMimeEmail(rawEmail) {
-  const parsed = await simpleParser(rawEmail);
+  // Keep cid: references in the HTML so inline images can be placed as image blocks
+  const parsed = await simpleParser(rawEmail, { keepCidLinks: true });
 
   // Extract From address (handle array or single value)
   const fromAddress = parsed.from?.value?.[0];
@@ -78,10 +111,16 @@ async function parseMimeEmail(rawEmail) {
     : '';
 
   // Extract To addresses
-  const toAddresses = parsed.to?.value || [];
-  const to = toAddresses
-    .map(addr => addr.name ? `${addr.name} <${addr.address}>` : addr.address)
-    .join(', ');
+  const to = formatAddressList(parsed.to);
+
+  // Date from the raw header, so the sender's UTC offset isn't lost (parsed.date is UTC)
+  const dateLine = parsed.headerLines?.find(header => header.key === 'date')?.line;
+  const date = parseEmailDate(dateLine?.replace(/^date:\s*/i, '')) || parsed.date?.toISOString() || new Date().toISOString();
+
+  // Threading headers (References may be a single string or an array)
+  const references = Array.isArray(parsed.references)
+    ? parsed.references
+    : (parsed.references ? [parsed.references] : []);
 
   // Convert attachments to Postmark format
   const attachments = (parsed.attachments || []).map(att => ({
@@ -96,12 +135,17 @@ async function parseMimeEmail(rawEmail) {
     From: from,
     FromName: fromAddress?.name || '',
     To: to,
+    Cc: formatAddressList(parsed.cc),
+    Bcc: formatAddressList(parsed.bcc),
+    ReplyTo: formatAddressList(parsed.replyTo),
     Subject: parsed.subject || '',
     TextBody: parsed.text || '',
     HtmlBody: parsed.html || '',
-    Date: parsed.date?.toISOString() || new Date().toISOString(),
+    Date: date,
     Attachments: attachments,
     MessageID: parsed.messageId,
+    InReplyTo: parsed.inReplyTo || '',
+    References: references,
   };
 }
 
@@ -130,6 +174,7 @@ async function processSesEvent(event, bucket) {
     _sesMessageId: sesInfo.messageId,
     _sesSource: sesInfo.source,
     _sesTimestamp: sesInfo.timestamp,
+    _sesVerdicts: sesInfo.verdicts,
   };
 }
 
@@ -3,10 +3,113 @@
  * Run with: node test.js
  */
 
-const { parseSubject, parseForwardedHeaders, stripForwardingHeaders } = require('./parse');
-const { validateRecipient, validateSender, extractEmail } = require('./validate');
-const { filterAttachments } = require('./attachments');
-const { isSesEvent, parseMimeEmail } = require('./ses');
+const dns = require('dns');
+const {
+  parseSubject,
+  parseForwardedHeaders,
+  stripForwardingHeaders,
+  normalizeThreadSubject,
+  collectThreadIds,
+} = require('./parse');
+const {
+  parseInboxSecrets,
+  matchInboxSecret,
+  validateRecipient,
+  validateSender,
+  parseSenderPermissions,
+  getSenderPermissions,
+  isHashtagPermitted,
+  isDatabasePermitted,
+  parseVerdictPolicy,
+  checkVerdicts,
+  extractEmail,
+} = require('./validate');
+const {
+  filterAttachments,
+  embedInlineImages,
+  isTrackingImage,
+  uploadFileToNotion,
+  uploadAttachments,
+  expandArchive,
+  getMaxFileSize,
+  detectFileType,
+  collectContentIds,
+} = require('./attachments');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const net = require('net');
+const {
+  createScanner,
+  createClamavScanner,
+  createSesVerdictScanner,
+  createStubScanner,
+  scanAttachments,
+  parseClamdReply,
+  EICAR_TEST_STRING,
+} = require('./scanner');
+const { parseRichText, markdownToBlocks, htmlToMarkdown, captureRemoteImages, createPinnedLookup } = require('./convert');
+const { isSesEvent, parseSesEvent, parseMimeEmail } = require('./ses');
+const {
+  findThreadPage,
+  updateThreadPage,
+  createThreadDividerBlocks,
+  buildMessageIdsProperty,
+  readMessageIds,
+  buildEmailProperties,
+  appendBlocksToPage,
+  addWarningCallout,
+} = require('./notion');
+const { parsePropertyMap, buildPropertyValue, DEFAULT_PROPERTY_MAP } = require('./properties');
+const { buildConfig } = require('./config');
+const { parseEmailDate, toNotionDate, formatDateLabel } = require('./dates');
+const {
+  parseAddressList,
+  collectParticipants,
+  getMessageParticipants,
+  getParticipantDomains,
+} = require('./participants');
+const { getClientKey, resolveClientPage } = require('./clients');
+const { parseClientRegistry, resolveClient, getTargetDatabaseId } = require('./registry');
+const {
+  parseReplyEvents,
+  buildReplyMessage,
+  takeReplySlot,
+  notifySuccess,
+  notifyWarning,
+  REPLY_RATE_LIMIT,
+  REPLY_LOG_PREFIX,
+} = require('./notify');
+const { parseArgs, collectEmlFiles, replayEmail, formatReplayResult } = require('./replay');
+const { loadLocalConfig } = require('./config');
+const {
+  compareSchema,
+  buildSchemaProperties,
+  ensureDatabaseSchema,
+  createEmailDatabase,
+  listConfiguredDatabases,
+  EMAIL_SCHEMA,
+} = require('./schema');
+const {
+  parseHashtagMap,
+  resolveImportHashtag,
+  readMbox,
+  listMaildirFolders,
+  getImportMessageId,
+  createThrottledFetch,
+  runBackfill,
+  findImportedPage,
+} = require('./backfill');
+const {
+  createMemoryLedgerStore,
+  createS3LedgerStore,
+  loadLedgerRecord,
+  hasReachedStage,
+  isLedgerComplete,
+  updateLedgerRecord,
+  recordStage,
+} = require('./ledger');
 
 let passed = 0;
 let failed = 0;
@@ -85,6 +188,293 @@ test('uses "missing" when no hashtag', () => {
   assertEqual(result.subject, 'Just a regular subject');
 });
 
+test('parses nested hashtag', () => {
+  const result = parseSubject('#Acme/Legal: Fwd: NDA');
+  assertEqual(result.hashtag, 'acme/legal');
+  assertEqual(result.hashtags.join(','), 'acme/legal');
+  assertEqual(result.subject, 'NDA');
+});
+
+test('parses several leading hashtags', () => {
+  const result = parseSubject('#acme #invoice Fwd: Q4');
+  assertEqual(result.hashtags.join(','), 'acme,invoice');
+  assertEqual(result.subject, 'Q4');
+});
+
+test('parses trailing hashtags', () => {
+  const result = parseSubject('Fwd: Q4 Invoice #acme #invoice');
+  assertEqual(result.hashtag, 'acme');
+  assertEqual(result.hashtags.join(','), 'acme,invoice');
+  assertEqual(result.subject, 'Q4 Invoice');
+});
+
+test('parses subject directives', () => {
+  const result = parseSubject('#acme: Q4 Invoice !priority !nosummary @due:2026-11-01 +ryan');
+  assertEqual(result.subject, 'Q4 Invoice');
+  assert(result.directives.priority);
+  assert(result.directives.nosummary);
+  assert(!result.directives.noattach);
+  assertEqual(result.directives.due, '2026-11-01');
+  assertEqual(result.directives.assignees.join(','), 'ryan');
+  assertEqual(result.unknownDirectives.length, 0);
+});
+
+test('strips unknown directives and reports them', () => {
+  const result = parseSubject('!noattach #acme: Hi !urgent @due:2026-02-30');
+  assertEqual(result.hashtag, 'acme');
+  assertEqual(result.subject, 'Hi');
+  assert(result.directives.noattach);
+  assertEqual(result.unknownDirectives.join(','), '!urgent,@due:2026-02-30');
+});
+
+test('leaves punctuation and addresses alone', () => {
+  const result = parseSubject('#acme: Sale!! +50% off, ask bob@example.com @ 5pm');
+  assertEqual(result.subject, 'Sale!! +50% off, ask bob@example.com @ 5pm');
+  assertEqual(result.unknownDirectives.length, 0);
+});
+
+test('keeps numeric references in subject', () => {
+  const result = parseSubject('#acme: Invoice #1234');
+  assertEqual(result.hashtags.join(','), 'acme');
+  assertEqual(result.subject, 'Invoice #1234');
+});
+
+// ============ Thread matching tests ============
+
+console.log('\n--- Thread matching tests ---');
+
+test('normalizes thread subject', () => {
+  assertEqual(normalizeThreadSubject('  Q4   Invoice '), 'q4 invoice');
+  assertEqual(normalizeThreadSubject(null), '');
+});
+
+test('collects unique thread Message-IDs', () => {
+  const ids = collectThreadIds({
+    messageId: '<new@example.com>',
+    inReplyTo: '<prev@example.com>',
+    references: ['<root@example.com> <prev@example.com>'],
+  });
+  assertEqual(ids.join(' '), '<new@example.com> <prev@example.com> <root@example.com>');
+});
+
+test('collects no IDs from empty headers', () => {
+  assertEqual(collectThreadIds({}).length, 0);
+});
+
+test('round-trips Message IDs property', () => {
+  const property = buildMessageIdsProperty(['<a@x.com>', '<b@x.com>']);
+  const page = {
+    properties: {
+      'Message IDs': {
+        rich_text: property.rich_text.map(rt => ({ plain_text: rt.text.content })),
+      },
+    },
+  };
+  assertEqual(readMessageIds(page).join(','), '<a@x.com>,<b@x.com>');
+});
+
+test('splits long Message IDs property into 2000-char runs', () => {
+  const ids = Array.from({ length: 100 }, (_, i) => `<${'m'.repeat(40)}${i}@example.com>`);
+  const property = buildMessageIdsProperty(ids);
+  assert(property.rich_text.length > 1, 'Should use several runs');
+  assert(property.rich_text.every(rt => rt.text.content.length <= 2000), 'Runs must fit 2000 chars');
+});
+
+test('builds only the directive properties that were given', () => {
+  const empty = buildEmailProperties({ subject: 'Plain', directives: parseSubject('#acme: Plain').directives });
+  assert(!('Priority' in empty) && !('Due' in empty) && !('Assignee' in empty), 'No directive properties');
+
+  const props = buildEmailProperties({
+    subject: 'Todo',
+    directives: parseSubject('#acme: Todo !priority @due:2026-11-01 +ana').directives,
+  });
+  assertEqual(props.Priority.checkbox, true);
+  assertEqual(props.Due.date.start, '2026-11-01');
+  assertEqual(props.Assignee.multi_select[0].name, 'ana');
+});
+
+// ============ Property map tests ============
+
+console.log('\n--- Property map tests ---');
+
+const teamPropertyMap = parsePropertyMap(JSON.stringify({
+  hashtags: { property: 'Client', type: 'select' },
+  from: { property: 'Sender', type: 'email' },
+  date: { property: 'Received', type: 'date', time: true },
+  thread: { property: 'Thread', type: 'relation' },
+  uuid: null,
+}));
+
+test('uses the default property map when not configured', () => {
+  assertEqual(parsePropertyMap(''), DEFAULT_PROPERTY_MAP);
+  assertEqual(parsePropertyMap('default'), DEFAULT_PROPERTY_MAP);
+});
+
+test('merges mapping entries over the defaults', () => {
+  assertEqual(teamPropertyMap.hashtags.property, 'Client');
+  assertEqual(teamPropertyMap.subject.property, 'Name');
+  assertEqual(teamPropertyMap.uuid, null);
+});
+
+test('rejects invalid property maps', () => {
+  const invalid = [
+    ['{"sender": {"property": "Sender", "type": "email"}}', 'Unknown field'],
+    ['{"from": {"property": "Sender", "type": "phone_number"}}', 'needs a property name'],
+    ['{"messageIds": {"property": "IDs", "type": "multi_select"}}', 'must be rich_text'],
+    ['{"from": {"property": "Name", "type": "rich_text"}}', 'more than one field'],
+    ['{"summary": {"property": "Title", "type": "title"}}', 'exactly one title'],
+    ['{not json', 'Invalid property map JSON'],
+  ];
+  for (const [json, message] of invalid) {
+    let threw = false;
+    try {
+      parsePropertyMap(json);
+    } catch (e) {
+      threw = e.message.includes(message);
+    }
+    assert(threw, `Should reject ${json}`);
+  }
+});
+
+test('converts values to each property type', () => {
+  const value = (type, input, extra = {}) => JSON.stringify(buildPropertyValue({ property: 'P', type, ...extra }, input));
+  assertEqual(value('select', ['acme', 'legal']), JSON.stringify({ select: { name: 'acme' } }));
+  assertEqual(value('email', 'Jane Doe <jane@example.com>'), JSON.stringify({ email: 'jane@example.com' }));
+  assertEqual(value('date', '2024-12-09T10:30:00Z'), JSON.stringify({ date: { start: '2024-12-09T10:30:00', time_zone: 'UTC' } }));
+  assertEqual(value('date', '2024-12-09T10:30:00Z', { time: false }), JSON.stringify({ date: { start: '2024-12-09' } }));
+  assertEqual(value('url', 'https://example.com'), JSON.stringify({ url: 'https://example.com' }));
+  assertEqual(value('relation', 'page-1'), JSON.stringify({ relation: [{ id: 'page-1' }] }));
+  assertEqual(value('checkbox', false), JSON.stringify({ checkbox: false }));
+  assertEqual(value('people', ['ana', 'bob'], { users: { ana: 'user-1' } }), JSON.stringify({ people: [{ id: 'user-1' }] }));
+  assertEqual(buildPropertyValue({ property: 'P', type: 'rich_text' }, []), null);
+  assertEqual(buildPropertyValue({ property: 'P', type: 'email' }, 'Unknown'), null);
+});
+
+test('builds entry properties from a custom property map', () => {
+  const properties = buildEmailProperties({
+    subject: 'Q4 invoice',
+    from: 'Jane Doe <jane@example.com>',
+    date: '2024-12-09T10:30:00Z',
+    hashtags: ['acme'],
+    hasAttachments: false,
+    messageIds: ['<a@x.com>'],
+    threadPageId: 'page-1',
+    propertyMap: teamPropertyMap,
+  });
+  assertEqual(properties.Client.select.name, 'acme');
+  assertEqual(properties.Sender.email, 'jane@example.com');
+  assertEqual(properties.Received.date.start, '2024-12-09T10:30:00');
+  assertEqual(properties.Thread.relation[0].id, 'page-1');
+  assertEqual(properties.Name.title[0].text.content, 'Q4 invoice');
+  assert(!properties.UUID && !properties.Hashtag && !properties.From, 'Default properties should not be written');
+});
+
+test('builds the default schema without a property map', () => {
+  const properties = buildEmailProperties({ subject: 'Hi', from: 'a@example.com', hashtag: 'acme', date: '2024-12-09' });
+  assertEqual(Object.keys(properties).join(','), 'Name,UUID,From,Sender Email,Hashtag,Has Attachments,Date');
+  assertEqual(properties.Date.date.start, '2024-12-09');
+});
+
+test('writes participants to their own properties', () => {
+  const properties = buildEmailProperties({
+    subject: 'Q4 invoice',
+    from: 'Jane Doe <Jane@Acme.com>',
+    hashtag: 'acme',
+    participants: [
+      { role: 'from', name: 'Jane Doe', address: 'jane@acme.com', self: false },
+      { role: 'to', name: 'Me', address: 'me@example.com', self: true },
+      { role: 'cc', name: null, address: 'bob@partner.io', self: false },
+    ],
+  });
+  assertEqual(properties['Sender Email'].email, 'jane@acme.com');
+  assertEqual(properties.Participants.rich_text[0].text.content, 'Jane Doe <jane@acme.com>; Me <me@example.com>; bob@partner.io');
+  assertEqual(properties['Participant Domains'].multi_select.map(o => o.name).join(','), 'acme.com,partner.io');
+});
+
+test('thread-mode link needs a thread relation', () => {
+  let threw = false;
+  try {
+    buildConfig({ 'thread-mode': 'link' });
+  } catch (e) {
+    threw = e.message.includes('thread relation');
+  }
+  assert(threw, 'Should reject link mode without a thread property');
+  const config = buildConfig({
+    'thread-mode': 'link',
+    'property-map': JSON.stringify({ thread: { property: 'Thread', type: 'relation' } }),
+  });
+  assertEqual(config.propertyMap.thread.property, 'Thread');
+});
+
+test('validates the time-zone setting', () => {
+  assertEqual(buildConfig({}).timeZone, 'UTC');
+  assertEqual(buildConfig({ 'time-zone': 'Europe/Berlin' }).timeZone, 'Europe/Berlin');
+  let threw = false;
+  try {
+    buildConfig({ 'time-zone': 'Mars/Olympus' });
+  } catch (e) {
+    threw = e.message.includes('Unknown time-zone');
+  }
+  assert(threw, 'Should reject an unknown zone');
+});
+
+// ============ Client registry tests ============
+
+console.log('\n--- Client registry tests ---');
+
+const registryJson = JSON.stringify({
+  clients: {
+    acme: { aliases: ['acmeco', 'Acme-Co'], databaseId: 'db-acme', summaryPrompt: 'Acme prompt' },
+    beta: {},
+  },
+  triage: { hashtag: 'inbox', databaseId: 'db-triage' },
+});
+
+test('returns null registry when disabled', () => {
+  assertEqual(parseClientRegistry('disabled'), null);
+  assertEqual(parseClientRegistry(undefined), null);
+});
+
+test('rejects invalid registry JSON', () => {
+  let threw = false;
+  try {
+    parseClientRegistry('{not json');
+  } catch (e) {
+    threw = e.message.includes('Invalid client registry JSON');
+  }
+  assert(threw, 'Should throw a descriptive error');
+});
+
+test('resolves aliases to canonical client', () => {
+  const registry = parseClientRegistry(registryJson);
+  const result = resolveClient(registry, ['acmeco/legal', 'invoice']);
+  assertEqual(result.hashtags.join(','), 'acme/legal,invoice');
+  assertEqual(result.client.name, 'acme');
+  assertEqual(result.triaged, false);
+  assertEqual(getTargetDatabaseId(registry, result, 'db-default'), 'db-acme');
+});
+
+test('routes unknown client tag to triage', () => {
+  const registry = parseClientRegistry(registryJson);
+  const result = resolveClient(registry, ['acmee']);
+  assertEqual(result.hashtags.join(','), 'inbox');
+  assert(result.triaged);
+  assert(result.warnings[0].includes('#acmee'));
+  assertEqual(getTargetDatabaseId(registry, result, 'db-default'), 'db-triage');
+});
+
+test('uses default database for clients without one', () => {
+  const registry = parseClientRegistry(registryJson);
+  const result = resolveClient(registry, ['beta']);
+  assertEqual(getTargetDatabaseId(registry, result, 'db-default'), 'db-default');
+});
+
+test('passes hashtags through without a registry', () => {
+  const result = resolveClient(null, ['newclient']);
+  assertEqual(result.hashtags.join(','), 'newclient');
+  assertEqual(result.client, null);
+});
+
 // ============ validateRecipient tests ============
 
 console.log('\n--- validateRecipient tests ---');
@@ -109,6 +499,66 @@ test('validates recipient with display name', () => {
   assert(validateRecipient('"Notion Archive" <notion-abc123@example.com>', 'abc123'));
 });
 
+// ============ Inbox secret tests ============
+
+console.log('\n--- Inbox secret tests ---');
+
+const inboxSecrets = parseInboxSecrets(JSON.stringify([
+  { secret: 'OldSecret', label: '2024', expires: '2025-03-31T00:00:00Z' },
+  { secret: 'newsecret', label: '2025' },
+  { secret: 'acmesecret', label: 'acme', hashtag: '#Acme', databaseId: 'acme-db' },
+]));
+
+test('accepts any active secret and reports its label', () => {
+  const before = Date.parse('2025-01-01T00:00:00Z');
+  assertEqual(matchInboxSecret('notion-oldsecret@example.com', inboxSecrets, before).label, '2024');
+  assertEqual(matchInboxSecret('notion-newsecret@example.com', inboxSecrets, before).label, '2025');
+  assertEqual(matchInboxSecret('notion-unknown@example.com', inboxSecrets, before), null);
+});
+
+test('marks a secret expired after its expiry', () => {
+  const after = Date.parse('2025-04-01T00:00:00Z');
+  assert(matchInboxSecret('notion-oldsecret@example.com', inboxSecrets, after).expired);
+  assert(!matchInboxSecret('notion-newsecret@example.com', inboxSecrets, after).expired);
+  assert(!validateRecipient('notion-oldsecret@example.com', inboxSecrets));
+});
+
+test('takes the hashtag from the plus tag, then the secret default', () => {
+  assertEqual(matchInboxSecret('notion-newsecret+Globex@example.com', inboxSecrets).hashtag, 'globex');
+  assertEqual(matchInboxSecret('notion-newsecret@example.com', inboxSecrets).hashtag, null);
+  const acme = matchInboxSecret('notion-acmesecret@example.com', inboxSecrets);
+  assertEqual(acme.hashtag, 'acme');
+  assertEqual(acme.databaseId, 'acme-db');
+  assertEqual(matchInboxSecret('notion-acmesecret+legal@example.com', inboxSecrets).hashtag, 'legal');
+});
+
+test('treats a plain inbox secret as a single primary secret', () => {
+  const secrets = parseInboxSecrets('abc123');
+  assertEqual(secrets.length, 1);
+  assertEqual(secrets[0].label, 'primary');
+  assert(validateRecipient('notion-abc123+acme@example.com', 'abc123'));
+});
+
+test('measures a date-only expiry from midnight in the configured zone', () => {
+  const secrets = JSON.stringify([{ secret: 'old', label: '2024', expires: '2025-03-31' }]);
+  const config = buildConfig({ 'inbox-secret': secrets, 'time-zone': 'America/New_York' });
+  const beforeMidnight = Date.parse('2025-03-31T03:59:00Z');
+  const afterMidnight = Date.parse('2025-03-31T04:00:00Z');
+  assert(!matchInboxSecret('notion-old@example.com', config.inboxSecrets, beforeMidnight).expired, 'Still the 30th in New York');
+  assert(matchInboxSecret('notion-old@example.com', config.inboxSecrets, afterMidnight).expired, 'Expired at local midnight');
+  assertEqual(parseInboxSecrets(secrets)[0].expiresAt, Date.parse('2025-03-31T00:00:00Z'));
+});
+
+test('rejects an inbox secret with an invalid expiry', () => {
+  let threw = false;
+  try {
+    parseInboxSecrets('[{"secret":"x","label":"bad","expires":"someday"}]');
+  } catch (e) {
+    threw = e.message.includes('invalid expiry');
+  }
+  assert(threw, 'Should throw a descriptive error');
+});
+
 // ============ validateSender tests ============
 
 console.log('\n--- validateSender tests ---');
@@ -133,6 +583,114 @@ test('rejects empty allowed list', () => {
   assert(!validateSender('user@example.com', []));
 });
 
+test('accepts domain wildcard rules', () => {
+  assert(validateSender('Colleague <colleague@ourfirm.com>', ['*@ourfirm.com']));
+  assert(!validateSender('someone@notourfirm.com', ['*@ourfirm.com']));
+  assert(!validateSender('someone@ourfirm.com.evil.com', ['*@ourfirm.com']));
+  assert(validateSender('someone@mail.ourfirm.com', ['*@*.ourfirm.com']));
+});
+
+test('ignores plus tags when matching senders', () => {
+  assert(validateSender('me+notion@example.com', ['me@example.com']));
+  assert(validateSender('me@example.com', ['me+notion@example.com']));
+  assert(!validateSender('mere+notion@example.com', ['me@example.com']));
+});
+
+// ============ Sender permissions tests ============
+
+console.log('\n--- Sender permissions tests ---');
+
+const senderPermissions = parseSenderPermissions(JSON.stringify({
+  '*@ourfirm.com': { hashtags: ['acme', '#Globex'], attachments: false },
+  'partner@ourfirm.com': { databases: ['1234abcd-0000-0000-0000-000000000000'] },
+}));
+
+test('leaves senders unrestricted without permissions', () => {
+  assertEqual(parseSenderPermissions('disabled'), null);
+  const permissions = getSenderPermissions(null, 'me@example.com');
+  assert(permissions.attachments);
+  assert(isHashtagPermitted(permissions, ['anything']));
+  assert(isDatabasePermitted(permissions, 'any-db'));
+});
+
+test('applies the matching wildcard rule', () => {
+  const permissions = getSenderPermissions(senderPermissions, 'Colleague <colleague+x@ourfirm.com>');
+  assertEqual(permissions.pattern, '*@ourfirm.com');
+  assert(!permissions.attachments);
+  assert(isHashtagPermitted(permissions, ['acme/legal']));
+  assert(isHashtagPermitted(permissions, ['globex']));
+  assert(!isHashtagPermitted(permissions, ['initech']));
+});
+
+test('rejects a permitted hashtag paired with a forbidden one', () => {
+  const permissions = getSenderPermissions(senderPermissions, 'colleague@ourfirm.com');
+  assert(isHashtagPermitted(permissions, ['acme/legal', 'globex']));
+  assert(!isHashtagPermitted(permissions, ['acme', 'initech']));
+  assert(!isHashtagPermitted(permissions, ['acme', 'initech/hr']));
+  assert(!isHashtagPermitted(permissions, []));
+});
+
+test('prefers an exact address over a wildcard rule', () => {
+  const permissions = getSenderPermissions(senderPermissions, 'partner@ourfirm.com');
+  assertEqual(permissions.pattern, 'partner@ourfirm.com');
+  assert(permissions.attachments);
+  assert(isHashtagPermitted(permissions, ['initech']));
+  assert(isDatabasePermitted(permissions, '1234abcd000000000000000000000000'));
+  assert(!isDatabasePermitted(permissions, 'ffff0000-0000-0000-0000-000000000000'));
+});
+
+// ============ Verdict policy tests ============
+
+console.log('\n--- Verdict policy tests ---');
+
+const passingVerdicts = { spf: 'PASS', dkim: 'PASS', dmarc: 'PASS', spam: 'PASS', virus: 'PASS' };
+
+test('accepts any verdicts without a policy', () => {
+  assertEqual(parseVerdictPolicy('disabled'), null);
+  assert(checkVerdicts({ spf: 'FAIL' }, null, 'user@example.com').passed);
+});
+
+test('rejects a failed required verdict and reports each failure', () => {
+  const policy = parseVerdictPolicy('{"require":["spf","dkim","dmarc"]}');
+  const result = checkVerdicts({ ...passingVerdicts, dkim: 'FAIL', dmarc: 'GRAY' }, policy, 'user@example.com');
+  assert(!result.passed);
+  assertEqual(JSON.stringify(result.failures), JSON.stringify([
+    { verdict: 'dkim', status: 'FAIL', accepted: ['PASS'] },
+    { verdict: 'dmarc', status: 'GRAY', accepted: ['PASS'] },
+  ]));
+  assert(checkVerdicts(passingVerdicts, policy, 'user@example.com').passed);
+});
+
+test('sender overrides accept wildcard rules', () => {
+  const policy = parseVerdictPolicy('{"require":["spf","dkim"],"senders":{"*@partner.com":{"require":["dkim"]}}}');
+  assert(checkVerdicts({ spf: 'FAIL', dkim: 'PASS' }, policy, 'ops@partner.com').passed);
+});
+
+test('treats a missing verdict as a failure', () => {
+  const policy = parseVerdictPolicy('{"require":["dmarc"]}');
+  assertEqual(checkVerdicts({}, policy, 'user@example.com').failures[0].status, null);
+});
+
+test('sender override replaces the default requirements', () => {
+  const policy = parseVerdictPolicy(JSON.stringify({
+    require: ['spf', 'dkim', 'dmarc'],
+    senders: { 'Alerts@Vendor.com': { require: { dkim: 'pass', dmarc: ['PASS', 'GRAY'] } } },
+  }));
+  const verdicts = { ...passingVerdicts, spf: 'FAIL', dmarc: 'GRAY' };
+  assert(checkVerdicts(verdicts, policy, 'Vendor Alerts <alerts@vendor.com>').passed);
+  assert(!checkVerdicts(verdicts, policy, 'user@example.com').passed);
+});
+
+test('rejects unknown verdicts in the policy', () => {
+  let threw = false;
+  try {
+    parseVerdictPolicy('{"require":["arc"]}');
+  } catch (e) {
+    threw = e.message.includes('Unknown verdict in policy: arc');
+  }
+  assert(threw, 'Should throw a descriptive error');
+});
+
 // ============ parseForwardedHeaders tests ============
 
 console.log('\n--- parseForwardedHeaders tests ---');
@@ -196,6 +754,135 @@ Here is the original message.
   assert(result.originalDate.includes('2024-12-09'), 'Should extract Dec 9 date from client message, not Dec 10');
 });
 
+test('reads zone-less forwarded dates in the configured zone', () => {
+  const text = `---------- Forwarded message ---------
+From: Client Person <client@company.com>
+Date: Mon, Dec 9, 2024 at 10:00 AM
+`;
+  assertEqual(parseForwardedHeaders(text, [], 'America/New_York').originalDate, '2024-12-09T10:00:00-05:00');
+  assertEqual(parseForwardedHeaders(text, []).originalDate, '2024-12-09T10:00:00+00:00');
+});
+
+test('extracts To and Cc of the original message', () => {
+  const text = `---------- Forwarded message ---------
+From: John Doe <john@example.com>
+Date: Mon, Dec 9, 2024 at 10:30 AM
+Subject: Q4 Invoice
+To: Jane Smith <jane@example.com>, bob@partner.io
+Cc: "Doe, Ann" <ann@acme.com>
+
+Reply-To: body@example.com
+`;
+  const result = parseForwardedHeaders(text, []);
+  assertEqual(result.originalTo, 'Jane Smith <jane@example.com>, bob@partner.io');
+  assertEqual(result.originalCc, '"Doe, Ann" <ann@acme.com>');
+});
+
+test('extracts recipients from the header lines only', () => {
+  // Apple Mail leaves a blank line after "Begin forwarded message:", so the fallback scan is used
+  const text = `Begin forwarded message:
+
+From: John Doe <john@example.com>
+Subject: Q4 Invoice
+Date: December 9, 2024 at 10:30:00 AM PST
+To: Jane Smith <jane@example.com>
+
+Cc: not-a-header@example.com
+`;
+  const result = parseForwardedHeaders(text, []);
+  assertEqual(result.originalTo, 'Jane Smith <jane@example.com>');
+  assertEqual(result.originalCc, null);
+});
+
+// ============ Participant tests ============
+
+console.log('\n--- Participant tests ---');
+
+test('parses address lists with quoted and unquoted names', () => {
+  const list = parseAddressList('"Doe, Jane" <Jane@Example.com>, Doe, John <john@x.org>; Bob Smith; bob@y.com');
+  assertEqual(JSON.stringify(list), JSON.stringify([
+    { name: 'Doe, Jane', address: 'jane@example.com' },
+    { name: 'Doe, John', address: 'john@x.org' },
+    { name: 'Bob Smith', address: null },
+    { name: null, address: 'bob@y.com' },
+  ]));
+  assertEqual(parseAddressList('').length, 0);
+});
+
+test('collects participants without inbox addresses or duplicates', () => {
+  const participants = collectParticipants({
+    from: 'Client <c@acme.com>',
+    to: 'Me <me@example.com>, notion-abc123+acme@in.example.com',
+    cc: 'c@acme.com, x@partner.io',
+  }, {
+    allowedSenders: ['me@example.com'],
+    inboxSecrets: parseInboxSecrets('abc123'),
+  });
+  assertEqual(participants.map(p => `${p.role}:${p.address}:${p.self}`).join(','),
+    'from:c@acme.com:false,to:me@example.com:true,cc:x@partner.io:false');
+  assertEqual(getParticipantDomains(participants).join(','), 'acme.com,partner.io');
+});
+
+test('uses the email\'s own headers when nothing was forwarded', () => {
+  const body = { From: 'c@acme.com', To: 'notion-abc123@in.example.com', Cc: 'ann@acme.com', ReplyTo: 'billing@acme.com' };
+  const participants = getMessageParticipants(body, { originalFrom: null }, { inboxSecrets: parseInboxSecrets('abc123') });
+  assertEqual(participants.map(p => p.address).join(','), 'c@acme.com,billing@acme.com,ann@acme.com');
+  const forwarded = { originalFrom: 'John <john@example.com>', originalTo: 'jane@example.com', originalCc: null };
+  assertEqual(getMessageParticipants(body, forwarded).map(p => p.address).join(','), 'john@example.com,jane@example.com');
+});
+
+// ============ Email date tests ============
+
+console.log('\n--- Email date tests ---');
+
+test('parses Gmail forwarded dates', () => {
+  assertEqual(parseEmailDate('Mon, Dec 9, 2024 at 10:00 AM', 'Europe/Berlin'), '2024-12-09T10:00:00+01:00');
+  assertEqual(parseEmailDate('Tue, Mar 10, 2026 at 2:15 PM'), '2026-03-10T14:15:00+00:00');
+});
+
+test('parses localized Outlook dates', () => {
+  assertEqual(parseEmailDate('Montag, 9. Dezember 2024 10:00', 'Europe/Berlin'), '2024-12-09T10:00:00+01:00');
+  assertEqual(parseEmailDate('lundi 9 décembre 2024 15:30', 'Europe/Paris'), '2024-12-09T15:30:00+01:00');
+  assertEqual(parseEmailDate('mar., 10 déc. 2024, 10:00'), '2024-12-10T10:00:00+00:00');
+  assertEqual(parseEmailDate('9 de diciembre de 2024 10:00 p. m.'), '2024-12-09T22:00:00+00:00');
+  assertEqual(parseEmailDate('Monday, December 9, 2024 10:30 AM'), '2024-12-09T10:30:00+00:00');
+});
+
+test('keeps the zone written after the time', () => {
+  assertEqual(parseEmailDate('December 9, 2024 at 10:30:00 AM PST'), '2024-12-09T10:30:00-08:00');
+  assertEqual(parseEmailDate('9 December 2024 at 10:00:00 CET', 'America/New_York'), '2024-12-09T10:00:00+01:00');
+  assertEqual(parseEmailDate('9. Dezember 2024 um 10:00:00 MESZ'), '2024-12-09T10:00:00+02:00');
+  assertEqual(parseEmailDate('Mon, 9 Dec 2024 10:00:00 +0100'), '2024-12-09T10:00:00+01:00');
+  assertEqual(parseEmailDate('Mon, 9 Dec 2024 10:00 (GMT-05:00)'), '2024-12-09T10:00:00-05:00');
+});
+
+test('parses numeric dates', () => {
+  assertEqual(parseEmailDate('12/9/2024, 10:00 AM'), '2024-12-09T10:00:00+00:00');
+  assertEqual(parseEmailDate('25/12/2024 10:00'), '2024-12-25T10:00:00+00:00');
+  assertEqual(parseEmailDate('09.12.2024 10:00'), '2024-12-09T10:00:00+00:00');
+  assertEqual(parseEmailDate('2024-12-09T10:00:00Z'), '2024-12-09T10:00:00+00:00');
+  assertEqual(parseEmailDate('2024-12-09'), '2024-12-09');
+});
+
+test('applies daylight saving time in the default zone', () => {
+  assertEqual(parseEmailDate('July 1, 2024 at 9:00 AM', 'Europe/Berlin'), '2024-07-01T09:00:00+02:00');
+  assertEqual(parseEmailDate('July 1, 2024 at 9:00 AM', 'America/Los_Angeles'), '2024-07-01T09:00:00-07:00');
+});
+
+test('returns null for unparseable dates', () => {
+  assertEqual(parseEmailDate('sometime last week'), null);
+  assertEqual(parseEmailDate(''), null);
+});
+
+test('builds Notion dates in the configured zone', () => {
+  const date = toNotionDate('2024-12-09T10:00:00-05:00', { timeZone: 'Europe/Berlin' });
+  assertEqual(JSON.stringify(date), JSON.stringify({ start: '2024-12-09T16:00:00', time_zone: 'Europe/Berlin' }));
+  assertEqual(JSON.stringify(toNotionDate('2024-12-09')), JSON.stringify({ start: '2024-12-09' }));
+  assertEqual(toNotionDate('2024-12-09T23:30:00-05:00', { timeZone: 'Europe/Berlin', includeTime: false }).start, '2024-12-10');
+  assertEqual(toNotionDate('not a date'), null);
+  assertEqual(formatDateLabel('2024-12-09T10:00:00-05:00', 'America/New_York'), '2024-12-09 10:00');
+});
+
 // ============ stripForwardingHeaders tests ============
 
 console.log('\n--- stripForwardingHeaders tests ---');
@@ -270,6 +957,59 @@ test('skips CID-embedded images', () => {
   assertEqual(warnings.length, 0); // Silent skip
 });
 
+test('returns CID-embedded images as inline images', () => {
+  const attachments = [
+    { Name: 'image001.png', ContentLength: 5000, ContentID: 'image001.png@01D' },
+    { Name: 'invite.ics', ContentLength: 500, ContentID: 'cal1' },
+    { Name: 'report.pdf', ContentLength: 5000, ContentID: '' },
+  ];
+  const { valid, inline } = filterAttachments(attachments);
+  assertEqual(valid.map(a => a.Name).join(','), 'invite.ics,report.pdf');
+  assertEqual(inline.map(a => a.Name).join(','), 'image001.png');
+});
+
+test('keeps CID images the body never shows as attachments', () => {
+  const attachments = [
+    { Name: 'image001.png', ContentLength: 5000, ContentID: '<Image001.png@01D>' },
+    { Name: 'chart.png', ContentLength: 5000, ContentID: 'chart@x' },
+    { Name: 'poster.png', ContentLength: 30 * 1024 * 1024, ContentID: 'poster@x' },
+  ];
+  const bodyContentIds = collectContentIds('<p><img src="cid:image001.png@01D"><img src="cid:poster@x"></p>');
+  const { valid, inline, warnings } = filterAttachments(attachments, { bodyContentIds });
+  assertEqual(inline.map(a => a.Name).join(','), 'image001.png');
+  assertEqual(valid.map(a => a.Name).join(','), 'chart.png');
+  assertEqual(warnings.join(';'), 'Attachment skipped: poster.png (30.0 MB exceeds 20.0 MB limit)');
+});
+
+/**
+ * Build a PNG with the given dimensions, padded to a realistic size
+ */
+function createPng(width, height, size = 1024) {
+  const buffer = Buffer.alloc(size);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]).copy(buffer);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+test('detects tracking pixels and spacers', () => {
+  assert(isTrackingImage(createPng(1, 1, 68)), '1x1 pixel');
+  assert(isTrackingImage(createPng(600, 1)), 'Spacer');
+  assert(!isTrackingImage(createPng(800, 600)), 'Screenshot');
+});
+
+test('places images in order and drops pixels, spacers and trackers', () => {
+  const html = '<p>See below</p><img src="cid:shot@example" alt="Screenshot">' +
+    '<img src="cid:pixel" width="1" height="1"><img src="https://example.com/logo.png" alt="Logo">' +
+    '<img src="https://acme.us1.list-manage.com/track/open.php?u=1"><img src="data:image/png;base64,AAAA">';
+  const blocks = markdownToBlocks(htmlToMarkdown(html));
+  assertEqual(blocks.map(b => b.type).join(','), 'paragraph,image,image');
+  assertEqual(blocks[1].image.external.url, 'cid:shot@example');
+  assertEqual(blocks[2].image.external.url, 'https://example.com/logo.png');
+  assertEqual(blocks[2].image.caption[0].text.content, 'Logo');
+});
+
 test('rejects oversized files', () => {
   const attachments = [
     { Name: 'huge.zip', ContentLength: 25 * 1024 * 1024, ContentID: '' }
@@ -280,6 +1020,318 @@ test('rejects oversized files', () => {
   assert(warnings[0].includes('exceeds'));
 });
 
+test('applies the workspace plan file size limit', () => {
+  const attachments = [
+    { Name: 'design.psd', ContentLength: 30 * 1024 * 1024, ContentID: '' },
+    { Name: 'photo.jpg', ContentLength: 8 * 1024 * 1024, ContentID: '' },
+  ];
+  assertEqual(filterAttachments(attachments, { maxFileSize: getMaxFileSize('paid') }).valid.length, 2);
+  const free = filterAttachments(attachments, { maxFileSize: getMaxFileSize('free') });
+  assertEqual(free.valid.length, 0);
+  assert(free.warnings[1].includes('exceeds 5.0 MB limit'), 'Warning names the plan limit');
+  assertEqual(getMaxFileSize('paid'), 40 * 1024 * 1024);
+});
+
+/**
+ * Build the start of a Windows PE file: DOS header pointing at a "PE\0\0" header
+ */
+function createPe() {
+  const buffer = Buffer.alloc(0x100);
+  buffer.write('MZ', 0, 'latin1');
+  buffer.writeUInt32LE(0x80, 0x3c);
+  buffer.write('PE\0\0', 0x80, 'latin1');
+  return buffer;
+}
+
+test('detects file types from magic bytes', () => {
+  assertEqual(detectFileType(Buffer.from('%PDF-1.7\n')), 'pdf');
+  assertEqual(detectFileType(createPng(10, 10, 32)), 'png');
+  assertEqual(detectFileType(createPe()), 'exe');
+  assertEqual(detectFileType(Buffer.from('MZ\x90\x00', 'latin1')), null);
+  assertEqual(detectFileType(Buffer.from('#!/bin/sh\n')), 'script');
+  assertEqual(detectFileType(Buffer.from('Hello, world')), null);
+});
+
+test('lets text that starts with MZ or #! through', () => {
+  const { valid, warnings } = filterAttachments([
+    { Name: 'mzansi.txt', Content: Buffer.from('MZANSI trip notes, day one').toString('base64'), ContentLength: 26 },
+    { Name: 'notes.md', Content: Buffer.from('#!important: call back').toString('base64'), ContentLength: 22 },
+    { Name: 'run', Content: Buffer.from('#!/bin/sh\nrm -rf /').toString('base64'), ContentLength: 19 },
+    { Name: 'setup.txt', Content: createPe().toString('base64'), ContentLength: 256 },
+  ]);
+  assertEqual(valid.map(a => a.Name).join(','), 'mzansi.txt,notes.md');
+  assertEqual(warnings.join(';'), [
+    'Attachment skipped: run (executable content)',
+    'Attachment skipped: setup.txt (executable content disguised as .txt)',
+  ].join(';'));
+});
+
+test('blocks executables disguised by name or content type', () => {
+  const exe = createPe().toString('base64');
+  const { valid, warnings } = filterAttachments([
+    { Name: 'invoice.pdf', Content: exe, ContentType: 'application/pdf', ContentLength: 12 },
+    { Name: 'readme', Content: exe, ContentLength: 12 },
+    { Name: 'setup.exe. ', Content: 'AAAA', ContentLength: 3 },
+    { Name: 'notes.txt', Content: 'AAAA', ContentType: 'application/x-msdownload', ContentLength: 3 },
+  ]);
+  assertEqual(valid.length, 0);
+  assertEqual(warnings.join(';'), [
+    'Attachment skipped: invoice.pdf (executable content disguised as .pdf)',
+    'Attachment skipped: readme (executable content)',
+    'Attachment skipped: setup.exe.  (blocked file type)',
+    'Attachment skipped: notes.txt (blocked file type)',
+  ].join(';'));
+});
+
+test('names extensionless files and trusts content over the extension', () => {
+  const pdf = Buffer.from('%PDF-1.4 scan').toString('base64');
+  const { valid } = filterAttachments([
+    { Name: 'scan', Content: pdf, ContentLength: 13 },
+    { Name: 'photo.png', Content: pdf, ContentLength: 13 },
+    { Name: 'fake.pdf', Content: Buffer.from('plain text').toString('base64'), ContentLength: 10 },
+  ]);
+  assertEqual(valid.map(a => `${a.Name}:${a.DetectedType}`).join(','), 'scan.pdf:pdf,photo.png:pdf,fake.pdf:null');
+});
+
+test('skips OLE files without an Office name', () => {
+  const ole = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0]).toString('base64');
+  const { valid, warnings } = filterAttachments([
+    { Name: 'budget.xls', Content: ole, ContentLength: 10 },
+    { Name: 'invoice.pdf', Content: ole, ContentLength: 10 },
+    { Name: 'update', Content: ole, ContentLength: 10 },
+  ]);
+  assertEqual(valid.map(a => a.Name).join(','), 'budget.xls');
+  assertEqual(warnings.join(';'), [
+    'Attachment skipped: invoice.pdf (OLE compound file disguised as .pdf)',
+    'Attachment skipped: update (OLE compound file)',
+  ].join(';'));
+});
+
+test('flags names and declared types that disagree with the content', () => {
+  const pdf = Buffer.from('%PDF-1.4 scan').toString('base64');
+  const { valid, warnings } = filterAttachments([
+    { Name: 'report.pdf', Content: pdf, ContentType: 'application/pdf', ContentLength: 13 },
+    { Name: 'photo.png', Content: pdf, ContentLength: 13 },
+    { Name: 'scan', Content: pdf, ContentType: 'image/jpeg', ContentLength: 13 },
+    { Name: 'notes.txt', Content: pdf, ContentType: 'text/plain', ContentLength: 13 },
+  ]);
+  assertEqual(valid.length, 4);
+  assertEqual(warnings.join(';'), [
+    'Attachment type mismatch: photo.png (named .png, content is pdf)',
+    'Attachment type mismatch: scan (declared image/jpeg, content is pdf)',
+  ].join(';'));
+});
+
+/**
+ * Build a ZIP archive from { name: content } (deflated unless stored is set; CRCs are not checked)
+ */
+function createZip(files, { stored = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = stored ? content : zlib.deflateRawSync(content);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += 30 + nameBuffer.length + data.length;
+  }
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+test('unpacks ZIP archives through the attachment rules', () => {
+  const zip = createZip({
+    'docs/': Buffer.alloc(0),
+    'docs/contract.pdf': Buffer.from('%PDF-1.4 contract'),
+    'docs/setup.exe': createPe(),
+    '__MACOSX/docs/._contract.pdf': Buffer.from('meta'),
+  });
+  const { files, warnings } = expandArchive({ Name: 'bundle.zip', Content: zip.toString('base64') });
+  assertEqual(files.map(f => f.Name).join(','), 'contract.pdf');
+  assertEqual(files[0].Content.toString(), '%PDF-1.4 contract');
+  assertEqual(warnings.join(';'), 'Attachment skipped: bundle.zip/setup.exe (blocked file type)');
+});
+
+test('leaves zip bombs and oversized archives packed', () => {
+  const bomb = createZip({ 'zeros.txt': Buffer.alloc(10 * 1024 * 1024) });
+  const bombResult = expandArchive({ Name: 'bomb.zip', Content: bomb.toString('base64') });
+  assertEqual(bombResult.files.length, 0);
+  assert(bombResult.warnings[0].includes('zip bomb'), 'Flags the compression ratio');
+
+  const many = {};
+  for (let i = 0; i < 101; i++) {
+    many[`file${i}.txt`] = Buffer.from('x');
+  }
+  const manyResult = expandArchive({ Name: 'many.zip', Content: createZip(many, { stored: true }).toString('base64') });
+  assertEqual(manyResult.files.length, 0);
+  assert(manyResult.warnings[0].includes('101 files'), 'Reports the entry count');
+});
+
+// ============ Rich text tests ============
+
+console.log('\n--- Rich text tests ---');
+
+/**
+ * Summarize rich text runs as "content|annotations|url" strings
+ */
+function describeRuns(runs) {
+  return runs.map(r => `${r.text.content}|${Object.keys(r.annotations || {}).join('+')}|${r.text.link?.url || ''}`);
+}
+
+test('styles only the marked segment', () => {
+  const runs = describeRuns(parseRichText('plain **bold** and *italic*'));
+  assertEqual(runs.join(' / '), 'plain || / bold|bold| /  and || / italic|italic|');
+});
+
+test('keeps nested formatting', () => {
+  const runs = describeRuns(parseRichText('**bold *both* bold** ~~gone~~'));
+  assertEqual(runs.join(' / '), 'bold |bold| / both|bold+italic| /  bold|bold| /  || / gone|strikethrough|');
+});
+
+test('keeps strikethrough from HTML email', () => {
+  for (const tag of ['s', 'del', 'strike']) {
+    const [block] = markdownToBlocks(htmlToMarkdown(`<p>was <${tag}>x</${tag}> now</p>`));
+    const struck = block.paragraph.rich_text.find(r => r.text.content === 'x');
+    assert(struck?.annotations?.strikethrough === true, `<${tag}> becomes strikethrough`);
+  }
+});
+
+test('parses long lines of unmatched delimiters in linear time', () => {
+  for (const unit of ['*a ', '~~a ', '_a ', '[a', '[a](']) {
+    const line = unit.repeat(Math.ceil(96 * 1024 / unit.length));
+    const started = Date.now();
+    const runs = parseRichText(line);
+    const elapsed = Date.now() - started;
+    assert(elapsed < 1500, `${JSON.stringify(unit)} line took ${elapsed}ms`);
+    assertEqual(runs.map(r => r.text.content).join(''), line);
+  }
+});
+
+test('formats link labels and keeps code literal', () => {
+  const runs = describeRuns(parseRichText('[**Docs**](https://example.com/a_(b)) `a **b**`'));
+  assertEqual(runs.join(' / '), 'Docs|bold|https://example.com/a_(b) /  || / a **b**|code|');
+});
+
+test('leaves intraword underscores, escapes and unsafe links as text', () => {
+  const runs = describeRuns(parseRichText('snake_case \\*x\\* [rel](/path)'));
+  assertEqual(runs.join(' / '), 'snake_case *x* rel||');
+});
+
+test('splits long runs at 2000 characters', () => {
+  const runs = parseRichText(`**${'a'.repeat(4500)}**`);
+  assertEqual(runs.map(r => r.text.content.length).join(','), '2000,2000,500');
+  assert(runs.every(r => r.annotations.bold), 'All pieces keep bold');
+});
+
+test('splits blocks with more than 100 runs', () => {
+  const line = Array.from({ length: 150 }, (_, i) => (i % 2 ? '**b**' : 'x')).join(' ');
+  const blocks = markdownToBlocks(line);
+  assertEqual(blocks.length, 2);
+  assert(blocks.every(b => b.paragraph.rich_text.length <= 100), 'Each block fits 100 runs');
+});
+
+// ============ Table tests ============
+
+console.log('\n--- Table tests ---');
+
+test('converts a data table with a header row to a table block', () => {
+  const html = '<table><tr><th>Item</th><th>Price</th></tr><tr><td><b>Widget</b> | x</td><td>$5</td></tr></table>';
+  const blocks = markdownToBlocks(htmlToMarkdown(html));
+  assertEqual(blocks.length, 1);
+  assertEqual(blocks[0].type, 'table');
+  assertEqual(blocks[0].table.table_width, 2);
+  assertEqual(blocks[0].table.has_column_header, true);
+  const cell = blocks[0].table.children[1].table_row.cells[0];
+  assertEqual(cell.map(r => r.text.content).join(''), 'Widget | x');
+  assert(cell[0].annotations.bold, 'Cell keeps bold formatting');
+});
+
+test('treats header-less tables as data and pads short rows', () => {
+  const html = '<table><tr><td>Qty</td><td>Total</td></tr><tr><td colspan="2">Free shipping</td></tr></table>';
+  const [table] = markdownToBlocks(htmlToMarkdown(html));
+  assertEqual(table.table.has_column_header, false);
+  assertEqual(table.table.children[1].table_row.cells.length, 2);
+});
+
+test('flattens layout tables to paragraphs', () => {
+  const html = '<table role="presentation"><tr><td>Logo</td><td>Hello</td></tr><tr><td>a</td><td>b</td></tr></table>' +
+    '<table><tr><td><table><tr><td><p>One</p><p>Two</p></td></tr></table></td></tr></table>';
+  const blocks = markdownToBlocks(htmlToMarkdown(html));
+  assert(blocks.every(b => b.type === 'paragraph'), 'No table blocks');
+  assertEqual(blocks.map(b => b.paragraph.rich_text[0].text.content).join(','), 'Logo,Hello,a,b,One,Two');
+});
+
+test('splits tables over 100 rows and repeats the header', () => {
+  const lines = ['| A | B |', '| --- | --- |'];
+  for (let i = 0; i < 150; i++) {
+    lines.push(`| ${i} | x |`);
+  }
+  const blocks = markdownToBlocks(lines.join('\n'));
+  assertEqual(blocks.length, 2);
+  assertEqual(blocks[0].table.children.length, 100);
+  assertEqual(blocks[1].table.children[0].table_row.cells[0][0].text.content, 'A');
+});
+
+// ============ Nested structure tests ============
+
+console.log('\n--- Nested structure tests ---');
+
+/**
+ * Describe blocks as an indented outline: "type:text"
+ */
+function outlineBlocks(blocks, indent = '') {
+  return blocks.flatMap(b => {
+    const content = b[b.type];
+    const text = (content.rich_text || []).map(r => r.text.content).join('');
+    return [`${indent}${b.type}:${text}`, ...outlineBlocks(content.children || [], `${indent}  `)];
+  });
+}
+
+test('nests indented list items and continuation paragraphs', () => {
+  const md = htmlToMarkdown('<ul><li>One<ul><li>Sub<ol><li>Deep</li></ol></li></ul></li><li>Two<p>More</p></li></ul>');
+  assertEqual(outlineBlocks(markdownToBlocks(md)).join('|'),
+    'bulleted_list_item:One|  bulleted_list_item:Sub|    numbered_list_item:Deep|bulleted_list_item:Two|  paragraph:More');
+});
+
+test('keeps single-level quotes as quote blocks', () => {
+  const blocks = markdownToBlocks('Thanks!\n\n> First line\n> Second line');
+  assertEqual(outlineBlocks(blocks).join('|'), 'paragraph:Thanks!|quote:First line|  paragraph:Second line');
+});
+
+test('folds deep reply chains into labelled toggles', () => {
+  const md = [
+    'Sounds good.',
+    '',
+    'On Mon, Jan 6, 2025 at 9:14 AM Jane Doe <jane@example.com> wrote:',
+    '> Can we meet?',
+    '> On Jan 5, 2025, at 08:00, <bob@example.com> wrote:',
+    '> > Agenda attached',
+  ].join('\n');
+  assertEqual(outlineBlocks(markdownToBlocks(md)).join('|'),
+    'paragraph:Sounds good.|toggle:Jane Doe - Mon, Jan 6, 2025 at 9:14 AM|  paragraph:Can we meet?|' +
+    'toggle:bob@example.com - Jan 5, 2025, at 08:00|  paragraph:Agenda attached');
+});
+
 // ============ extractEmail tests ============
 
 console.log('\n--- extractEmail tests ---');
@@ -318,6 +1370,19 @@ test('rejects empty event', () => {
   assert(!isSesEvent(undefined));
 });
 
+test('extracts receipt verdicts from SES event', () => {
+  const info = parseSesEvent({
+    Records: [{
+      eventSource: 'aws:ses',
+      ses: {
+        mail: { messageId: 'abc' },
+        receipt: { spfVerdict: { status: 'PASS' }, dkimVerdict: { status: 'FAIL' }, dmarcVerdict: { status: 'GRAY' } },
+      },
+    }],
+  });
+  assertEqual(JSON.stringify(info.verdicts), JSON.stringify({ spf: 'PASS', dkim: 'FAIL', dmarc: 'GRAY', spam: null, virus: null }));
+});
+
 // ============ MIME parsing tests ============
 
 // Helper for async tests
@@ -352,6 +1417,34 @@ This is the body.`;
     assert(result.TextBody.includes('This is the body'));
   });
 
+  await testAsync('keeps Cc, Bcc and Reply-To addresses', async () => {
+    const mime = `From: sender@example.com
+To: recipient@example.com
+Cc: "Doe, Jane" <jane@example.com>, bob@example.com
+Bcc: hidden@example.com
+Reply-To: Billing <billing@example.com>
+Subject: Participants
+
+Body.`;
+
+    const result = await parseMimeEmail(mime);
+    assertEqual(result.Cc, '"Doe, Jane" <jane@example.com>, bob@example.com');
+    assertEqual(result.Bcc, 'hidden@example.com');
+    assertEqual(result.ReplyTo, 'Billing <billing@example.com>');
+  });
+
+  await testAsync('keeps the sender\'s UTC offset from the Date header', async () => {
+    const mime = `From: sender@example.com
+To: recipient@example.com
+Subject: Offset
+Date: Mon, 9 Dec 2024 10:00:00 -0500
+
+Body.`;
+
+    const result = await parseMimeEmail(mime);
+    assertEqual(result.Date, '2024-12-09T10:00:00-05:00');
+  });
+
   await testAsync('parses email with display name', async () => {
     const mime = `From: John Doe <john@example.com>
 To: Jane Smith <jane@example.com>
@@ -441,11 +1534,1322 @@ iVBORw0KGgo=
     assertEqual(result.Attachments.length, 1);
     assertEqual(result.Attachments[0].ContentID, 'logo123');
   });
+
+  await testAsync('parses threading headers', async () => {
+    const mime = `From: sender@example.com
+To: recipient@example.com
+Subject: Re: Thread
+Message-ID: <new@example.com>
+In-Reply-To: <prev@example.com>
+References: <root@example.com>
+
+Reply body.`;
+
+    const result = await parseMimeEmail(mime);
+    assertEqual(result.MessageID, '<new@example.com>');
+    assertEqual(result.InReplyTo, '<prev@example.com>');
+    assertEqual(result.References.length, 1);
+    assertEqual(result.References[0], '<root@example.com>');
+  });
+}
+
+// ============ Thread page tests ============
+
+/**
+ * Minimal stand-in for the Notion client used by thread lookups
+ */
+function createFakeNotionClient(queryResults) {
+  const calls = { queries: [], appends: [], updates: [] };
+  return {
+    calls,
+    databases: {
+      retrieve: async ({ database_id }) => ({ id: database_id, data_sources: [{ id: `ds-${database_id}` }] }),
+    },
+    dataSources: {
+      query: async (args) => {
+        calls.queries.push(args);
+        return { results: queryResults.shift() || [] };
+      },
+    },
+    blocks: {
+      children: {
+        append: async (args) => {
+          calls.appends.push(args);
+          return { results: args.children.map((_, i) => ({ id: `block-${calls.appends.length}-${i}` })) };
+        },
+      },
+    },
+    pages: {
+      update: async (args) => {
+        calls.updates.push(args);
+        return {};
+      },
+    },
+  };
+}
+
+async function runThreadPageTests() {
+  console.log('\n--- Thread page tests ---');
+
+  await testAsync('finds thread page by Message-ID', async () => {
+    const client = createFakeNotionClient([[{ id: 'page-1' }]]);
+    const page = await findThreadPage(client, {
+      databaseId: 'db1',
+      messageIds: ['<a@x.com>'],
+      subject: 'Invoice',
+      hashtag: 'acme',
+    });
+    assertEqual(page.id, 'page-1');
+    assertEqual(client.calls.queries.length, 1);
+    assertEqual(client.calls.queries[0].data_source_id, 'ds-db1');
+  });
+
+  await testAsync('falls back to subject and hashtag for recent replies', async () => {
+    const titled = { id: 'page-2', properties: { Name: { title: [{ plain_text: 'Q4  invoice' }] } } };
+    const client = createFakeNotionClient([[], [titled]]);
+    const page = await findThreadPage(client, {
+      databaseId: 'db2',
+      messageIds: ['<a@x.com>'],
+      subject: 'Q4 Invoice',
+      hashtag: 'acme',
+      isReply: true,
+      now: new Date('2024-12-31T00:00:00Z'),
+    });
+    assertEqual(page.id, 'page-2');
+    assertEqual(client.calls.queries.length, 2);
+    const [, tag, edited] = client.calls.queries[1].filter.and;
+    assertEqual(tag.multi_select.contains, 'acme');
+    assertEqual(edited.last_edited_time.on_or_after, '2024-12-01T00:00:00.000Z');
+  });
+
+  await testAsync('keeps recurring subjects that are not replies apart', async () => {
+    assert(parseSubject('#acme: Fwd: Re: Q4 Invoice').isReply, 'Re: under the forward is a reply');
+    assert(parseSubject('#acme: Fwd: Fwd: Q4 Invoice').isReply, 'A forwarded forward continues a thread');
+    assert(!parseSubject('#acme: Fwd: Monthly report').isReply, 'The forwarder\'s own Fwd: is not');
+
+    const client = createFakeNotionClient([[]]);
+    const page = await findThreadPage(client, {
+      databaseId: 'db2',
+      messageIds: ['<a@x.com>'],
+      subject: 'Monthly report',
+      hashtag: 'acme',
+      isReply: false,
+    });
+    assertEqual(page, null);
+    assertEqual(client.calls.queries.length, 1);
+  });
+
+  await testAsync('skips subject fallback without a hashtag', async () => {
+    const client = createFakeNotionClient([[]]);
+    const page = await findThreadPage(client, {
+      databaseId: 'db3',
+      messageIds: ['<a@x.com>'],
+      subject: 'Invoice',
+      hashtag: 'missing',
+    });
+    assertEqual(page, null);
+    assertEqual(client.calls.queries.length, 1);
+  });
+
+  await testAsync('builds a dated divider and merges Message IDs', async () => {
+    const client = createFakeNotionClient([]);
+    const existing = {
+      id: 'page-1',
+      properties: { 'Message IDs': { rich_text: [{ plain_text: '<a@x.com>' }] } },
+    };
+    const divider = createThreadDividerBlocks('2024-12-09T10:00:00.000Z');
+    assertEqual(divider[0].type, 'divider');
+    assert(divider[1].heading_3.rich_text[0].text.content.includes('2024-12-09'));
+    assertEqual(divider.length, 2);
+
+    await updateThreadPage(client, existing, {
+      messageIds: ['<a@x.com>', '<b@x.com>'],
+    });
+    const stored = client.calls.updates[0].properties['Message IDs'].rich_text[0].text.content;
+    assertEqual(stored, '<a@x.com> <b@x.com>');
+  });
+
+  await testAsync('merges new hashtags into thread page', async () => {
+    const client = createFakeNotionClient([]);
+    const existing = {
+      id: 'page-1',
+      properties: { Hashtag: { multi_select: [{ name: 'acme' }] } },
+    };
+    await updateThreadPage(client, existing, {
+      messageIds: [],
+      hashtags: ['acme', 'invoice'],
+    });
+    const tags = client.calls.updates[0].properties.Hashtag.multi_select.map(o => o.name);
+    assertEqual(tags.join(','), 'acme,invoice');
+  });
+
+  await testAsync('merges new participants into thread page', async () => {
+    const client = createFakeNotionClient([]);
+    const existing = {
+      id: 'page-1',
+      properties: {
+        Participants: { rich_text: [{ plain_text: 'Jane <jane@acme.com>; bob@partner.io' }] },
+        'Participant Domains': { multi_select: [{ name: 'acme.com' }, { name: 'partner.io' }] },
+      },
+    };
+    await updateThreadPage(client, existing, {
+      messageIds: [],
+      participants: [
+        { role: 'from', name: 'Jane Doe', address: 'jane@acme.com', self: false },
+        { role: 'cc', name: 'Ann', address: 'ann@globex.com', self: false },
+      ],
+    });
+    const properties = client.calls.updates[0].properties;
+    assertEqual(properties.Participants.rich_text[0].text.content, 'Jane <jane@acme.com>; bob@partner.io; Ann <ann@globex.com>');
+    assertEqual(properties['Participant Domains'].multi_select.map(o => o.name).join(','), 'acme.com,partner.io,globex.com');
+  });
+}
+
+async function runImageTests() {
+  console.log('\n--- Image tests ---');
+
+  await testAsync('uploads inline images in place, including nested blocks', async () => {
+    const originalFetch = global.fetch;
+    const uploads = [];
+    global.fetch = async (url) => {
+      uploads.push(url);
+      return { ok: true, json: async () => ({ id: 'upload-1' }), text: async () => '' };
+    };
+
+    try {
+      const blocks = markdownToBlocks('Intro\n\n![](cid:shot)\n\n> ![](cid:shot)\n> ![](cid:pixel)\n\n![](cid:unknown)');
+      const inline = [
+        { Name: 'shot.png', ContentID: '<shot>', Content: createPng(800, 600).toString('base64') },
+        { Name: 'pixel.png', ContentID: 'pixel', Content: createPng(1, 1, 68).toString('base64') },
+      ];
+      const result = await embedInlineImages(blocks, inline, 'key');
+
+      assertEqual(outlineBlocks(result.blocks).join('|'), 'paragraph:Intro|image:|quote:|  image:');
+      assertEqual(result.blocks[1].image.file_upload.id, 'upload-1');
+      assertEqual(result.uploaded, 1);
+      assertEqual(uploads.length, 2); // create + send, once for both references
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  await testAsync('shows a placeholder for remote images when capture is off', async () => {
+    const blocks = markdownToBlocks('![Q3 chart](https://cdn.example.com/chart.png)');
+    const result = await captureRemoteImages(blocks, { enabled: false, notionApiKey: 'key' });
+    assertEqual(outlineBlocks(result.blocks).join('|'), 'paragraph:[Remote image: Q3 chart (cdn.example.com)]');
+  });
+
+  await testAsync('drops or placeholders image sources that are not valid URLs', async () => {
+    const md = htmlToMarkdown('<p>Hi</p><img src="https://[bad/x.png" alt="A"><img src="https://%zz/x.png"><img src="https://exa<mple.com/a.png">');
+    assert(!md.includes('!['), 'Unparseable img srcs are not kept as images');
+
+    const originalFetch = global.fetch;
+    const requests = [];
+    global.fetch = async (url) => { requests.push(url); throw new Error('not fetched'); };
+    try {
+      for (const enabled of [false, true]) {
+        const result = await captureRemoteImages(markdownToBlocks('![Chart](https://%zz/x.png)'), { enabled, notionApiKey: 'key' });
+        assertEqual(outlineBlocks(result.blocks).join('|'), 'paragraph:[Remote image: Chart]');
+      }
+      assertEqual(requests.length, 0);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  // Remote hosts resolve to a public address unless a test says otherwise
+  const originalLookup = dns.promises.lookup;
+  const stubLookup = (addresses = {}) => {
+    dns.promises.lookup = async (hostname) => [{ address: addresses[hostname] || '93.184.216.34', family: 4 }];
+  };
+
+  await testAsync('captures allowed remote images once and rejects other types', async () => {
+    const originalFetch = global.fetch;
+    stubLookup();
+    const requests = [];
+    const png = createPng(640, 480);
+    global.fetch = async (url) => {
+      requests.push(url);
+      if (url.startsWith('https://cdn.example.com/')) {
+        const type = url.endsWith('.svg') ? 'image/svg+xml' : 'image/png';
+        return new Response(png, { headers: { 'content-type': type } });
+      }
+      return { ok: true, json: async () => ({ id: 'upload-2' }), text: async () => '' };
+    };
+
+    try {
+      const md = '![](https://cdn.example.com/a.png)\n\n![](https://cdn.example.com/a.png)\n\n![Logo](https://cdn.example.com/logo.svg)';
+      const result = await captureRemoteImages(markdownToBlocks(md), { enabled: true, notionApiKey: 'key' });
+      assertEqual(outlineBlocks(result.blocks).join('|'), 'image:|image:|paragraph:[Remote image: Logo (cdn.example.com)]');
+      assertEqual(result.blocks[0].image.file_upload.id, 'upload-2');
+      assertEqual(result.captured, 1);
+      assertEqual(requests.filter(url => url === 'https://cdn.example.com/a.png').length, 1);
+      assert(result.warnings[0].includes('image/svg+xml'), 'Warns about the rejected type');
+    } finally {
+      global.fetch = originalFetch;
+      dns.promises.lookup = originalLookup;
+    }
+  });
+
+  await testAsync('re-checks the host on every redirect', async () => {
+    const originalFetch = global.fetch;
+    stubLookup();
+    const requests = [];
+    global.fetch = async (url, options) => {
+      requests.push(url);
+      assertEqual(options.redirect, 'manual');
+      assert(options.dispatcher, 'Connects through the pinned dispatcher');
+      if (url === 'https://cdn.example.com/a.png') {
+        return new Response(null, { status: 302, headers: { location: '/b.png' } });
+      }
+      if (url === 'https://cdn.example.com/b.png') {
+        return new Response(null, { status: 301, headers: { location: 'http://169.254.169.254/latest/meta-data' } });
+      }
+      return new Response(createPng(640, 480), { headers: { 'content-type': 'image/png' } });
+    };
+
+    try {
+      const result = await captureRemoteImages(markdownToBlocks('![](https://cdn.example.com/a.png)'), { enabled: true, notionApiKey: 'key' });
+      assertEqual(outlineBlocks(result.blocks).join('|'), 'paragraph:[Remote image (cdn.example.com)]');
+      assertEqual(requests.join(','), 'https://cdn.example.com/a.png,https://cdn.example.com/b.png');
+      assert(result.warnings[0].includes('host not allowed'), 'Warns about the redirect target');
+    } finally {
+      global.fetch = originalFetch;
+      dns.promises.lookup = originalLookup;
+    }
+  });
+
+  await testAsync('rejects hosts that resolve to private addresses', async () => {
+    const originalFetch = global.fetch;
+    stubLookup({ 'internal.example.com': '10.0.0.5', 'mapped.example.com': '::ffff:127.0.0.1' });
+    const requests = [];
+    global.fetch = async (url) => {
+      requests.push(url);
+      return new Response(createPng(640, 480), { headers: { 'content-type': 'image/png' } });
+    };
+
+    try {
+      const md = '![](https://internal.example.com/a.png)\n\n![](https://mapped.example.com/a.png)';
+      const result = await captureRemoteImages(markdownToBlocks(md), { enabled: true, notionApiKey: 'key' });
+      assertEqual(requests.length, 0);
+      assertEqual(result.warnings.filter(w => w.includes('private address')).length, 2);
+    } finally {
+      global.fetch = originalFetch;
+      dns.promises.lookup = originalLookup;
+    }
+  });
+
+  test('connects only to the addresses the host check approved', () => {
+    const lookup = createPinnedLookup(new Map([['cdn.example.com', [{ address: '93.184.216.34', family: 4 }]]]));
+    const answers = [];
+    lookup('cdn.example.com', { all: true }, (error, addresses) => answers.push(addresses[0].address));
+    lookup('CDN.example.com', {}, (error, address, family) => answers.push(`${address}/${family}`));
+    lookup('rebind.example.com', { all: true }, error => answers.push(error.message));
+    assertEqual(answers.join(','), '93.184.216.34,93.184.216.34/4,host rebind.example.com was not checked');
+  });
+}
+
+async function runUploadTests() {
+  console.log('\n--- Upload tests ---');
+
+  await testAsync('uploads files over 20MB in numbered parts', async () => {
+    const originalFetch = global.fetch;
+    const requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, body: options.body });
+      return { ok: true, json: async () => ({ id: 'upload-big' }), text: async () => '' };
+    };
+
+    try {
+      const id = await uploadFileToNotion('key', 'design.zip', Buffer.alloc(25 * 1024 * 1024));
+      assertEqual(id, 'upload-big');
+      assertEqual(requests.map(r => r.url.split('/').pop()).join(','), 'file_uploads,send,send,send,complete');
+
+      const create = JSON.parse(requests[0].body);
+      assertEqual(create.mode, 'multi_part');
+      assertEqual(create.number_of_parts, 3);
+      assert(requests[3].body.toString('latin1', 0, 200).includes('name="part_number"\r\n\r\n3'), 'Third part is numbered');
+      assert(requests[3].body.length < 6 * 1024 * 1024, 'Last part holds the remainder');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  await testAsync('uploads small files in a single part', async () => {
+    const originalFetch = global.fetch;
+    const requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, body: options.body });
+      return { ok: true, json: async () => ({ id: 'upload-small' }), text: async () => '' };
+    };
+
+    try {
+      await uploadFileToNotion('key', 'notes.txt', Buffer.from('hello').toString('base64'));
+      assertEqual(requests.length, 2);
+      assertEqual(JSON.parse(requests[0].body).mode, undefined);
+      assert(!requests[1].body.toString().includes('part_number'), 'No part number');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  await testAsync('groups unpacked files under a toggle after the archive', async () => {
+    const originalFetch = global.fetch;
+    let uploadCount = 0;
+    global.fetch = async (url) => {
+      if (url.endsWith('/file_uploads')) {
+        uploadCount++;
+      }
+      return { ok: true, json: async () => ({ id: `upload-${uploadCount}` }), text: async () => '' };
+    };
+
+    try {
+      const client = createFakeNotionClient([]);
+      const zip = createZip({ 'a.pdf': Buffer.from('%PDF-1.4 a'), 'b.png': createPng(100, 100) });
+      const result = await uploadAttachments(client, 'page-1', [
+        { Name: 'bundle.zip', Content: zip.toString('base64'), ContentLength: zip.length },
+      ], 'key', { expandArchives: true });
+
+      assertEqual(result.uploaded, 3);
+      assertEqual(outlineBlocks(client.calls.appends[0].children).join('|'),
+        'divider:|paragraph:Attachments:|file:|toggle:📦 bundle.zip (2 files)|  pdf:|  image:');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  await testAsync('unpacks archives by content, not by extension', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = async () => ({ ok: true, json: async () => ({ id: 'upload-1' }), text: async () => '' });
+
+    try {
+      const client = createFakeNotionClient([]);
+      const zip = createZip({ 'a.pdf': Buffer.from('%PDF-1.4 a'), 'setup.exe': createPe() });
+      const { valid } = filterAttachments([
+        { Name: 'photos.dat', Content: zip.toString('base64'), ContentLength: zip.length },
+        { Name: 'report.docx', Content: zip.toString('base64'), ContentLength: zip.length },
+      ]);
+      const result = await uploadAttachments(client, 'page-1', valid, 'key', { expandArchives: true });
+
+      assertEqual(client.calls.appends.map(call => outlineBlocks(call.children).join('|')).join(' / '),
+        'divider:|paragraph:Attachments:|file:|toggle:📦 photos.dat (1 file)|  pdf: / file:');
+      assert(result.warnings.includes('Attachment skipped: photos.dat/setup.exe (blocked file type)'), 'Renamed archive contents are checked');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  await testAsync('resumes uploads after the last attachment on the page', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = async () => ({ ok: true, json: async () => ({ id: 'upload-1' }), text: async () => '' });
+    const attachments = ['a.pdf', 'b.pdf', 'c.pdf'].map(name => ({
+      Name: name,
+      Content: Buffer.from('%PDF-1.4').toString('base64'),
+      ContentLength: 8,
+    }));
+
+    try {
+      // The first attempt fails while appending the second attachment
+      const failing = createFakeNotionClient([]);
+      const append = failing.blocks.children.append;
+      failing.blocks.children.append = async (args) => {
+        if (failing.calls.appends.length === 1) {
+          throw new Error('Notion unavailable');
+        }
+        return append(args);
+      };
+      let done = [];
+      let threw = false;
+      try {
+        await uploadAttachments(failing, 'page-1', attachments, 'key', {
+          onAttachment: async (progress) => {
+            done = progress.done;
+          },
+        });
+      } catch (e) {
+        threw = e.message === 'Notion unavailable';
+      }
+      assert(threw, 'The append failure should surface');
+      assertEqual(done.length, 1);
+
+      const retry = createFakeNotionClient([]);
+      const result = await uploadAttachments(retry, 'page-1', attachments, 'key', { skip: done });
+      assertEqual(result.uploaded, 2);
+      assertEqual(retry.calls.appends.map(call => outlineBlocks(call.children).join('|')).join(' / '), 'pdf: / pdf:');
+
+      // The retry's list can differ (a new scan verdict, a reordered part); files are matched by content
+      const changed = createFakeNotionClient([]);
+      const edited = { ...attachments[0], Content: Buffer.from('%PDF-1.7').toString('base64') };
+      const uploads = [];
+      await uploadAttachments(changed, 'page-1', [attachments[2], edited, attachments[0]], 'key', {
+        skip: done,
+        onAttachment: async (progress) => uploads.push(progress.done.length),
+      });
+      assertEqual(changed.calls.appends.map(call => outlineBlocks(call.children).join('|')).join(' / '), 'pdf: / pdf:');
+      assertEqual(uploads.join(','), '2,3');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+}
+
+async function runScannerTests() {
+  console.log('\n--- Malware scanning tests ---');
+
+  const eicar = Buffer.from(`X5O!P%@AP[4\\PZX54(P^)7CC)7}$${EICAR_TEST_STRING}!$H+H*`).toString('base64');
+
+  await testAsync('parses clamd replies and scanner settings', async () => {
+    assertEqual(parseClamdReply('stream: OK').infected, false);
+    assertEqual(parseClamdReply('stream: Eicar-Signature FOUND').signature, 'Eicar-Signature');
+    let error = null;
+    try {
+      parseClamdReply('INSTREAM size limit exceeded. ERROR');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('size limit'), 'Errors are thrown');
+
+    assertEqual(createScanner('disabled'), null);
+    assertEqual(createScanner('ses', {}).name, 'ses');
+    assertEqual(createScanner('clamav://10.0.0.5:3310').name, 'clamav');
+    assertEqual(createScanner('clamav:///var/run/clamd.sock').name, 'clamav');
+  });
+
+  await testAsync('quarantines infected files with the stub scanner', async () => {
+    const scanner = createStubScanner({ 'macro.docx': 'Doc.Dropper.Agent' });
+    const { clean, quarantined } = await scanAttachments(scanner, [
+      { Name: 'eicar.com.txt', Content: eicar },
+      { Name: 'macro.docx', Content: 'AAAA' },
+      { Name: 'report.pdf', Content: Buffer.from('%PDF-1.4').toString('base64') },
+    ]);
+    assertEqual(clean.map(a => a.Name).join(','), 'report.pdf');
+    assertEqual(quarantined.map(q => `${q.name}:${q.signature}`).join(','),
+      'eicar.com.txt:Eicar-Test-Signature,macro.docx:Doc.Dropper.Agent');
+  });
+
+  await testAsync('fails closed when the scanner has no verdict', async () => {
+    const scanner = createSesVerdictScanner({ virusVerdict: { status: 'GRAY' } });
+    const { clean, quarantined } = await scanAttachments(scanner, [{ Name: 'a.pdf', Content: 'AAAA' }]);
+    assertEqual(clean.length, 0);
+    assertEqual(quarantined[0].signature, 'scan failed: SES virus verdict GRAY');
+
+    const failed = await scanAttachments(createSesVerdictScanner({ virusVerdict: { status: 'FAIL' } }), [{ Name: 'b.pdf', Content: 'AAAA' }]);
+    assertEqual(failed.quarantined[0].signature, 'SES virus verdict FAIL');
+    const passed = await scanAttachments(createSesVerdictScanner({ virusVerdict: { status: 'PASS' } }), [{ Name: 'c.pdf', Content: 'AAAA' }]);
+    assertEqual(passed.clean.length, 1);
+  });
+
+  await testAsync('streams files to clamd with INSTREAM', async () => {
+    const received = [];
+    const server = net.createServer((socket) => {
+      const chunks = [];
+      socket.on('data', (data) => {
+        chunks.push(data);
+        const buffer = Buffer.concat(chunks);
+        if (buffer.length >= 4 && buffer.readUInt32BE(buffer.length - 4) === 0) {
+          received.push(buffer);
+          const infected = buffer.includes(EICAR_TEST_STRING);
+          socket.end(infected ? 'stream: Win.Test.EICAR_HDB-1 FOUND\0' : 'stream: OK\0');
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const scanner = createClamavScanner({ host: '127.0.0.1', port: server.address().port });
+      const { clean, quarantined } = await scanAttachments(scanner, [
+        { Name: 'eicar.txt', Content: eicar },
+        { Name: 'notes.txt', Content: Buffer.from('hello').toString('base64') },
+      ]);
+      assertEqual(quarantined.map(q => q.signature).join(','), 'Win.Test.EICAR_HDB-1');
+      assertEqual(clean.map(a => a.Name).join(','), 'notes.txt');
+      assertEqual(received[1].toString('latin1', 0, 10), 'zINSTREAM\0');
+      assertEqual(received[1].readUInt32BE(10), 5);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+}
+
+async function runAppendTests() {
+  console.log('\n--- Append batching tests ---');
+
+  await testAsync('appends children beyond the nesting limit separately', async () => {
+    const client = createFakeNotionClient([]);
+    const blocks = markdownToBlocks('- a\n  - b\n    - c\n      - d');
+    await appendBlocksToPage(client, 'page-1', blocks);
+    assertEqual(client.calls.appends.length, 2);
+    assertEqual(client.calls.appends[0].children[0].bulleted_list_item.children, undefined);
+    assertEqual(client.calls.appends[1].block_id, 'block-1-0');
+    assertEqual(outlineBlocks(client.calls.appends[1].children).join('|'),
+      'bulleted_list_item:b|  bulleted_list_item:c|    bulleted_list_item:d');
+  });
+
+  await testAsync('splits batches at 1000 nested blocks', async () => {
+    const client = createFakeNotionClient([]);
+    const rows = ['| A | B |', ...Array.from({ length: 99 }, (_, i) => `| ${i} | x |`)].join('\n');
+    const blocks = markdownToBlocks(Array(12).fill(rows).join('\n\ntext\n\n'));
+    await appendBlocksToPage(client, 'page-1', blocks);
+    assertEqual(client.calls.appends.length, 2);
+    assert(client.calls.appends.every(call => call.children.filter(b => b.type === 'table').length <= 9), 'At most 9 tables per request');
+  });
+
+  await testAsync('keeps a long warning callout within the rich text limits', async () => {
+    const client = createFakeNotionClient([]);
+    const warnings = [
+      `Attachment skipped: ${'x'.repeat(3000)}.pdf`,
+      ...Array.from({ length: 149 }, (_, i) => `Attachment quarantined: report-${i}.pdf (Eicar-Test-Signature)`),
+    ];
+    await addWarningCallout(client, 'page-1', warnings);
+    const runs = client.calls.appends[0].children[0].callout.rich_text;
+    assert(runs.length <= 100, 'At most 100 runs');
+    assert(runs.every(run => run.text.content.length <= 2000), 'Every run fits in 2000 characters');
+    const text = runs.map(run => run.text.content).join('');
+    assert(text.startsWith('Attachment skipped: xxx'), 'Long warnings are truncated, not dropped');
+    assert(text.endsWith('...and 50 more warnings'), 'Warnings past the limit are counted');
+  });
+}
+
+// ============ Ledger tests ============
+
+async function runLedgerTests() {
+  console.log('\n--- Ledger tests ---');
+
+  await testAsync('starts a fresh record for unknown messages', async () => {
+    const store = createMemoryLedgerStore();
+    const record = await loadLedgerRecord(store, 'ses-1');
+    assertEqual(record.messageId, 'ses-1');
+    assertEqual(record.stage, null);
+    assert(!hasReachedStage(record, 'page_created'));
+  });
+
+  await testAsync('persists stages and fields across loads', async () => {
+    const store = createMemoryLedgerStore();
+    let record = await loadLedgerRecord(store, 'ses-2');
+    record = await recordStage(store, record, 'page_created', { pageId: 'page-1' });
+    record = await updateLedgerRecord(store, record, { blockCount: 100 });
+
+    const reloaded = await loadLedgerRecord(store, 'ses-2');
+    assertEqual(reloaded.stage, 'page_created');
+    assertEqual(reloaded.pageId, 'page-1');
+    assertEqual(reloaded.blockCount, 100);
+    assert(hasReachedStage(reloaded, 'page_created'));
+    assert(!hasReachedStage(reloaded, 'blocks_appended'));
+  });
+
+  await testAsync('reads a missing S3 ledger record as new and rethrows other errors', async () => {
+    const keys = [];
+    const client = {
+      send: async (command) => {
+        keys.push(command.input.Key);
+        const error = new Error('S3 error');
+        error.name = command.input.Key === 'ledger/ses-new.json' ? 'NoSuchKey' : 'AccessDenied';
+        throw error;
+      },
+    };
+    const store = createS3LedgerStore('bucket', client);
+    assertEqual(await store.get('ses-new'), null);
+
+    // Without ListBucket S3 answers AccessDenied for a missing key; that must not pass as "no record"
+    let threw = false;
+    try {
+      await store.get('ses-denied');
+    } catch (e) {
+      threw = e.name === 'AccessDenied';
+    }
+    assert(threw, 'Should rethrow AccessDenied');
+    assertEqual(keys.join(','), 'ledger/ses-new.json,ledger/ses-denied.json');
+  });
+
+  await testAsync('never moves a stage backwards', async () => {
+    const store = createMemoryLedgerStore();
+    let record = await loadLedgerRecord(store, 'ses-3');
+    record = await recordStage(store, record, 'attachments_uploaded');
+    record = await recordStage(store, record, 'page_created');
+    assertEqual(record.stage, 'attachments_uploaded');
+    assert(isLedgerComplete(record));
+  });
+
+  await testAsync('rejects unknown stages', async () => {
+    let threw = false;
+    try {
+      hasReachedStage({ stage: null }, 'bogus');
+    } catch (e) {
+      threw = true;
+    }
+    assert(threw, 'Should throw for unknown stage');
+  });
+}
+
+// ============ Reply notification tests ============
+
+/**
+ * Create a fake SES client that records sent messages
+ */
+function createFakeSesClient() {
+  const sent = [];
+  return {
+    sent,
+    async send(command) {
+      sent.push(command.input);
+      return { MessageId: `reply-${sent.length}` };
+    },
+  };
+}
+
+async function runNotifyTests() {
+  console.log('\n--- Reply notification tests ---');
+
+  const replyContext = {
+    requestId: 'req-1',
+    to: 'Me <me+notion@example.com>',
+    subject: '#acme: Contract',
+    messageId: '<original@mail.example.com>',
+    references: ['<first@mail.example.com>'],
+  };
+
+  const createReplySettings = (overrides = {}) => ({
+    from: 'notion-bot@example.com',
+    events: ['success', 'warning', 'failure'],
+    allowedSenders: ['me@example.com'],
+    store: createMemoryLedgerStore(),
+    client: createFakeSesClient(),
+    ...overrides,
+  });
+
+  await testAsync('parses reply events', async () => {
+    assertEqual(parseReplyEvents('disabled').length, 0);
+    assertEqual(parseReplyEvents('success, Failure').join(','), 'success,failure');
+    let threw = false;
+    try {
+      parseReplyEvents('bounce');
+    } catch (e) {
+      threw = e.message.includes('Unknown reply event');
+    }
+    assert(threw, 'Should throw for unknown events');
+  });
+
+  await testAsync('threads the reply to the forwarded message', async () => {
+    const message = buildReplyMessage({
+      from: 'notion-bot@example.com',
+      to: 'me@example.com',
+      subject: 'Re: Contract\r\nBcc: victim@example.com',
+      body: 'Done',
+      inReplyTo: '<original@mail.example.com>',
+      references: ['<first@mail.example.com>'],
+    });
+    assert(message.includes('\r\nIn-Reply-To: <original@mail.example.com>\r\n'));
+    assert(message.includes('\r\nReferences: <first@mail.example.com> <original@mail.example.com>\r\n'));
+    assert(message.includes('\r\nAuto-Submitted: auto-replied\r\n'));
+    assert(!/\r\nBcc:/.test(message), 'Header injection should be flattened');
+  });
+
+  await testAsync('sends a success reply with the page URL', async () => {
+    const settings = createReplySettings();
+    assert(await notifySuccess(settings, replyContext, 'https://notion.so/page-1'));
+    const input = settings.client.sent[0];
+    assertEqual(input.Destination.ToAddresses[0], 'me+notion@example.com');
+    const raw = input.Content.Raw.Data.toString('utf-8');
+    assert(raw.includes('Subject: Re: #acme: Contract'));
+    const body = Buffer.from(raw.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf-8');
+    assert(body.includes('https://notion.so/page-1'));
+  });
+
+  await testAsync('skips disabled events and non-allowlisted recipients', async () => {
+    const settings = createReplySettings({ events: ['failure'] });
+    assert(!await notifySuccess(settings, replyContext, 'https://notion.so/page-1'));
+    assert(!await notifyWarning(createReplySettings({ allowedSenders: ['other@example.com'] }), replyContext, 'url', ['w']));
+    assert(!await notifySuccess(createReplySettings({ from: null }), replyContext, 'url'));
+    assertEqual(settings.client.sent.length, 0);
+  });
+
+  await testAsync('rate-limits replies per recipient', async () => {
+    const store = createMemoryLedgerStore();
+    const now = Date.now();
+    for (let i = 0; i < REPLY_RATE_LIMIT; i++) {
+      assert(await takeReplySlot(store, 'me@example.com', now));
+    }
+    assert(!await takeReplySlot(store, 'me@example.com', now));
+    assert(await takeReplySlot(store, 'other@example.com', now));
+    assert(await takeReplySlot(store, 'me@example.com', now + 60 * 60 * 1000));
+  });
+
+  await testAsync('starts a reply log when S3 has no record and fails on access errors', async () => {
+    const commands = [];
+    let missing = 'NoSuchKey';
+    const client = {
+      send: async (command) => {
+        commands.push(`${command.constructor.name}:${command.input.Key.split('/')[0]}`);
+        if (command.constructor.name === 'GetObjectCommand') {
+          const error = new Error('S3 error');
+          error.name = missing;
+          throw error;
+        }
+        return {};
+      },
+    };
+    const store = createS3LedgerStore('bucket', client, REPLY_LOG_PREFIX);
+    assert(await takeReplySlot(store, 'me@example.com'));
+    assertEqual(commands.join(','), 'GetObjectCommand:replies,PutObjectCommand:replies');
+
+    missing = 'AccessDenied';
+    let threw = false;
+    try {
+      await takeReplySlot(store, 'me@example.com');
+    } catch (e) {
+      threw = e.name === 'AccessDenied';
+    }
+    assert(threw, 'Should not treat AccessDenied as an empty reply log');
+  });
+}
+
+// ============ Replay CLI tests ============
+
+async function runReplayTests() {
+  console.log('\n--- Replay CLI tests ---');
+
+  const rawEmail = [
+    'From: Me <me@example.com>',
+    'To: notion-abc123@example.com',
+    'Subject: #acmeco: Fwd: Contract !noattach',
+    'Message-ID: <replay-1@example.com>',
+    'Date: Mon, 9 Dec 2024 10:00:00 +0000',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<p>Hello <b>world</b></p>',
+  ].join('\r\n');
+
+  await testAsync('parses replay arguments', async () => {
+    const options = parseArgs(['--config', 'cfg.json', '--push', 'mail.eml']);
+    assertEqual(options.configPath, 'cfg.json');
+    assert(options.push);
+    assert(!options.summary);
+    assertEqual(options.target, 'mail.eml');
+  });
+
+  await testAsync('loads local config with list values', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      'allowed-senders': ['Me@Example.com', 'you@example.com'],
+      'client-registry': JSON.stringify({ clients: { acme: { aliases: ['acmeco'], databaseId: 'acme-db' } } }),
+    }));
+    fs.writeFileSync(path.join(dir, 'b.eml'), rawEmail);
+    fs.writeFileSync(path.join(dir, 'a.eml'), rawEmail);
+
+    const config = loadLocalConfig(configPath);
+    assertEqual(config.allowedSenders.join(','), 'me@example.com,you@example.com');
+    assert(config.clientRegistry.clients.has('acme'));
+    assertEqual(collectEmlFiles(dir).map(file => path.basename(file)).join(','), 'a.eml,b.eml');
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  await testAsync('replays an email into a Notion payload', async () => {
+    const config = loadLocalConfig(null);
+    config.clientRegistry = parseClientRegistry(JSON.stringify({ clients: { acme: { aliases: ['acmeco'], databaseId: 'acme-db' } } }));
+    const result = await replayEmail(rawEmail, config);
+    const output = formatReplayResult('mail.eml', result);
+
+    assertEqual(output.page.parent.database_id, 'acme-db');
+    assertEqual(output.page.properties.Name.title[0].text.content, 'Contract');
+    assertEqual(output.page.properties.Hashtag.multi_select[0].name, 'acme');
+    assert(result.entry.directives.noattach);
+    assert(output.page.children.some(block => block.type === 'paragraph'), 'Body should become a paragraph');
+    assertEqual(output.attachments.length, 0);
+  });
+
+  await testAsync('replays raw bytes through the attachment scanner', async () => {
+    const raw = Buffer.concat([
+      Buffer.from([
+        'From: Me <me@example.com>',
+        'Subject: #acme Report',
+        'Content-Type: multipart/mixed; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain; charset=iso-8859-1',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        'Caf',
+      ].join('\r\n')),
+      Buffer.from([0xe9]),
+      Buffer.from([
+        '',
+        '--b1',
+        'Content-Type: application/pdf; name="report.pdf"',
+        'Content-Disposition: attachment; filename="report.pdf"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from('%PDF-1.4 report').toString('base64'),
+        '--b1--',
+        '',
+      ].join('\r\n')),
+    ]);
+    const config = loadLocalConfig(null);
+    config.malwareScanner = 'ses';
+    const result = await replayEmail(raw, config);
+
+    const text = JSON.stringify(result.contentBlocks);
+    assert(text.includes('Café'), 'An 8bit Latin-1 body should decode');
+    assertEqual(result.attachments.length, 0);
+    assertEqual(result.quarantined.map(item => item.name).join(','), 'report.pdf');
+    assert(result.warnings.some(w => w.startsWith('Attachment quarantined: report.pdf')), 'Should warn about the held-back file');
+  });
+}
+
+// ============ Backfill importer tests ============
+
+async function runBackfillTests() {
+  console.log('\n--- Backfill importer tests ---');
+
+  const mbox = [
+    'From a@example.com Mon Dec  9 10:00:00 2024',
+    'From: A <a@example.com>',
+    'Subject: First',
+    'Message-ID: <first@example.com>',
+    'X-Gmail-Labels: Inbox,Clients/Acme',
+    '',
+    'Body',
+    '>From the start',
+    '',
+    'From b@example.com Mon Dec  9 11:00:00 2024',
+    'From: B <b@example.com>',
+    'Subject: #globex Second',
+    '',
+    'Second body',
+    '',
+  ].join('\n');
+
+  await testAsync('splits an mbox and undoes From quoting', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+    const file = path.join(dir, 'archive.mbox');
+    fs.writeFileSync(file, mbox);
+
+    const messages = [];
+    for await (const raw of readMbox(file)) {
+      messages.push(raw.toString('latin1'));
+    }
+    assertEqual(messages.length, 2);
+    assert(messages[0].endsWith('Body\nFrom the start'), 'Quoted From line should be restored');
+    assert(messages[1].startsWith('From: B'));
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  await testAsync('maps header rules, folders, subject tags and the default', async () => {
+    const map = parseHashtagMap(JSON.stringify({
+      header: { name: 'X-Gmail-Labels', pattern: 'Clients/(\\w+)' },
+      folders: { 'Clients/Initech': 'Initech' },
+      default: 'archive',
+    }));
+    const labeled = Buffer.from('X-Gmail-Labels: Inbox,\r\n Clients/Acme\r\nSubject: Hi\r\n\r\nBody');
+    assertEqual(resolveImportHashtag(map, 'INBOX', labeled), 'acme');
+    assertEqual(resolveImportHashtag(map, 'clients/initech', Buffer.from('Subject: Hi\n\n')), 'initech');
+    assertEqual(resolveImportHashtag(map, 'INBOX', Buffer.from('Subject: #globex Hi\n\n')), 'globex');
+    assertEqual(resolveImportHashtag(map, 'INBOX', Buffer.from('Subject: Hi\n\n')), 'archive');
+    assertEqual(resolveImportHashtag(parseHashtagMap(''), 'INBOX', Buffer.from('Subject: Hi\n\n')), null);
+  });
+
+  await testAsync('finds Maildir++ and nested Maildir folders', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'maildir-'));
+    for (const dir of ['cur', '.Clients.Acme/cur', 'Archive/Globex/new']) {
+      fs.mkdirSync(path.join(root, dir), { recursive: true });
+    }
+    assertEqual(listMaildirFolders(root).map(f => f.folder).join(','), 'Archive/Globex,Clients/Acme,INBOX');
+    fs.rmSync(root, { recursive: true });
+  });
+
+  await testAsync('derives a stable Message-ID for messages without one', async () => {
+    assertEqual(getImportMessageId(Buffer.from('Message-ID: <x@example.com>\n\nHi')), '<x@example.com>');
+    const raw = Buffer.from('Subject: none\n\nHi');
+    assertEqual(getImportMessageId(raw), getImportMessageId(Buffer.from(raw)));
+    assert(getImportMessageId(raw).endsWith('@email-to-notion>'));
+  });
+
+  await testAsync('retries Notion requests after a 429', async () => {
+    const calls = [];
+    const responses = [
+      { status: 429, headers: new Map([['retry-after', '0']]) },
+      { status: 200, headers: new Map() },
+    ];
+    const throttled = createThrottledFetch(async (url) => {
+      calls.push(url);
+      return responses.shift();
+    }, { intervalMs: 0 });
+
+    const response = await throttled('https://api.notion.com/v1/pages', {});
+    assertEqual(response.status, 200);
+    assertEqual(calls.length, 2);
+    await throttled('https://example.com/image.png', {});
+    assertEqual(calls.length, 3);
+  });
+
+  await testAsync('skips messages recorded in the state file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+    const file = path.join(dir, 'archive.mbox');
+    const statePath = path.join(dir, 'state.txt');
+    fs.writeFileSync(file, mbox);
+    fs.writeFileSync(statePath, '<first@example.com>\n');
+
+    const counts = await runBackfill(
+      { targets: [file], statePath, dryRun: true },
+      loadLocalConfig(null),
+      parseHashtagMap('')
+    );
+    assertEqual(counts.skipped, 1);
+    assertEqual(counts.imported, 1);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  await testAsync('reads archived replies as themselves, not as forwards', async () => {
+    const raw = [
+      'From: Alice <alice@client.com>',
+      'To: Me <me@ourfirm.com>',
+      'Date: Tue, 10 Dec 2024 09:00:00 +0000',
+      'Subject: RE: Project',
+      'Message-ID: <reply@client.com>',
+      '',
+      'Sounds good, see you then.',
+      '',
+      '________________________________',
+      'From: Me <me@ourfirm.com>',
+      'Sent: Monday, December 9, 2024 10:00 AM',
+      'To: Alice <alice@client.com>',
+      'Subject: Project',
+      '',
+      'Shall we meet?',
+    ].join('\n');
+
+    const config = buildConfig({ 'allowed-senders': 'other@ourfirm.com' });
+    const result = await replayEmail(raw, config, { hashtag: 'acme', archived: true });
+    assertEqual(result.entry.from, 'Alice <alice@client.com>');
+    assertEqual(result.entry.date, '2024-12-10T09:00:00+00:00');
+    const text = JSON.stringify(result.contentBlocks);
+    assert(text.includes('Sounds good'), 'Reply text is kept');
+    assert(text.includes('Shall we meet?'), 'Quoted history is kept');
+  });
+
+  await testAsync('dedups only on a page\'s own Message-ID', async () => {
+    const pages = [
+      { id: 'reply-page', properties: { 'Message IDs': { rich_text: [{ plain_text: '<reply@x.com> <first@example.com>' }] } } },
+      { id: 'first-page', properties: { 'Message IDs': { rich_text: [{ plain_text: '<first@example.com>' }] } } },
+    ];
+    const queries = [];
+    const client = {
+      databases: { retrieve: async () => ({ data_sources: [{ id: 'ds-backfill' }] }) },
+      dataSources: {
+        query: async (args) => {
+          queries.push(args);
+          // One result per page of the query, to exercise the cursor
+          const index = args.start_cursor ? Number(args.start_cursor) : 0;
+          return { results: [pages[index]], has_more: index + 1 < pages.length, next_cursor: String(index + 1) };
+        },
+      },
+    };
+
+    assertEqual((await findImportedPage(client, 'db-backfill', '<first@example.com>', DEFAULT_PROPERTY_MAP)).id, 'first-page');
+    assertEqual(queries.length, 2);
+    pages.pop();
+    assertEqual(await findImportedPage(client, 'db-backfill', '<first@example.com>', DEFAULT_PROPERTY_MAP), null);
+  });
+}
+
+// ============ Database schema tests ============
+
+/**
+ * Fake Notion client holding one data source's properties
+ */
+function createSchemaClient(properties) {
+  const calls = { updates: [], creates: [] };
+  return {
+    calls,
+    databases: {
+      retrieve: async ({ database_id }) => ({ id: database_id, data_sources: [{ id: `ds-${database_id}` }] }),
+      create: async (args) => {
+        calls.creates.push(args);
+        return { id: 'new-db' };
+      },
+    },
+    dataSources: {
+      retrieve: async () => ({ properties }),
+      update: async (args) => {
+        calls.updates.push(args);
+        return {};
+      },
+    },
+  };
+}
+
+/**
+ * Data source properties matching EMAIL_SCHEMA, with overrides (null removes one)
+ */
+function schemaProperties(overrides = {}) {
+  const properties = {};
+  for (const { name, type } of EMAIL_SCHEMA) {
+    properties[name] = { name, type };
+  }
+  for (const [name, type] of Object.entries(overrides)) {
+    if (type) {
+      properties[name] = { name, type };
+    } else {
+      delete properties[name];
+    }
+  }
+  return properties;
+}
+
+async function runSchemaTests() {
+  console.log('\n--- Database schema tests ---');
+
+  test('reports missing and mistyped properties', () => {
+    const { missing, mismatched } = compareSchema(schemaProperties({ Summary: null, Hashtag: 'select' }));
+    assertEqual(missing.map(p => p.name).join(','), 'Summary');
+    assertEqual(mismatched.length, 1);
+    assertEqual(mismatched[0].name, 'Hashtag');
+    assertEqual(mismatched[0].actual, 'select');
+  });
+
+  test('reports a renamed title instead of creating one', () => {
+    const { missing, mismatched } = compareSchema(schemaProperties({ Name: null, Title: 'title' }));
+    assertEqual(missing.length, 0);
+    assertEqual(mismatched[0].actual, 'title named "Title"');
+  });
+
+  test('builds property configuration by type', () => {
+    const properties = buildSchemaProperties([{ name: 'Due', type: 'date' }]);
+    assertEqual(JSON.stringify(properties), JSON.stringify({ Due: { date: {} } }));
+  });
+
+  await testAsync('adds missing properties once per database', async () => {
+    const client = createSchemaClient(schemaProperties({ 'Message IDs': null, Priority: null }));
+    await ensureDatabaseSchema(client, 'schema-db1');
+    await ensureDatabaseSchema(client, 'schema-db1');
+    assertEqual(client.calls.updates.length, 1);
+    assertEqual(client.calls.updates[0].data_source_id, 'ds-schema-db1');
+    assertEqual(Object.keys(client.calls.updates[0].properties).join(','), 'Message IDs');
+  });
+
+  await testAsync('adds a missing optional property only when the property map names it', async () => {
+    const defaults = createSchemaClient(schemaProperties({ Priority: null }));
+    const propertyMap = await ensureDatabaseSchema(defaults, 'schema-db5');
+    assertEqual(defaults.calls.updates.length, 0);
+    assertEqual(propertyMap.priority, null);
+    assert(!('Priority' in buildEmailProperties({ directives: { priority: true }, propertyMap })), 'Unmapped Priority is not written');
+
+    const mapped = createSchemaClient(schemaProperties({ Priority: null }));
+    await ensureDatabaseSchema(mapped, 'schema-db6', parsePropertyMap(JSON.stringify({
+      priority: { property: 'Priority', type: 'checkbox' },
+    })));
+    assertEqual(Object.keys(mapped.calls.updates[0].properties).join(','), 'Priority');
+  });
+
+  await testAsync('fails on a mistyped required property', async () => {
+    const client = createSchemaClient(schemaProperties({ Date: 'rich_text' }));
+    let threw = false;
+    try {
+      await ensureDatabaseSchema(client, 'schema-db2');
+    } catch (e) {
+      threw = e.message.includes('"Date" should be date but is rich_text');
+    }
+    assert(threw, 'Should throw a schema mismatch');
+  });
+
+  await testAsync('tolerates a mistyped optional property', async () => {
+    const client = createSchemaClient(schemaProperties({ Priority: 'select' }));
+    await ensureDatabaseSchema(client, 'schema-db3');
+    assertEqual(client.calls.updates.length, 0);
+  });
+
+  await testAsync('writes hashtags as text to a legacy rich_text Hashtag', async () => {
+    const client = createSchemaClient(schemaProperties({ Hashtag: 'rich_text' }));
+    const propertyMap = await ensureDatabaseSchema(client, 'schema-legacy');
+    assertEqual(client.calls.updates.length, 0);
+    assertEqual(propertyMap.hashtags.type, 'rich_text');
+    assertEqual(DEFAULT_PROPERTY_MAP.hashtags.type, 'multi_select');
+    assertEqual(await ensureDatabaseSchema(client, 'schema-legacy'), propertyMap);
+
+    const properties = buildEmailProperties({ subject: 'Hi', hashtag: 'acme/legal', hashtags: ['acme/legal', 'q4'], propertyMap });
+    assertEqual(properties.Hashtag.rich_text[0].text.content, 'acme/legal, q4');
+
+    // Thread pages keep their text tags and gain the new ones
+    const threadClient = createFakeNotionClient([]);
+    await updateThreadPage(threadClient, {
+      id: 'legacy-page',
+      properties: { Hashtag: { rich_text: [{ plain_text: 'acme' }] } },
+    }, { messageIds: ['<b@x.com>'], hashtags: ['acme', 'q4'], propertyMap });
+    const update = threadClient.calls.updates[0];
+    assertEqual(update.properties.Hashtag.rich_text[0].text.content, 'acme, q4');
+  });
+
+  await testAsync('creates a database with the full schema', async () => {
+    const client = createSchemaClient({});
+    await createEmailDatabase(client, 'parent-page');
+    const args = client.calls.creates[0];
+    assertEqual(args.parent.page_id, 'parent-page');
+    assertEqual(Object.keys(args.initial_data_source.properties).length, EMAIL_SCHEMA.length);
+    assert(args.initial_data_source.properties.Name.title, 'Name should be the title');
+  });
+
+  await testAsync('creates the thread relation and reports relations without a target', async () => {
+    const propertyMap = parsePropertyMap(JSON.stringify({
+      thread: { property: 'Thread', type: 'relation' },
+      assignees: { property: 'Owner', type: 'relation' },
+    }));
+    const client = createSchemaClient(schemaProperties({ Assignee: null }));
+    let threw = false;
+    try {
+      await ensureDatabaseSchema(client, 'schema-db4', propertyMap);
+    } catch (e) {
+      threw = e.message.includes('schema mismatch');
+    }
+    assert(!threw, 'A missing optional relation should not fail');
+    const properties = client.calls.updates[0].properties;
+    assertEqual(JSON.stringify(properties), JSON.stringify({
+      Thread: { relation: { data_source_id: 'ds-schema-db4', single_property: {} } },
+    }));
+  });
+
+  await testAsync('looks up threads through mapped properties', async () => {
+    const client = createFakeNotionClient([[], []]);
+    await findThreadPage(client, {
+      databaseId: 'db-mapped',
+      messageIds: ['<a@x.com>'],
+      subject: 'Q4 invoice',
+      hashtag: 'acme',
+      isReply: true,
+      propertyMap: teamPropertyMap,
+    });
+    const [, fallback] = client.calls.queries;
+    assertEqual(JSON.stringify(fallback.filter.and[1]), JSON.stringify({ property: 'Client', select: { equals: 'acme' } }));
+  });
+
+  test('lists the default, client and triage databases', () => {
+    const config = loadLocalConfig(null);
+    config.notionDatabaseId = 'main';
+    config.clientRegistry = parseClientRegistry(JSON.stringify({
+      clients: { acme: { databaseId: 'acme-db' }, globex: { databaseId: 'main' }, initech: {} },
+      triage: { databaseId: 'triage-db' },
+    }));
+    assertEqual(listConfiguredDatabases(config).join(','), 'main,acme-db,triage-db');
+  });
+}
+
+// ============ Client page tests ============
+
+/**
+ * Fake Notion client for a Clients database with the given pages
+ */
+function createClientsClient(pages) {
+  const calls = { queries: 0, creates: [] };
+  return {
+    calls,
+    databases: {
+      retrieve: async ({ database_id }) => ({ id: database_id, data_sources: [{ id: `ds-${database_id}` }] }),
+    },
+    dataSources: {
+      retrieve: async () => ({
+        properties: {
+          Name: { name: 'Name', type: 'title' },
+          Hashtag: { name: 'Hashtag', type: 'rich_text' },
+        },
+      }),
+      query: async () => {
+        calls.queries++;
+        return { results: pages };
+      },
+    },
+    pages: {
+      create: async (args) => {
+        calls.creates.push(args);
+        return { id: `client-${calls.creates.length}` };
+      },
+    },
+  };
+}
+
+/**
+ * Clients database page with a Hashtag key
+ */
+function clientPage(id, key) {
+  return { id, properties: { Hashtag: { rich_text: [{ plain_text: key }] } } };
+}
+
+async function runClientPageTests() {
+  console.log('\n--- Client page tests ---');
+
+  test('takes the client key from the top-level hashtag', () => {
+    assertEqual(getClientKey({ hashtags: ['acme/legal', 'q4'], triaged: false }), 'acme');
+    assertEqual(getClientKey({ hashtags: ['missing'], triaged: false }), null);
+    assertEqual(getClientKey({ hashtags: ['triage'], triaged: true }), null);
+  });
+
+  test('requires the Clients database for the client field', () => {
+    let threw = false;
+    try {
+      parsePropertyMap(JSON.stringify({ client: { property: 'Client', type: 'relation' } }));
+    } catch (e) {
+      threw = e.message.includes('databaseId');
+    }
+    assert(threw, 'Should require databaseId');
+  });
+
+  await testAsync('finds the client page by normalized key and caches it', async () => {
+    const client = createClientsClient([clientPage('page-co', 'Acme Co'), clientPage('page-acme', 'ACME')]);
+    const mapping = { property: 'Client', type: 'relation', databaseId: 'clients-db1', keyProperty: 'Hashtag' };
+    assertEqual(await resolveClientPage(client, mapping, 'acme'), 'page-acme');
+    assertEqual(await resolveClientPage(client, mapping, 'acme'), 'page-acme');
+    assertEqual(client.calls.queries, 1);
+  });
+
+  await testAsync('creates a missing client page only when allowed', async () => {
+    const mapping = { property: 'Client', type: 'relation', databaseId: 'clients-db2', keyProperty: 'Hashtag' };
+    const lookupOnly = createClientsClient([]);
+    assertEqual(await resolveClientPage(lookupOnly, mapping, 'globex'), null);
+    assertEqual(lookupOnly.calls.creates.length, 0);
+
+    const creating = createClientsClient([]);
+    const pageId = await resolveClientPage(creating, { ...mapping, create: true }, 'initech');
+    assertEqual(pageId, 'client-1');
+    const { parent, properties } = creating.calls.creates[0];
+    assertEqual(JSON.stringify(parent), JSON.stringify({ type: 'data_source_id', data_source_id: 'ds-clients-db2' }));
+    assertEqual(properties.Name.title[0].text.content, 'initech');
+    assertEqual(properties.Hashtag.rich_text[0].text.content, 'initech');
+  });
+
+  await testAsync('pages through loose matches to find the client', async () => {
+    const client = createClientsClient([]);
+    const cursors = [];
+    client.dataSources.query = async (args) => {
+      cursors.push(args.start_cursor);
+      if (!args.start_cursor) {
+        const near = Array.from({ length: 100 }, (_, i) => clientPage(`page-${i}`, `Acme ${i}`));
+        return { results: near, has_more: true, next_cursor: 'c2' };
+      }
+      return { results: [clientPage('page-acme', 'acme')], has_more: false, next_cursor: null };
+    };
+    const mapping = { property: 'Client', type: 'relation', databaseId: 'clients-db3', keyProperty: 'Hashtag' };
+    assertEqual(await resolveClientPage(client, mapping, 'acme'), 'page-acme');
+    assertEqual(cursors.join(','), ',c2');
+  });
+
+  await testAsync('skips the lookup without a mapping or key', async () => {
+    const client = createClientsClient([]);
+    assertEqual(await resolveClientPage(client, null, 'acme'), null);
+    assertEqual(await resolveClientPage(client, { databaseId: 'clients-db3' }, null), null);
+    assertEqual(client.calls.queries, 0);
+  });
+
+  test('writes the client relation on the entry', () => {
+    const propertyMap = parsePropertyMap(JSON.stringify({
+      client: { property: 'Client', type: 'relation', databaseId: 'clients-db' },
+    }));
+    const properties = buildEmailProperties({ subject: 'Hi', hashtag: 'acme', clientPageId: 'page-acme', propertyMap });
+    assertEqual(properties.Client.relation[0].id, 'page-acme');
+    assertEqual(properties.Hashtag.multi_select[0].name, 'acme');
+  });
 }
 
 // ============ Run async tests and summary ============
 
-runAsyncTests().then(() => {
+runAsyncTests().then(runThreadPageTests).then(runImageTests).then(runUploadTests).then(runScannerTests).then(runAppendTests).then(runLedgerTests).then(runNotifyTests).then(runReplayTests).then(runBackfillTests).then(runSchemaTests).then(runClientPageTests).then(() => {
   console.log('\n--- Summary ---');
   console.log(`Passed: ${passed}`);
   console.log(`Failed: ${failed}`);
@@ -2,36 +2,149 @@
  * Validation functions for incoming emails
  */
 
+const { parseEmailDate, DEFAULT_TIME_ZONE } = require('./dates');
+
+// SES receipt verdicts a policy can require
+const VERDICT_NAMES = ['spf', 'dkim', 'dmarc', 'spam', 'virus'];
+
 /**
- * Validate that the recipient address contains the correct inbox secret
+ * Parse the inbox secret setting
+ *
+ * A plain string is a single secret. A JSON array holds several active secrets, so a new
+ * one can be added before the old one is retired:
+ * [
+ *   { "secret": "...", "label": "2024", "expires": "2025-03-31" },
+ *   { "secret": "...", "label": "2025", "hashtag": "acme", "databaseId": "..." }
+ * ]
+ *
+ * @param {string} value - Secret or JSON array of secrets
+ * @param {string} timeZone - Zone expiries without an offset are in (optional, UTC)
+ * @returns {Array<{ secret: string, label: string, expiresAt: number|null, hashtag: string|null, databaseId: string|null }>}
+ */
+function parseInboxSecrets(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (!value) {
+    return [];
+  }
+  if (!value.trim().startsWith('[')) {
+    return [{ secret: value.trim().toLowerCase(), label: 'primary', expiresAt: null, hashtag: null, databaseId: null }];
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(value);
+  } catch (e) {
+    throw new Error(`Invalid inbox secrets JSON: ${e.message}`);
+  }
+
+  return raw.map((entry, index) => {
+    const label = entry.label || `secret-${index + 1}`;
+    if (!entry.secret) {
+      throw new Error(`Inbox secret "${label}" has no secret`);
+    }
+
+    const expiresAt = entry.expires ? parseExpiry(entry.expires, timeZone) : null;
+    if (Number.isNaN(expiresAt)) {
+      throw new Error(`Inbox secret "${label}" has an invalid expiry: ${entry.expires}`);
+    }
+
+    return {
+      secret: String(entry.secret).trim().toLowerCase(),
+      label,
+      expiresAt,
+      hashtag: normalizeInboxTag(entry.hashtag),
+      databaseId: entry.databaseId || null,
+    };
+  });
+}
+
+/**
+ * Parse an inbox secret's expiry
+ * A date alone means the start of that day, and a time without an offset is wall-clock time,
+ * both in the configured zone rather than UTC.
+ * @param {string} value - "YYYY-MM-DD" or an ISO date and time
+ * @param {string} timeZone - IANA zone
+ * @returns {number} - Time in ms, or NaN if unparseable
+ */
+function parseExpiry(value, timeZone) {
+  const text = String(value).trim();
+  const iso = parseEmailDate(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00` : text, timeZone);
+  return iso ? Date.parse(iso) : NaN;
+}
+
+/**
+ * Sanitize a hashtag from the inbox settings or a plus tag the way parseSubject does
+ * @param {string} tag - Raw tag
+ * @returns {string|null} - Lowercase alphanumeric tag (levels separated by "/"), or null
+ */
+function normalizeInboxTag(tag) {
+  if (!tag) {
+    return null;
+  }
+  const normalized = String(tag)
+    .toLowerCase()
+    .replace(/^#/, '')
+    .split('/')
+    .map(segment => segment.replace(/[^a-z0-9]/g, ''))
+    .filter(Boolean)
+    .join('/');
+  return normalized || null;
+}
+
+/**
+ * Find the inbox secret a recipient address was sent to
+ * The local part is notion-{secret}, optionally followed by +{tag}.
  * @param {string} toAddress - The recipient email address (may include display name)
- * @param {string} inboxSecret - The expected secret
- * @returns {boolean} - True if valid
+ * @param {Array} inboxSecrets - Result of parseInboxSecrets
+ * @param {number} now - Current time in ms (for expiry)
+ * @returns {{ label: string, expired: boolean, hashtag: string|null, databaseId: string|null }|null}
  */
-function validateRecipient(toAddress, inboxSecret) {
-  if (!toAddress || !inboxSecret) {
-    return false;
+function matchInboxSecret(toAddress, inboxSecrets, now = Date.now()) {
+  if (!toAddress || !inboxSecrets || inboxSecrets.length === 0) {
+    return null;
   }
 
   // Extract email from "Display Name <email>" format if present
   const email = extractEmail(toAddress);
   if (!email) {
-    return false;
+    return null;
   }
 
-  // Extract the local part before @
-  const localPart = email.split('@')[0]?.toLowerCase();
+  // Expected format: notion-{secret} or notion-{secret}+{tag}
+  const localPart = email.split('@')[0];
+  const [base, ...tagParts] = localPart.split('+');
 
-  // Expected format: notion-{secret}
-  const expectedPrefix = `notion-${inboxSecret.toLowerCase()}`;
+  const entry = inboxSecrets.find(candidate => base === `notion-${candidate.secret}`);
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    label: entry.label,
+    expired: entry.expiresAt !== null && now >= entry.expiresAt,
+    // The plus tag beats the secret's default hashtag
+    hashtag: normalizeInboxTag(tagParts.join('+')) || entry.hashtag,
+    databaseId: entry.databaseId,
+  };
+}
 
-  return localPart === expectedPrefix;
+/**
+ * Validate that the recipient address contains an active inbox secret
+ * @param {string} toAddress - The recipient email address (may include display name)
+ * @param {string|Array} inboxSecret - The expected secret, or the result of parseInboxSecrets
+ * @returns {boolean} - True if valid
+ */
+function validateRecipient(toAddress, inboxSecret) {
+  const secrets = Array.isArray(inboxSecret) ? inboxSecret : parseInboxSecrets(inboxSecret);
+  const match = matchInboxSecret(toAddress, secrets);
+  return Boolean(match && !match.expired);
 }
 
 /**
- * Validate that the sender is in the allowed senders list
+ * Validate that the sender matches a rule in the allowed senders list
+ * Rules are addresses or wildcard patterns such as "*@ourfirm.com"; plus tags are ignored
+ * on both sides, so "me@example.com" also allows "me+notion@example.com".
  * @param {string} fromAddress - The sender email address
- * @param {string[]} allowedSenders - List of allowed email addresses
+ * @param {string[]} allowedSenders - List of allowed address rules
  * @returns {boolean} - True if valid
  */
 function validateSender(fromAddress, allowedSenders) {
@@ -45,7 +158,232 @@ function validateSender(fromAddress, allowedSenders) {
     return false;
   }
 
-  return allowedSenders.includes(email.toLowerCase());
+  return allowedSenders.some(rule => matchesSenderRule(email, rule));
+}
+
+/**
+ * Drop the plus tag from an address: "me+notion@example.com" -> "me@example.com"
+ * @param {string} email - Email address
+ * @returns {string} - Lowercase address without the tag
+ */
+function normalizeAddress(email) {
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  if (domain === undefined) {
+    return local;
+  }
+  return `${local.split('+')[0] || local}@${domain}`;
+}
+
+/**
+ * Check an address against one sender rule ("*" matches any run of characters)
+ * @param {string} email - Email address
+ * @param {string} rule - Address or wildcard pattern
+ * @returns {boolean}
+ */
+function matchesSenderRule(email, rule) {
+  const address = normalizeAddress(email);
+  const pattern = normalizeAddress(rule);
+  if (!pattern.includes('*')) {
+    return address === pattern;
+  }
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(address);
+}
+
+/**
+ * Find the most specific rule matching a sender
+ * An exact address beats any wildcard; among wildcards the longest literal part wins.
+ * @param {Array<{ pattern: string }>} rules - Rules to search
+ * @param {string} fromAddress - The sender email address
+ * @returns {Object|null} - Matching rule, or null
+ */
+function findSenderRule(rules, fromAddress) {
+  const email = extractEmail(fromAddress);
+  if (!email) {
+    return null;
+  }
+
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    if (!matchesSenderRule(email, rule.pattern)) {
+      continue;
+    }
+    const score = rule.pattern.includes('*') ? rule.pattern.replace(/\*/g, '').length : Infinity;
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse the sender permissions JSON
+ *
+ * Expected shape (keys are sender rules; a missing field means no restriction):
+ * {
+ *   "*@ourfirm.com": { "hashtags": ["acme", "globex"], "attachments": false, "databases": ["..."] },
+ *   "me@example.com": {}
+ * }
+ *
+ * @param {string} json - Permissions JSON (or "disabled"/empty)
+ * @returns {Array|null} - Permission rules, or null when not configured
+ */
+function parseSenderPermissions(json) {
+  if (!json || json === 'disabled') {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid sender permissions JSON: ${e.message}`);
+  }
+
+  return Object.entries(raw).map(([pattern, entry]) => ({
+    pattern: pattern.trim().toLowerCase(),
+    hashtags: entry.hashtags ? entry.hashtags.map(tag => String(tag).toLowerCase().replace(/^#/, '')) : null,
+    attachments: entry.attachments !== false,
+    databases: entry.databases ? entry.databases.map(normalizeDatabaseId) : null,
+  }));
+}
+
+/**
+ * Look up what a sender may do
+ * Senders without a matching rule are unrestricted, as are all senders when permissions are off.
+ * @param {Array|null} permissions - Parsed sender permissions
+ * @param {string} fromAddress - The sender email address
+ * @returns {{ pattern: string|null, hashtags: string[]|null, attachments: boolean, databases: string[]|null }}
+ */
+function getSenderPermissions(permissions, fromAddress) {
+  const rule = permissions ? findSenderRule(permissions, fromAddress) : null;
+  return rule || { pattern: null, hashtags: null, attachments: true, databases: null };
+}
+
+/**
+ * Check whether a sender may file under every hashtag on an email (only the client level is checked)
+ * A secondary tag files the page under that client too, so one forbidden tag rejects the email.
+ * @param {Object} senderPermissions - Result of getSenderPermissions
+ * @param {string[]} hashtags - Resolved hashtags, e.g. ["acme/legal", "globex"]
+ * @returns {boolean}
+ */
+function isHashtagPermitted(senderPermissions, hashtags) {
+  if (!senderPermissions.hashtags) {
+    return true;
+  }
+  return hashtags.length > 0 &&
+    hashtags.every(hashtag => senderPermissions.hashtags.includes((hashtag || '').split('/')[0]));
+}
+
+/**
+ * Check whether a sender may write to a database
+ * @param {Object} senderPermissions - Result of getSenderPermissions
+ * @param {string} databaseId - Target database ID (with or without dashes)
+ * @returns {boolean}
+ */
+function isDatabasePermitted(senderPermissions, databaseId) {
+  if (!senderPermissions.databases) {
+    return true;
+  }
+  return senderPermissions.databases.includes(normalizeDatabaseId(databaseId));
+}
+
+/**
+ * Normalize a Notion ID for comparison (dashes are optional)
+ * @param {string} id - Notion ID
+ * @returns {string}
+ */
+function normalizeDatabaseId(id) {
+  return String(id || '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Parse the verdict policy JSON
+ *
+ * Expected shape (each requirement is a list of verdicts that must PASS, or a map of
+ * verdict to the statuses accepted):
+ * {
+ *   "require": ["spf", "dkim", "dmarc"],
+ *   "senders": {
+ *     "alerts@vendor.com": { "require": { "dkim": "PASS", "dmarc": ["PASS", "GRAY"] } },
+ *     "*@partner.com": { "require": ["dkim"] }
+ *   }
+ * }
+ *
+ * @param {string} json - Policy JSON (or "disabled"/empty)
+ * @returns {Object|null} - Normalized policy, or null when not configured
+ */
+function parseVerdictPolicy(json) {
+  if (!json || json === 'disabled') {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid verdict policy JSON: ${e.message}`);
+  }
+
+  const senders = Object.entries(raw.senders || {}).map(([pattern, override]) => ({
+    pattern: pattern.trim().toLowerCase(),
+    require: normalizeRequirements(override.require),
+  }));
+
+  return {
+    require: normalizeRequirements(raw.require),
+    senders,
+  };
+}
+
+/**
+ * Normalize a requirement list or map to { verdict: [accepted statuses] }
+ * @param {string[]|Object} require - Requirement from the policy JSON
+ * @returns {Object} - Accepted statuses per verdict
+ */
+function normalizeRequirements(require) {
+  const entries = Array.isArray(require)
+    ? require.map(name => [name, ['PASS']])
+    : Object.entries(require || {}).map(([name, statuses]) => [name, [].concat(statuses)]);
+
+  const requirements = {};
+  for (const [name, statuses] of entries) {
+    const key = String(name).toLowerCase();
+    if (!VERDICT_NAMES.includes(key)) {
+      throw new Error(`Unknown verdict in policy: ${name}`);
+    }
+    requirements[key] = statuses.map(status => String(status).toUpperCase());
+  }
+  return requirements;
+}
+
+/**
+ * Check SES verdicts against the policy
+ * The most specific matching sender override replaces the default requirements.
+ * @param {Object} verdicts - Verdict statuses from parseSesEvent
+ * @param {Object|null} policy - Parsed verdict policy
+ * @param {string} fromAddress - The sender email address
+ * @returns {{ passed: boolean, failures: Array<{ verdict: string, status: string|null, accepted: string[] }> }}
+ */
+function checkVerdicts(verdicts, policy, fromAddress) {
+  if (!policy) {
+    return { passed: true, failures: [] };
+  }
+
+  const override = findSenderRule(policy.senders, fromAddress);
+  const requirements = override ? override.require : policy.require;
+
+  const failures = [];
+  for (const [verdict, accepted] of Object.entries(requirements)) {
+    const status = verdicts?.[verdict] || null;
+    if (!accepted.includes(status)) {
+      failures.push({ verdict, status, accepted });
+    }
+  }
+
+  return { passed: failures.length === 0, failures };
 }
 
 /**
@@ -74,7 +412,16 @@ function extractEmail(fromString) {
 }
 
 module.exports = {
+  parseInboxSecrets,
+  matchInboxSecret,
   validateRecipient,
   validateSender,
+  matchesSenderRule,
+  parseSenderPermissions,
+  getSenderPermissions,
+  isHashtagPermitted,
+  isDatabasePermitted,
+  parseVerdictPolicy,
+  checkVerdicts,
   extractEmail,
 };
@@ -0,0 +1,123 @@
+/**
+ * Minimal in-memory ZIP reader for attachment expansion
+ * Supports stored and deflated entries; ZIP64 and encrypted archives are refused.
+ */
+
+const zlib = require('zlib');
+
+// Record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Compression methods
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Check whether a buffer starts like a ZIP archive
+ * @param {Buffer} buffer - File content
+ * @returns {boolean}
+ */
+function isZipBuffer(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+/**
+ * Locate the end of central directory record (it sits in the last 64KB + 22 bytes)
+ * @param {Buffer} buffer - Archive content
+ * @returns {number} - Offset of the record
+ */
+function findEndOfCentralDirectory(buffer) {
+  const lowest = Math.max(0, buffer.length - 0xffff - 22);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('not a ZIP archive');
+}
+
+/**
+ * List the entries in a ZIP archive without extracting them
+ * @param {Buffer} buffer - Archive content
+ * @returns {Array<{ name: string, method: number, encrypted: boolean, compressedSize: number, size: number, localOffset: number }>}
+ */
+function listZipEntries(buffer) {
+  const end = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('corrupt ZIP central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    // Bit 11 marks UTF-8 names; older archives use CP437, which latin1 approximates
+    const name = buffer.toString(flags & 0x800 ? 'utf-8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      name,
+      method: buffer.readUInt16LE(offset + 10),
+      encrypted: (flags & 0x1) === 0x1,
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract one entry, never producing more than maxSize bytes
+ * The declared size can lie, so inflation itself is capped.
+ * @param {Buffer} buffer - Archive content
+ * @param {Object} entry - Entry from listZipEntries
+ * @param {number} maxSize - Largest output allowed
+ * @returns {Buffer} - Entry content
+ */
+function extractZipEntry(buffer, entry, maxSize) {
+  const offset = entry.localOffset;
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+    throw new Error(`corrupt ZIP entry: ${entry.name}`);
+  }
+
+  const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) {
+    if (data.length > maxSize) {
+      throw new Error(`entry too large: ${entry.name}`);
+    }
+    return Buffer.from(data);
+  }
+  if (entry.method === METHOD_DEFLATED) {
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: Math.max(maxSize, 1) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`entry too large: ${entry.name}`);
+      }
+      throw error;
+    }
+  }
+  throw new Error(`unsupported compression method ${entry.method}: ${entry.name}`);
+}
+
+module.exports = {
+  isZipBuffer,
+  listZipEntries,
+  extractZipEntry,
+};
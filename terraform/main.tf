@@ -73,6 +73,19 @@ resource "aws_s3_bucket_lifecycle_configuration" "emails" {
       prefix = "inbound/"
     }
   }
+
+  rule {
+    id     = "delete-old-ledger-records"
+    status = "Enabled"
+
+    expiration {
+      days = var.email_retention_days
+    }
+
+    filter {
+      prefix = "ledger/"
+    }
+  }
 }
 
 resource "aws_s3_bucket_policy" "emails" {
@@ -143,8 +156,11 @@ resource "aws_ses_receipt_rule" "store_and_process" {
   enabled       = true
   scan_enabled  = true
 
-  # Filter by recipient - only accept emails to our secret inbox
-  recipients = ["notion-${var.inbox_secret}@${var.email_domain}"]
+  # Filter by recipient - only accept emails to our secret inbox addresses
+  recipients = concat(
+    ["notion-${var.inbox_secret}@${var.email_domain}"],
+    [for entry in var.inbox_secrets : "notion-${entry.secret}@${var.email_domain}"],
+  )
 
   # First: Store email in S3
   s3_action {
@@ -185,14 +201,24 @@ resource "aws_lambda_permission" "ses" {
 
 resource "aws_ssm_parameter" "inbox_secret" {
   name        = "/email-to-notion/inbox-secret"
-  description = "Secret portion of inbox email address"
+  description = "Secret portion of inbox email address (or a JSON array of labeled secrets)"
   type        = "SecureString"
-  value       = var.inbox_secret
+  # A single secret stays a plain string; extra secrets turn it into a JSON array
+  value = length(var.inbox_secrets) == 0 ? var.inbox_secret : jsonencode(concat(
+    [{ secret = var.inbox_secret, label = "primary" }],
+    [for entry in var.inbox_secrets : {
+      secret     = entry.secret
+      label      = entry.label
+      expires    = entry.expires
+      hashtag    = entry.hashtag
+      databaseId = entry.database_id
+    }],
+  ))
 }
 
 resource "aws_ssm_parameter" "allowed_senders" {
   name        = "/email-to-notion/allowed-senders"
-  description = "Comma-separated list of allowed sender emails"
+  description = "Comma-separated list of allowed sender emails or wildcard rules"
   type        = "StringList"
   value       = join(",", var.allowed_senders)
 }
@@ -225,6 +251,90 @@ resource "aws_ssm_parameter" "summary_prompt" {
   value       = var.summary_prompt != "" ? var.summary_prompt : "disabled"
 }
 
+resource "aws_ssm_parameter" "thread_mode" {
+  name        = "/email-to-notion/thread-mode"
+  description = "Thread handling mode (append, link or disabled)"
+  type        = "String"
+  value       = var.thread_mode
+}
+
+resource "aws_ssm_parameter" "client_registry" {
+  name        = "/email-to-notion/client-registry"
+  description = "Client registry JSON (aliases, routing, triage)"
+  type        = "String"
+  value       = var.client_registry != "" ? var.client_registry : "disabled"
+}
+
+resource "aws_ssm_parameter" "remote_images" {
+  name        = "/email-to-notion/remote-images"
+  description = "Remote image handling (capture or disabled)"
+  type        = "String"
+  value       = var.remote_images
+}
+
+resource "aws_ssm_parameter" "notion_plan" {
+  name        = "/email-to-notion/notion-plan"
+  description = "Notion workspace plan for upload size limits (free or paid)"
+  type        = "String"
+  value       = var.notion_plan
+}
+
+resource "aws_ssm_parameter" "expand_archives" {
+  name        = "/email-to-notion/expand-archives"
+  description = "ZIP attachment expansion (enabled or disabled)"
+  type        = "String"
+  value       = var.expand_archives
+}
+
+resource "aws_ssm_parameter" "malware_scanner" {
+  name        = "/email-to-notion/malware-scanner"
+  description = "Attachment malware scanner (ses, clamav://host:port, or disabled)"
+  type        = "String"
+  value       = var.malware_scanner
+}
+
+resource "aws_ssm_parameter" "verdict_policy" {
+  name        = "/email-to-notion/verdict-policy"
+  description = "SES authentication verdicts required to accept an email (JSON)"
+  type        = "String"
+  value       = var.verdict_policy != "" ? var.verdict_policy : "disabled"
+}
+
+resource "aws_ssm_parameter" "sender_permissions" {
+  name        = "/email-to-notion/sender-permissions"
+  description = "Per-sender hashtag, attachment and database permissions (JSON)"
+  type        = "String"
+  value       = var.sender_permissions != "" ? var.sender_permissions : "disabled"
+}
+
+resource "aws_ssm_parameter" "reply_from" {
+  name        = "/email-to-notion/reply-from"
+  description = "From address for replies to the forwarder (or disabled)"
+  type        = "String"
+  value       = var.reply_from != "" ? var.reply_from : "disabled"
+}
+
+resource "aws_ssm_parameter" "reply_events" {
+  name        = "/email-to-notion/reply-events"
+  description = "Outcomes that get a reply (success, warning, failure)"
+  type        = "String"
+  value       = var.reply_events != "" ? var.reply_events : "disabled"
+}
+
+resource "aws_ssm_parameter" "property_map" {
+  name        = "/email-to-notion/property-map"
+  description = "Email field to Notion property mapping (JSON)"
+  type        = "String"
+  value       = var.property_map != "" ? var.property_map : "default"
+}
+
+resource "aws_ssm_parameter" "time_zone" {
+  name        = "/email-to-notion/time-zone"
+  description = "IANA time zone for email dates without one and for dates shown in Notion"
+  type        = "String"
+  value       = var.time_zone
+}
+
 # -----------------------------------------------------------------------------
 # IAM Role for Lambda
 # -----------------------------------------------------------------------------
@@ -270,6 +380,18 @@ data "aws_iam_policy_document" "lambda_permissions" {
       aws_ssm_parameter.notion_api_key.arn,
       aws_ssm_parameter.anthropic_api_key.arn,
       aws_ssm_parameter.summary_prompt.arn,
+      aws_ssm_parameter.thread_mode.arn,
+      aws_ssm_parameter.client_registry.arn,
+      aws_ssm_parameter.remote_images.arn,
+      aws_ssm_parameter.notion_plan.arn,
+      aws_ssm_parameter.expand_archives.arn,
+      aws_ssm_parameter.malware_scanner.arn,
+      aws_ssm_parameter.verdict_policy.arn,
+      aws_ssm_parameter.sender_permissions.arn,
+      aws_ssm_parameter.reply_from.arn,
+      aws_ssm_parameter.reply_events.arn,
+      aws_ssm_parameter.property_map.arn,
+      aws_ssm_parameter.time_zone.arn,
     ]
   }
 
@@ -284,6 +406,58 @@ data "aws_iam_policy_document" "lambda_permissions" {
       resources = ["${aws_s3_bucket.emails[0].arn}/inbound/*"]
     }
   }
+
+  # S3 access for the idempotency ledger (conditional)
+  dynamic "statement" {
+    for_each = var.ses_enabled ? [1] : []
+    content {
+      effect = "Allow"
+      actions = [
+        "s3:GetObject",
+        "s3:PutObject"
+      ]
+      resources = ["${aws_s3_bucket.emails[0].arn}/ledger/*"]
+    }
+  }
+
+  # S3 access for the per-recipient reply log (conditional)
+  dynamic "statement" {
+    for_each = var.ses_enabled && var.reply_from != "" ? [1] : []
+    content {
+      effect = "Allow"
+      actions = [
+        "s3:GetObject",
+        "s3:PutObject"
+      ]
+      resources = ["${aws_s3_bucket.emails[0].arn}/replies/*"]
+    }
+  }
+
+  # Sending replies from the verified domain (conditional)
+  dynamic "statement" {
+    for_each = var.ses_enabled && var.reply_from != "" ? [1] : []
+    content {
+      effect = "Allow"
+      actions = [
+        "ses:SendEmail",
+        "ses:SendRawEmail"
+      ]
+      resources = [aws_ses_domain_identity.main[0].arn]
+    }
+  }
+
+  # ListBucket lets GetObject report a missing ledger or reply log record as NoSuchKey (without it S3
+  # answers AccessDenied). GetObject requests carry no s3:prefix, so it can't be scoped by prefix.
+  dynamic "statement" {
+    for_each = var.ses_enabled ? [1] : []
+    content {
+      effect = "Allow"
+      actions = [
+        "s3:ListBucket"
+      ]
+      resources = [aws_s3_bucket.emails[0].arn]
+    }
+  }
 }
 
 resource "aws_iam_role_policy" "lambda" {
@@ -318,8 +492,9 @@ resource "aws_lambda_function" "main" {
   handler          = "index.handler"
   source_code_hash = data.archive_file.lambda.output_base64sha256
   runtime          = "nodejs20.x"
-  timeout          = 60
-  memory_size      = 512
+  # Room for multi-part uploads of large attachments
+  timeout          = 300
+  memory_size      = 1024
 
   environment {
     variables = {
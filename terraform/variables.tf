@@ -16,8 +16,21 @@ variable "inbox_secret" {
   sensitive   = true
 }
 
+variable "inbox_secrets" {
+  description = "Additional inbox secrets, each with a label and optional expiry (RFC 3339 or YYYY-MM-DD), default hashtag and database"
+  type = list(object({
+    secret      = string
+    label       = string
+    expires     = optional(string)
+    hashtag     = optional(string)
+    database_id = optional(string)
+  }))
+  default   = []
+  sensitive = true
+}
+
 variable "allowed_senders" {
-  description = "List of email addresses allowed to forward emails"
+  description = "List of email addresses or wildcard rules (e.g. \"*@ourfirm.com\") allowed to forward emails"
   type        = list(string)
 }
 
@@ -45,6 +58,78 @@ variable "summary_prompt" {
   default     = ""
 }
 
+variable "thread_mode" {
+  description = "How re-forwarded threads are handled: \"append\" to the existing page, \"link\" to create a new page related to it (needs a thread entry in property_map), or \"disabled\" to always create a new page"
+  type        = string
+  default     = "append"
+}
+
+variable "client_registry" {
+  description = "Client registry JSON with hashtag aliases and per-client routing (optional, leave empty to disable)"
+  type        = string
+  default     = ""
+}
+
+variable "remote_images" {
+  description = "Remote images in HTML emails: \"capture\" to download them into Notion, or \"disabled\" to show a placeholder"
+  type        = string
+  default     = "disabled"
+}
+
+variable "notion_plan" {
+  description = "Notion workspace plan, which sets the per-file upload limit: \"free\" (5MB) or \"paid\" (40MB, the SES message limit)"
+  type        = string
+  default     = "paid"
+}
+
+variable "expand_archives" {
+  description = "ZIP attachments: \"enabled\" to also upload the files inside them, or \"disabled\""
+  type        = string
+  default     = "disabled"
+}
+
+variable "malware_scanner" {
+  description = "Attachment malware scanner: \"ses\" (SES receipt verdict), \"clamav://host:port\", \"clamav:///path/to/clamd.sock\", or \"disabled\""
+  type        = string
+  default     = "disabled"
+}
+
+variable "verdict_policy" {
+  description = "JSON policy of SES verdicts (spf, dkim, dmarc, spam, virus) an email must pass, with per-sender overrides (optional, leave empty to disable)"
+  type        = string
+  default     = ""
+}
+
+variable "sender_permissions" {
+  description = "JSON map of sender rule to allowed hashtags, attachments and databases (optional, leave empty to disable)"
+  type        = string
+  default     = ""
+}
+
+variable "reply_from" {
+  description = "Address on email_domain that replies to the forwarder are sent from (optional, leave empty to disable)"
+  type        = string
+  default     = ""
+}
+
+variable "reply_events" {
+  description = "Comma-separated outcomes that get a reply: success, warning, failure"
+  type        = string
+  default     = "warning,failure"
+}
+
+variable "property_map" {
+  description = "Property map JSON: which email field goes to which Notion property and type (optional, leave empty for the default schema)"
+  type        = string
+  default     = ""
+}
+
+variable "time_zone" {
+  description = "IANA time zone (e.g. \"Europe/Berlin\") for forwarded dates written without one and for dates shown in Notion"
+  type        = string
+  default     = "UTC"
+}
+
 variable "email_domain" {
   description = "Domain for receiving emails via SES"
   type        = string